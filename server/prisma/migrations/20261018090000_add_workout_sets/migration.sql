@@ -0,0 +1,60 @@
+-- CreateTable
+CREATE TABLE "workout_sets" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "workoutExerciseId" TEXT NOT NULL,
+    "order" INTEGER NOT NULL,
+    "setType" TEXT NOT NULL DEFAULT 'working',
+    "reps" INTEGER,
+    "weight" REAL,
+    "rpe" REAL,
+    "rir" INTEGER,
+    "completed" BOOLEAN NOT NULL DEFAULT true,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "workout_sets_workoutExerciseId_fkey" FOREIGN KEY ("workoutExerciseId") REFERENCES "workout_exercises" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- Migrate the parallel reps/weight arrays into one row per set
+WITH RECURSIVE "set_index"("n") AS (
+    SELECT 0
+    UNION ALL
+    SELECT "n" + 1 FROM "set_index" WHERE "n" < 199
+)
+INSERT INTO "workout_sets" ("id", "workoutExerciseId", "order", "setType", "reps", "weight", "completed", "updatedAt")
+SELECT
+    lower(hex(randomblob(12))),
+    "we"."id",
+    "set_index"."n" + 1,
+    'working',
+    CAST(json_extract("we"."reps", '$[' || "set_index"."n" || ']') AS INTEGER),
+    CAST(json_extract("we"."weight", '$[' || "set_index"."n" || ']') AS REAL),
+    true,
+    CURRENT_TIMESTAMP
+FROM "workout_exercises" AS "we"
+JOIN "set_index" ON "set_index"."n" < max(
+    "we"."sets",
+    CASE WHEN json_valid("we"."reps") THEN json_array_length("we"."reps") ELSE 0 END,
+    CASE WHEN json_valid("we"."weight") THEN json_array_length("we"."weight") ELSE 0 END
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_workout_exercises" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "workoutId" TEXT NOT NULL,
+    "exerciseId" TEXT NOT NULL,
+    "restTime" INTEGER,
+    "notes" TEXT,
+    CONSTRAINT "workout_exercises_workoutId_fkey" FOREIGN KEY ("workoutId") REFERENCES "workouts" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "workout_exercises_exerciseId_fkey" FOREIGN KEY ("exerciseId") REFERENCES "exercises" ("id") ON DELETE RESTRICT ON UPDATE CASCADE
+);
+INSERT INTO "new_workout_exercises" ("exerciseId", "id", "notes", "restTime", "workoutId") SELECT "exerciseId", "id", "notes", "restTime", "workoutId" FROM "workout_exercises";
+DROP TABLE "workout_exercises";
+ALTER TABLE "new_workout_exercises" RENAME TO "workout_exercises";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE INDEX "workout_sets_workoutExerciseId_idx" ON "workout_sets"("workoutExerciseId");
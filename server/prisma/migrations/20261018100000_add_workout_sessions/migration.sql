@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "workouts" ADD COLUMN "status" TEXT NOT NULL DEFAULT 'in_progress';
+ALTER TABLE "workouts" ADD COLUMN "startedAt" DATETIME;
+ALTER TABLE "workouts" ADD COLUMN "pausedAt" DATETIME;
+ALTER TABLE "workouts" ADD COLUMN "pausedSeconds" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "workouts" ADD COLUMN "finishedAt" DATETIME;
+ALTER TABLE "workouts" ADD COLUMN "autoFinished" BOOLEAN NOT NULL DEFAULT false;
+
+-- Workouts logged before sessions existed are treated as finished
+UPDATE "workouts" SET "status" = 'completed', "finishedAt" = "date";
+
+-- CreateIndex
+CREATE INDEX "workouts_status_startedAt_idx" ON "workouts"("status", "startedAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "workouts" ADD COLUMN "importSource" TEXT;
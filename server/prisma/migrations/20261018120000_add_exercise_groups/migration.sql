@@ -0,0 +1,62 @@
+-- CreateTable
+CREATE TABLE "workout_exercise_groups" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "workoutId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "rounds" INTEGER NOT NULL DEFAULT 1,
+    "restTime" INTEGER,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "workout_exercise_groups_workoutId_fkey" FOREIGN KEY ("workoutId") REFERENCES "workouts" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "template_exercise_groups" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "templateId" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "rounds" INTEGER NOT NULL DEFAULT 1,
+    "restTime" INTEGER,
+    "notes" TEXT,
+    CONSTRAINT "template_exercise_groups_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "workout_templates" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_workout_exercises" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "workoutId" TEXT NOT NULL,
+    "exerciseId" TEXT NOT NULL,
+    "restTime" INTEGER,
+    "notes" TEXT,
+    "groupId" TEXT,
+    "groupOrder" INTEGER,
+    CONSTRAINT "workout_exercises_workoutId_fkey" FOREIGN KEY ("workoutId") REFERENCES "workouts" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "workout_exercises_exerciseId_fkey" FOREIGN KEY ("exerciseId") REFERENCES "exercises" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "workout_exercises_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "workout_exercise_groups" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_workout_exercises" ("exerciseId", "id", "notes", "restTime", "workoutId") SELECT "exerciseId", "id", "notes", "restTime", "workoutId" FROM "workout_exercises";
+DROP TABLE "workout_exercises";
+ALTER TABLE "new_workout_exercises" RENAME TO "workout_exercises";
+CREATE TABLE "new_template_exercises" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "templateId" TEXT NOT NULL,
+    "exerciseId" TEXT NOT NULL,
+    "order" INTEGER NOT NULL,
+    "sets" INTEGER NOT NULL,
+    "reps" JSONB NOT NULL,
+    "weight" JSONB,
+    "restTime" INTEGER,
+    "notes" TEXT,
+    "groupId" TEXT,
+    "groupOrder" INTEGER,
+    CONSTRAINT "template_exercises_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "workout_templates" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "template_exercises_exerciseId_fkey" FOREIGN KEY ("exerciseId") REFERENCES "exercises" ("id") ON DELETE RESTRICT ON UPDATE CASCADE,
+    CONSTRAINT "template_exercises_groupId_fkey" FOREIGN KEY ("groupId") REFERENCES "template_exercise_groups" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_template_exercises" ("exerciseId", "id", "notes", "order", "reps", "restTime", "sets", "templateId", "weight") SELECT "exerciseId", "id", "notes", "order", "reps", "restTime", "sets", "templateId", "weight" FROM "template_exercises";
+DROP TABLE "template_exercises";
+ALTER TABLE "new_template_exercises" RENAME TO "template_exercises";
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
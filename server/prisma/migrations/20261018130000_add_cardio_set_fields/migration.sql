@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "workout_sets" ADD COLUMN "distance" REAL;
+ALTER TABLE "workout_sets" ADD COLUMN "durationSeconds" INTEGER;
+ALTER TABLE "workout_sets" ADD COLUMN "elevationGain" REAL;
+ALTER TABLE "workout_sets" ADD COLUMN "avgHeartRate" INTEGER;
+ALTER TABLE "workout_sets" ADD COLUMN "maxHeartRate" INTEGER;
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "activity_tracks" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "workoutId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "format" TEXT NOT NULL,
+    "sport" TEXT,
+    "fileHash" TEXT NOT NULL,
+    "startTime" DATETIME NOT NULL,
+    "points" JSONB NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "activity_tracks_workoutId_fkey" FOREIGN KEY ("workoutId") REFERENCES "workouts" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "activity_tracks_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activity_tracks_workoutId_key" ON "activity_tracks"("workoutId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "activity_tracks_userId_fileHash_key" ON "activity_tracks"("userId", "fileHash");
@@ -0,0 +1,18 @@
+-- AlterTable
+-- Existing weights and measurements are treated as kg / cm. Users who logged
+-- in pounds or inches convert their history once through
+-- POST /api/preferences/units/convert-legacy, which only touches the rows
+-- flagged legacyUnits here
+ALTER TABLE "users" ADD COLUMN "weightUnit" TEXT NOT NULL DEFAULT 'kg';
+ALTER TABLE "users" ADD COLUMN "distanceUnit" TEXT NOT NULL DEFAULT 'km';
+ALTER TABLE "users" ADD COLUMN "lengthUnit" TEXT NOT NULL DEFAULT 'cm';
+ALTER TABLE "users" ADD COLUMN "unitsMigratedAt" DATETIME;
+
+ALTER TABLE "workout_sets" ADD COLUMN "legacyUnits" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "template_exercises" ADD COLUMN "legacyUnits" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "user_stats" ADD COLUMN "legacyUnits" BOOLEAN NOT NULL DEFAULT false;
+
+-- Everything stored so far was logged without units
+UPDATE "workout_sets" SET "legacyUnits" = true;
+UPDATE "template_exercises" SET "legacyUnits" = true;
+UPDATE "user_stats" SET "legacyUnits" = true;
@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "exercises" ADD COLUMN "loadType" TEXT NOT NULL DEFAULT 'external';
+ALTER TABLE "exercises" ADD COLUMN "bodyweightFactor" REAL NOT NULL DEFAULT 1;
+
+-- Flag the bodyweight exercises of the default library
+UPDATE "exercises" SET "loadType" = 'bodyweight', "bodyweightFactor" = 0.64 WHERE "name" = 'Push-ups';
+UPDATE "exercises" SET "loadType" = 'weighted_bodyweight', "bodyweightFactor" = 0.95 WHERE "name" = 'Chest Dips';
+UPDATE "exercises" SET "loadType" = 'weighted_bodyweight', "bodyweightFactor" = 1 WHERE "name" = 'Pull-ups';
+UPDATE "exercises" SET "loadType" = 'bodyweight', "bodyweightFactor" = 0.7 WHERE "name" = 'Tricep Dips';
+
+INSERT OR IGNORE INTO "exercises" ("id", "name", "category", "muscleGroups", "instructions", "createdAt", "loadType", "bodyweightFactor")
+VALUES (
+    lower(hex(randomblob(12))),
+    'Assisted Pull-ups',
+    'Strength',
+    '["Back","Biceps"]',
+    'Kneel or stand on the assist platform or band, pull body up until chin over bar',
+    CURRENT_TIMESTAMP,
+    'assisted',
+    1
+);
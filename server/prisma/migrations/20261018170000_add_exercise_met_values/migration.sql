@@ -0,0 +1,30 @@
+-- AlterTable
+ALTER TABLE "exercises" ADD COLUMN "metValue" REAL;
+
+-- MET values for the default library (Compendium of Physical Activities)
+UPDATE "exercises" SET "metValue" = 6.0 WHERE "name" = 'Bench Press';
+UPDATE "exercises" SET "metValue" = 3.8 WHERE "name" = 'Push-ups';
+UPDATE "exercises" SET "metValue" = 5.0 WHERE "name" = 'Incline Dumbbell Press';
+UPDATE "exercises" SET "metValue" = 5.0 WHERE "name" = 'Chest Dips';
+UPDATE "exercises" SET "metValue" = 5.0 WHERE "name" = 'Pull-ups';
+UPDATE "exercises" SET "metValue" = 4.0 WHERE "name" = 'Assisted Pull-ups';
+UPDATE "exercises" SET "metValue" = 5.0 WHERE "name" = 'Bent-over Row';
+UPDATE "exercises" SET "metValue" = 3.5 WHERE "name" = 'Lat Pulldown';
+UPDATE "exercises" SET "metValue" = 6.0 WHERE "name" = 'Deadlift';
+UPDATE "exercises" SET "metValue" = 6.0 WHERE "name" = 'Squat';
+UPDATE "exercises" SET "metValue" = 5.0 WHERE "name" = 'Lunges';
+UPDATE "exercises" SET "metValue" = 5.0 WHERE "name" = 'Leg Press';
+UPDATE "exercises" SET "metValue" = 3.5 WHERE "name" = 'Calf Raises';
+UPDATE "exercises" SET "metValue" = 5.0 WHERE "name" = 'Overhead Press';
+UPDATE "exercises" SET "metValue" = 3.5 WHERE "name" = 'Lateral Raises';
+UPDATE "exercises" SET "metValue" = 3.5 WHERE "name" = 'Rear Delt Flyes';
+UPDATE "exercises" SET "metValue" = 3.5 WHERE "name" = 'Bicep Curls';
+UPDATE "exercises" SET "metValue" = 3.8 WHERE "name" = 'Tricep Dips';
+UPDATE "exercises" SET "metValue" = 3.5 WHERE "name" = 'Hammer Curls';
+UPDATE "exercises" SET "metValue" = 3.0 WHERE "name" = 'Plank';
+UPDATE "exercises" SET "metValue" = 2.8 WHERE "name" = 'Crunches';
+UPDATE "exercises" SET "metValue" = 3.8 WHERE "name" = 'Russian Twists';
+UPDATE "exercises" SET "metValue" = 9.8 WHERE "name" = 'Running';
+UPDATE "exercises" SET "metValue" = 7.5 WHERE "name" = 'Cycling';
+UPDATE "exercises" SET "metValue" = 11.8 WHERE "name" = 'Jump Rope';
+UPDATE "exercises" SET "metValue" = 8.0 WHERE "name" = 'Burpees';
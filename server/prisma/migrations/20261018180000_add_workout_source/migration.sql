@@ -0,0 +1,31 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_workouts" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "templateId" TEXT,
+    "name" TEXT NOT NULL,
+    "date" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "duration" INTEGER,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "status" TEXT NOT NULL DEFAULT 'in_progress',
+    "startedAt" DATETIME,
+    "pausedAt" DATETIME,
+    "pausedSeconds" INTEGER NOT NULL DEFAULT 0,
+    "finishedAt" DATETIME,
+    "autoFinished" BOOLEAN NOT NULL DEFAULT false,
+    "importSource" TEXT,
+    "sourceWorkoutId" TEXT,
+    CONSTRAINT "workouts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "workouts_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "workout_templates" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "workouts_sourceWorkoutId_fkey" FOREIGN KEY ("sourceWorkoutId") REFERENCES "workouts" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_workouts" ("autoFinished", "createdAt", "date", "duration", "finishedAt", "id", "importSource", "name", "notes", "pausedAt", "pausedSeconds", "startedAt", "status", "templateId", "userId") SELECT "autoFinished", "createdAt", "date", "duration", "finishedAt", "id", "importSource", "name", "notes", "pausedAt", "pausedSeconds", "startedAt", "status", "templateId", "userId" FROM "workouts";
+DROP TABLE "workouts";
+ALTER TABLE "new_workouts" RENAME TO "workouts";
+CREATE INDEX "workouts_status_startedAt_idx" ON "workouts"("status", "startedAt");
+CREATE INDEX "workouts_sourceWorkoutId_idx" ON "workouts"("sourceWorkoutId");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "workouts" ADD COLUMN "deletedAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "workout_templates" ADD COLUMN "deletedAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "posts" ADD COLUMN "deletedAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "comments" ADD COLUMN "deletedAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "workouts_userId_deletedAt_idx" ON "workouts"("userId", "deletedAt");
@@ -0,0 +1,56 @@
+-- CreateTable
+CREATE TABLE "sync_operations" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "idempotencyKey" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "status" TEXT NOT NULL,
+    "resourceId" TEXT,
+    "message" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "sync_operations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_workouts" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "templateId" TEXT,
+    "name" TEXT NOT NULL,
+    "date" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "duration" INTEGER,
+    "notes" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'in_progress',
+    "startedAt" DATETIME,
+    "pausedAt" DATETIME,
+    "pausedSeconds" INTEGER NOT NULL DEFAULT 0,
+    "finishedAt" DATETIME,
+    "autoFinished" BOOLEAN NOT NULL DEFAULT false,
+    "importSource" TEXT,
+    "sourceWorkoutId" TEXT,
+    "scheduledFor" DATETIME,
+    "scheduleId" TEXT,
+    "deletedAt" DATETIME,
+    CONSTRAINT "workouts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "workouts_templateId_fkey" FOREIGN KEY ("templateId") REFERENCES "workout_templates" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "workouts_sourceWorkoutId_fkey" FOREIGN KEY ("sourceWorkoutId") REFERENCES "workouts" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "workouts_scheduleId_fkey" FOREIGN KEY ("scheduleId") REFERENCES "workout_schedules" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_workouts" ("autoFinished", "createdAt", "date", "deletedAt", "duration", "finishedAt", "id", "importSource", "name", "notes", "pausedAt", "pausedSeconds", "scheduleId", "scheduledFor", "sourceWorkoutId", "startedAt", "status", "templateId", "updatedAt", "userId") SELECT "autoFinished", "createdAt", "date", "deletedAt", "duration", "finishedAt", "id", "importSource", "name", "notes", "pausedAt", "pausedSeconds", "scheduleId", "scheduledFor", "sourceWorkoutId", "startedAt", "status", "templateId", COALESCE("deletedAt", "finishedAt", "createdAt"), "userId" FROM "workouts";
+DROP TABLE "workouts";
+ALTER TABLE "new_workouts" RENAME TO "workouts";
+CREATE INDEX "workouts_status_startedAt_idx" ON "workouts"("status", "startedAt");
+CREATE INDEX "workouts_sourceWorkoutId_idx" ON "workouts"("sourceWorkoutId");
+CREATE INDEX "workouts_userId_date_idx" ON "workouts"("userId", "date");
+CREATE INDEX "workouts_scheduleId_idx" ON "workouts"("scheduleId");
+CREATE INDEX "workouts_userId_deletedAt_idx" ON "workouts"("userId", "deletedAt");
+CREATE INDEX "workouts_userId_updatedAt_idx" ON "workouts"("userId", "updatedAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sync_operations_userId_idempotencyKey_key" ON "sync_operations"("userId", "idempotencyKey");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "workouts" ADD COLUMN "sessionRpe" REAL;
+ALTER TABLE "workouts" ADD COLUMN "preWorkoutEnergy" INTEGER;
+ALTER TABLE "workouts" ADD COLUMN "postWorkoutMood" INTEGER;
+ALTER TABLE "workouts" ADD COLUMN "soreness" INTEGER;
@@ -0,0 +1,37 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "draftRecordPosts" BOOLEAN NOT NULL DEFAULT true;
+
+-- CreateTable
+CREATE TABLE "personal_records" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "exerciseId" TEXT NOT NULL,
+    "workoutId" TEXT NOT NULL,
+    "workoutExerciseId" TEXT NOT NULL,
+    "setId" TEXT,
+    "type" TEXT NOT NULL,
+    "value" REAL NOT NULL,
+    "previousValue" REAL NOT NULL,
+    "weight" REAL,
+    "reps" INTEGER,
+    "achievedAt" DATETIME NOT NULL,
+    "postDraft" JSONB,
+    "postId" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "personal_records_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "personal_records_exerciseId_fkey" FOREIGN KEY ("exerciseId") REFERENCES "exercises" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "personal_records_workoutId_fkey" FOREIGN KEY ("workoutId") REFERENCES "workouts" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "personal_records_workoutExerciseId_fkey" FOREIGN KEY ("workoutExerciseId") REFERENCES "workout_exercises" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "personal_records_setId_fkey" FOREIGN KEY ("setId") REFERENCES "workout_sets" ("id") ON DELETE SET NULL ON UPDATE CASCADE,
+    CONSTRAINT "personal_records_postId_fkey" FOREIGN KEY ("postId") REFERENCES "posts" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "personal_records_userId_achievedAt_idx" ON "personal_records"("userId", "achievedAt");
+
+-- CreateIndex
+CREATE INDEX "personal_records_userId_exerciseId_type_idx" ON "personal_records"("userId", "exerciseId", "type");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "personal_records_workoutExerciseId_type_key" ON "personal_records"("workoutExerciseId", "type");
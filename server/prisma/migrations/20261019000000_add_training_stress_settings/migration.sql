@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "fitnessDecayDays" REAL;
+ALTER TABLE "users" ADD COLUMN "fatigueDecayDays" REAL;
+ALTER TABLE "users" ADD COLUMN "fitnessGain" REAL;
+ALTER TABLE "users" ADD COLUMN "fatigueGain" REAL;
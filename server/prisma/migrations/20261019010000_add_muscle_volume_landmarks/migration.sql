@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "muscle_volume_landmarks" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "muscleKey" TEXT NOT NULL,
+    "muscleGroup" TEXT NOT NULL,
+    "mev" INTEGER NOT NULL,
+    "mav" INTEGER NOT NULL,
+    "mrv" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "muscle_volume_landmarks_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "muscle_volume_landmarks_userId_muscleKey_key" ON "muscle_volume_landmarks"("userId", "muscleKey");
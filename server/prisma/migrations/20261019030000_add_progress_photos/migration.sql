@@ -0,0 +1,29 @@
+-- CreateTable
+CREATE TABLE "progress_photos" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "userId" TEXT NOT NULL,
+    "statsId" TEXT,
+    "date" DATETIME NOT NULL,
+    "pose" TEXT NOT NULL,
+    "fileName" TEXT NOT NULL,
+    "mimeType" TEXT NOT NULL,
+    "width" INTEGER NOT NULL,
+    "height" INTEGER NOT NULL,
+    "size" INTEGER NOT NULL,
+    "notes" TEXT,
+    "shareToken" TEXT,
+    "sharedAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL,
+    CONSTRAINT "progress_photos_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users" ("id") ON DELETE CASCADE ON UPDATE CASCADE,
+    CONSTRAINT "progress_photos_statsId_fkey" FOREIGN KEY ("statsId") REFERENCES "user_stats" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "progress_photos_fileName_key" ON "progress_photos"("fileName");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "progress_photos_shareToken_key" ON "progress_photos"("shareToken");
+
+-- CreateIndex
+CREATE INDEX "progress_photos_userId_date_idx" ON "progress_photos"("userId", "date");
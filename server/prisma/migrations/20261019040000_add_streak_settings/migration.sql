@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN "timezone" TEXT NOT NULL DEFAULT 'UTC';
+ALTER TABLE "users" ADD COLUMN "streakType" TEXT NOT NULL DEFAULT 'daily';
+ALTER TABLE "users" ADD COLUMN "streakRestDays" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "users" ADD COLUMN "weeklyWorkoutGoal" INTEGER NOT NULL DEFAULT 3;
@@ -0,0 +1,13 @@
+-- DropIndex
+-- A file whose workout is in the trash can be imported again, so the same
+-- file hash may appear more than once per user
+DROP INDEX "activity_tracks_userId_fileHash_key";
+
+-- CreateIndex
+CREATE INDEX "activity_tracks_userId_fileHash_idx" ON "activity_tracks"("userId", "fileHash");
+
+-- Cardio exercises imported walks, hikes and swims are logged as
+INSERT OR IGNORE INTO "exercises" ("id", "name", "category", "muscleGroups", "instructions", "createdAt", "loadType", "bodyweightFactor", "metValue") VALUES
+    (lower(hex(randomblob(12))), 'Walking', 'Cardio', '["Legs"]', 'Walk at a brisk, steady pace with an upright posture', CURRENT_TIMESTAMP, 'external', 1, 3.5),
+    (lower(hex(randomblob(12))), 'Hiking', 'Cardio', '["Legs", "Core"]', 'Keep a steady pace on uneven terrain, shorten your stride on climbs', CURRENT_TIMESTAMP, 'external', 1, 6.0),
+    (lower(hex(randomblob(12))), 'Swimming', 'Cardio', '["Full Body"]', 'Swim continuous laps at a moderate effort, breathe rhythmically', CURRENT_TIMESTAMP, 'external', 1, 5.8);
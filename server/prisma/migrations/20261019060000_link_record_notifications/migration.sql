@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "personal_records" ADD COLUMN "notificationId" TEXT;
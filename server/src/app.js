@@ -130,10 +130,19 @@ app.get('/api/jojo/health-check', (req, res) => {
 // Existing API routes
 app.use('/auth', require('./routes/auth'));
 app.use('/api/exercises', require('./routes/exercises'));
+app.use('/api/workouts/import', require('./routes/workout-import'));
+app.use('/api/workouts/export', require('./routes/workout-export'));
+app.use('/api/workouts/activities', require('./routes/activity-import'));
+app.use('/api/workouts/calendar', require('./routes/workout-calendar'));
+app.use('/api/workouts/sync', require('./routes/workout-sync'));
 app.use('/api/workouts', require('./routes/workouts'));
+app.use('/api/progress/body', require('./routes/body-metrics'));
+app.use('/api/progress/photos', require('./routes/progress-photos'));
 app.use('/api/progress', require('./routes/progress'));
+app.use('/api/preferences', require('./routes/preferences'));
 app.use('/api/workout-templates', require('./routes/workout-templates'));
 app.use('/api/social', require('./routes/social'));
+app.use('/api/trash', require('./routes/trash'));
 
 // JoJo AI Wellness Coach routes
 app.use('/api/jojo', require('./routes/jojo'));
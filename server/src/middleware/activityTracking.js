@@ -46,7 +46,8 @@ const trackUserActivity = async (userId, activityType, data = {}) => {
             ? JSON.parse(data.requestData.workoutData) 
             : data.requestData.workoutData;
           
-          activityData.calories = workout.calories || null;
+          // Calories are estimated by the server when a workout is finished
+          // (services/calorieService.js), client-reported values are not counted
           activityData.duration = parseDuration(workout.duration);
           activityData.data = {
             workoutName: workout.name,
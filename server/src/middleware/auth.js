@@ -3,6 +3,18 @@ const { PrismaClient } = require('@prisma/client');
 
 const prisma = new PrismaClient();
 
+// Fields attached to req.user, including the unit preferences responses are converted to
+const authUserSelect = {
+  id: true,
+  email: true,
+  username: true,
+  firstName: true,
+  lastName: true,
+  weightUnit: true,
+  distanceUnit: true,
+  lengthUnit: true
+};
+
 // Generate JWT token (your existing function)
 const generateToken = (userId) => {
   return jwt.sign({ userId }, process.env.JWT_SECRET, {
@@ -23,7 +35,7 @@ const authenticateToken = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await prisma.user.findUnique({
       where: { id: decoded.userId },
-      select: { id: true, email: true, username: true, firstName: true, lastName: true }
+      select: authUserSelect
     });
 
     if (!user) {
@@ -57,7 +69,7 @@ const authenticateUser = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await prisma.user.findUnique({
           where: { id: decoded.userId },
-          select: { id: true, email: true, username: true, firstName: true, lastName: true }
+          select: authUserSelect
         });
 
         if (user) {
@@ -74,7 +86,7 @@ const authenticateUser = async (req, res, next) => {
       // Ensure we have complete user data from database
       const user = await prisma.user.findUnique({
         where: { id: req.user.id },
-        select: { id: true, email: true, username: true, firstName: true, lastName: true }
+        select: authUserSelect
       });
 
       if (user) {
@@ -110,7 +122,7 @@ const optionalAuth = async (req, res, next) => {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await prisma.user.findUnique({
           where: { id: decoded.userId },
-          select: { id: true, email: true, username: true, firstName: true, lastName: true }
+          select: authUserSelect
         });
 
         if (user) {
@@ -126,7 +138,7 @@ const optionalAuth = async (req, res, next) => {
     if (req.isAuthenticated() && req.user) {
       const user = await prisma.user.findUnique({
         where: { id: req.user.id },
-        select: { id: true, email: true, username: true, firstName: true, lastName: true }
+        select: authUserSelect
       });
 
       if (user) {
@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const { buildSetData } = require('../utils/workoutSets');
+const { normalizeName } = require('../utils/exerciseMatcher');
+const { ACTIVITY_FORMATS, parseActivityFile } = require('../utils/activityFiles');
+const {
+  SPLIT_UNITS,
+  buildTrackPoints,
+  summarizeTrack,
+  computeSplits,
+  heartRateSeries,
+  trackToGeoJson
+} = require('../utils/activityTrack');
+const {
+  getUnitPreferences,
+  fromMeters,
+  fromElevationMeters,
+  cardioForViewer,
+  workoutForViewer,
+  unitsMeta
+} = require('../utils/units');
+const { safelyRecordWorkoutCalories } = require('../services/calorieService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Activity files are parsed in memory, they never touch the uploads folder
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 25 * 1024 * 1024 }, // 25MB limit, long rides with 1s recording get big
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.toLowerCase().split('.').pop();
+    if (ACTIVITY_FORMATS.includes(extension)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only GPX, TCX or FIT files are allowed!'), false);
+    }
+  }
+});
+
+// Library exercise used for each sport when the upload doesn't pick one
+const SPORT_EXERCISES = {
+  running: 'Running',
+  cycling: 'Cycling',
+  walking: 'Walking',
+  hiking: 'Hiking',
+  swimming: 'Swimming'
+};
+
+const SPORT_NAMES = {
+  running: 'Run',
+  cycling: 'Ride',
+  walking: 'Walk',
+  hiking: 'Hike',
+  swimming: 'Swim'
+};
+
+// Split distances are given in the split unit, elevation in the viewer's units
+const splitsForViewer = (splits, unit, preferences) => splits.map(split => ({
+  ...split,
+  distance: fromMeters(split.distance, unit),
+  elevationGain: fromElevationMeters(split.elevationGain, preferences.distanceUnit),
+  elevationChange: fromElevationMeters(split.elevationChange, preferences.distanceUnit)
+}));
+
+const findOwnedTrack = (workoutId, userId) => prisma.activityTrack.findFirst({
+  where: { workoutId, userId, workout: { deletedAt: null } },
+  include: {
+    workout: {
+      select: { id: true, name: true, date: true }
+    }
+  }
+});
+
+// Upload a GPX, TCX or FIT file and create a completed cardio workout from it
+// Body (multipart): file, optional exerciseId and name
+router.post('/', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'An activity file is required' });
+    }
+
+    // The same file uploaded twice hashes the same
+    const fileHash = crypto.createHash('sha256').update(req.file.buffer).digest('hex');
+
+    // A file whose workout is in the trash can be imported again
+    const existingTrack = await prisma.activityTrack.findFirst({
+      where: { userId, fileHash, workout: { deletedAt: null } },
+      select: { workoutId: true }
+    });
+
+    if (existingTrack) {
+      return res.status(409).json({
+        message: 'This activity file has already been imported',
+        workoutId: existingTrack.workoutId
+      });
+    }
+
+    const activity = parseActivityFile(req.file.buffer, req.file.originalname);
+
+    if (activity.error) {
+      return res.status(400).json({ message: activity.error });
+    }
+
+    let exercise;
+    if (req.body.exerciseId) {
+      exercise = await prisma.exercise.findUnique({ where: { id: req.body.exerciseId } });
+    } else if (activity.sport && SPORT_EXERCISES[activity.sport]) {
+      const cardioExercises = await prisma.exercise.findMany({
+        where: { category: 'Cardio' },
+        select: { id: true, name: true }
+      });
+      exercise = cardioExercises.find(candidate =>
+        normalizeName(candidate.name) === normalizeName(SPORT_EXERCISES[activity.sport])
+      );
+    }
+
+    if (!exercise) {
+      return res.status(422).json({
+        message: activity.sport
+          ? `No exercise found for ${activity.sport}, pass an exerciseId`
+          : 'Could not tell the sport from the file, pass an exerciseId',
+        sport: activity.sport
+      });
+    }
+
+    const points = buildTrackPoints(activity.points);
+    const summary = summarizeTrack(points);
+    const startTime = activity.startTime;
+    const finishedAt = new Date(startTime.getTime() + summary.elapsedSeconds * 1000);
+    const name = req.body.name || activity.name || `${SPORT_NAMES[activity.sport] || exercise.name} on ${startTime.toISOString().split('T')[0]}`;
+
+    const workout = await prisma.workout.create({
+      data: {
+        userId,
+        name,
+        date: startTime,
+        duration: Math.round(summary.elapsedSeconds / 60),
+        status: 'completed',
+        startedAt: startTime,
+        finishedAt,
+        importSource: activity.format,
+        exercises: {
+          create: {
+            exerciseId: exercise.id,
+            sets: {
+              create: buildSetData({
+                distance: summary.distance,
+                durationSeconds: summary.durationSeconds,
+                elevationGain: summary.elevationGain,
+                avgHeartRate: summary.avgHeartRate,
+                maxHeartRate: summary.maxHeartRate
+              }, 1)
+            }
+          }
+        },
+        track: {
+          create: {
+            userId,
+            format: activity.format,
+            sport: activity.sport,
+            fileHash,
+            // The base of the points' seconds, which may differ from the
+            // activity start the file records
+            startTime: activity.points[0].time,
+            points
+          }
+        }
+      },
+      include: {
+        exercises: {
+          include: {
+            exercise: true,
+            sets: true
+          }
+        }
+      }
+    });
+
+    const preferences = getUnitPreferences(req.user);
+    const calories = await safelyRecordWorkoutCalories(workout.id);
+
+    res.status(201).json({
+      message: 'Activity imported successfully',
+      workout: workoutForViewer(workout, preferences),
+      calories,
+      summary: cardioForViewer(summary, preferences),
+      splits: splitsForViewer(computeSplits(points, preferences.distanceUnit), preferences.distanceUnit, preferences),
+      units: unitsMeta(preferences)
+    });
+  } catch (error) {
+    console.error('Error importing activity:', error);
+    res.status(500).json({
+      message: 'Error importing activity',
+      error: error.message
+    });
+  }
+});
+
+// Get the track summary, splits and heart-rate series of an imported activity
+// Query: unit=km|mi for splits, defaults to the user's distance unit
+router.get('/:workoutId', authenticateToken, async (req, res) => {
+  try {
+    const preferences = getUnitPreferences(req.user);
+    const { unit = preferences.distanceUnit } = req.query;
+
+    if (!SPLIT_UNITS[unit]) {
+      return res.status(400).json({ message: `Unit must be one of: ${Object.keys(SPLIT_UNITS).join(', ')}` });
+    }
+
+    const track = await findOwnedTrack(req.params.workoutId, req.user.id);
+
+    if (!track) {
+      return res.status(404).json({ message: 'Activity track not found' });
+    }
+
+    res.json({
+      workout: track.workout,
+      format: track.format,
+      sport: track.sport,
+      startTime: track.startTime,
+      summary: cardioForViewer(summarizeTrack(track.points), preferences),
+      splits: splitsForViewer(computeSplits(track.points, unit), unit, preferences),
+      splitUnit: unit,
+      units: unitsMeta(preferences),
+      heartRate: heartRateSeries(track.points)
+    });
+  } catch (error) {
+    console.error('Error fetching activity track:', error);
+    res.status(500).json({
+      message: 'Error fetching activity track',
+      error: error.message
+    });
+  }
+});
+
+// Get the track of an imported activity as GeoJSON
+router.get('/:workoutId/geojson', authenticateToken, async (req, res) => {
+  try {
+    const track = await findOwnedTrack(req.params.workoutId, req.user.id);
+
+    if (!track) {
+      return res.status(404).json({ message: 'Activity track not found' });
+    }
+
+    res.setHeader('Content-Type', 'application/geo+json; charset=utf-8');
+    res.send(JSON.stringify(trackToGeoJson(track, {
+      workoutId: track.workout.id,
+      name: track.workout.name
+    })));
+  } catch (error) {
+    console.error('Error fetching activity GeoJSON:', error);
+    res.status(500).json({
+      message: 'Error fetching activity GeoJSON',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  BODY_METRICS,
+  DEFAULT_AVERAGE_DAYS,
+  validateBodyStats,
+  buildBodyStatsData,
+  bodyStatsForViewer,
+  metricValue,
+  metricForViewer,
+  metricUnit,
+  buildMetricTrend,
+  buildWeightTrend,
+  projectGoal,
+  weightRateWarnings
+} = require('../utils/bodyMetrics');
+const { listParam } = require('../utils/queryParams');
+const { DAY_MS, isValidDate } = require('../utils/common');
+const { resolveInputUnits, getUnitPreferences, fromKilograms, toKilograms, unitsMeta } = require('../utils/units');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const findOwnedStats = (id, userId) => prisma.userStats.findFirst({
+  where: { id, userId }
+});
+
+// List body metric entries, newest first
+// Query: from, to, limit (default 100, max 500)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const entries = await prisma.userStats.findMany({
+      where: {
+        userId: req.user.id,
+        ...((from || to) && {
+          date: {
+            ...(from && { gte: new Date(from) }),
+            ...(to && { lte: new Date(to) })
+          }
+        })
+      },
+      orderBy: { date: 'desc' },
+      take: limit
+    });
+
+    const preferences = getUnitPreferences(req.user);
+
+    res.json({
+      entries: entries.map(entry => bodyStatsForViewer(entry, preferences)),
+      units: unitsMeta(preferences)
+    });
+  } catch (error) {
+    console.error('Error fetching body metrics:', error);
+    res.status(500).json({
+      message: 'Error fetching body metrics',
+      error: error.message
+    });
+  }
+});
+
+// Trend series per metric: each entry with its moving average, the weekly
+// rate of change and, with `since`, the change from that date to the latest entry
+// Query: metrics=weight,waist (default all logged), days (default 90, 0 for all
+// history), averageDays (default 7), since
+router.get('/trends', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 90;
+    const averageDays = Math.min(Math.max(parseInt(req.query.averageDays) || DEFAULT_AVERAGE_DAYS, 1), 60);
+    const { since } = req.query;
+    const metrics = listParam(req.query.metrics);
+
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({ message: 'days must be a non-negative number' });
+    }
+
+    if (metrics && metrics.some(metric => !BODY_METRICS.includes(metric))) {
+      return res.status(400).json({ message: `Metrics must be among: ${BODY_METRICS.join(', ')}` });
+    }
+
+    if (since && !isValidDate(since)) {
+      return res.status(400).json({ message: 'since must be a valid date' });
+    }
+
+    // The change since a date before the period still needs that date's entry
+    const periodStart = days > 0 ? new Date(Date.now() - days * DAY_MS) : null;
+    const startDate = periodStart && since && new Date(since) < periodStart ? new Date(since) : periodStart;
+
+    const entries = await prisma.userStats.findMany({
+      where: {
+        userId,
+        ...(startDate && { date: { gte: new Date(startDate.getTime() - averageDays * DAY_MS) } })
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    const wanted = metrics || BODY_METRICS.filter(metric => entries.some(entry => metricValue(entry, metric) !== null));
+    const preferences = getUnitPreferences(req.user);
+    const convert = (metric, value) => (value === null ? null : metricForViewer(metric, value, preferences));
+
+    const trends = wanted.map(metric => {
+      const trend = buildMetricTrend(entries, metric, { averageDays, since });
+      const series = trend.series.filter(point => !periodStart || point.date >= periodStart);
+
+      return {
+        metric,
+        unit: metricUnit(metric, preferences),
+        series: series.map(point => ({
+          id: point.id,
+          date: point.date,
+          value: convert(metric, point.value),
+          movingAverage: convert(metric, point.movingAverage)
+        })),
+        latest: trend.latest && { date: trend.latest.date, value: convert(metric, trend.latest.value) },
+        ratePerWeek: convert(metric, trend.ratePerWeek),
+        change: trend.change && {
+          since: trend.change.since,
+          from: convert(metric, trend.change.from),
+          to: convert(metric, trend.change.to),
+          change: convert(metric, trend.change.change)
+        }
+      };
+    });
+
+    res.json({
+      trends,
+      averageDays,
+      units: unitsMeta(preferences),
+      period: days > 0 ? `Last ${days} days` : 'All time'
+    });
+  } catch (error) {
+    console.error('Error fetching body metric trends:', error);
+    res.status(500).json({
+      message: 'Error fetching body metric trends',
+      error: error.message
+    });
+  }
+});
+
+// Smoothed trend weight, its weekly rate of change and the projected date
+// for reaching the goal weight. The trend is built from the whole history so
+// it is already settled at the start of the period.
+// Query: days (default 90, 0 for all history)
+router.get('/weight-trend', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 90;
+
+    if (isNaN(days) || days < 0) {
+      return res.status(400).json({ message: 'days must be a non-negative number' });
+    }
+
+    const [entries, user] = await Promise.all([
+      prisma.userStats.findMany({
+        where: { userId, weight: { not: null } },
+        select: { date: true, weight: true },
+        orderBy: { date: 'asc' }
+      }),
+      prisma.user.findUnique({
+        where: { id: userId },
+        select: { goalWeight: true }
+      })
+    ]);
+
+    const trend = buildWeightTrend(entries);
+    const goal = user.goalWeight !== null ? projectGoal(trend, user.goalWeight) : null;
+
+    const preferences = getUnitPreferences(req.user);
+    const toViewer = (value) => fromKilograms(value, preferences.weightUnit);
+    const periodStart = days > 0 ? new Date(Date.now() - days * DAY_MS) : null;
+
+    res.json({
+      points: trend.points
+        .filter(point => !periodStart || new Date(point.date) >= periodStart)
+        .map(point => ({ date: point.date, weight: toViewer(point.weight), trend: toViewer(point.trend) })),
+      latest: trend.latest && { date: trend.latest.date, weight: toViewer(trend.latest.weight), trend: toViewer(trend.latest.trend) },
+      ratePerWeek: toViewer(trend.ratePerWeek),
+      goal: goal && {
+        goalWeight: toViewer(user.goalWeight),
+        ...goal,
+        remaining: toViewer(goal.remaining),
+        ...(goal.weeks !== undefined && { weeks: Math.round(goal.weeks * 10) / 10 })
+      },
+      warnings: weightRateWarnings(trend),
+      units: unitsMeta(preferences),
+      period: days > 0 ? `Last ${days} days` : 'All time'
+    });
+  } catch (error) {
+    console.error('Error fetching weight trend:', error);
+    res.status(500).json({
+      message: 'Error fetching weight trend',
+      error: error.message
+    });
+  }
+});
+
+// Set the goal weight
+// Body: { goalWeight, weightUnit }; the unit defaults to the user's preference
+router.put('/goal', authenticateToken, async (req, res) => {
+  try {
+    const { goalWeight } = req.body;
+
+    if (goalWeight === undefined || goalWeight === null || isNaN(Number(goalWeight)) || Number(goalWeight) <= 0) {
+      return res.status(400).json({ message: 'goalWeight must be a positive number' });
+    }
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { goalWeight: toKilograms(Number(goalWeight), units.weightUnit) },
+      select: { goalWeight: true }
+    });
+
+    const preferences = getUnitPreferences(req.user);
+
+    res.json({
+      message: 'Goal weight saved successfully',
+      goalWeight: fromKilograms(user.goalWeight, preferences.weightUnit),
+      units: unitsMeta(preferences)
+    });
+  } catch (error) {
+    console.error('Error saving goal weight:', error);
+    res.status(500).json({
+      message: 'Error saving goal weight',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/goal', authenticateToken, async (req, res) => {
+  try {
+    await prisma.user.update({
+      where: { id: req.user.id },
+      data: { goalWeight: null }
+    });
+
+    res.json({ message: 'Goal weight cleared' });
+  } catch (error) {
+    console.error('Error clearing goal weight:', error);
+    res.status(500).json({
+      message: 'Error clearing goal weight',
+      error: error.message
+    });
+  }
+});
+
+// Log body metrics
+// Body: { date, weight, bodyFat, measurements: { waist, chest, ... }, notes,
+// weightUnit, lengthUnit }; units default to the user's preferences
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateBodyStats(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const entry = await prisma.userStats.create({
+      data: {
+        userId: req.user.id,
+        ...buildBodyStatsData(req.body, units)
+      }
+    });
+
+    res.status(201).json({
+      message: 'Body metrics logged successfully',
+      entry: bodyStatsForViewer(entry, getUnitPreferences(req.user))
+    });
+  } catch (error) {
+    console.error('Error logging body metrics:', error);
+    res.status(500).json({
+      message: 'Error logging body metrics',
+      error: error.message
+    });
+  }
+});
+
+// Edit an entry. Measurements are merged into the logged ones; a null site
+// removes it, `measurements: null` removes them all.
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const validationError = validateBodyStats(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const existing = await findOwnedStats(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Body metrics entry not found' });
+    }
+
+    const entry = await prisma.userStats.update({
+      where: { id: existing.id },
+      data: buildBodyStatsData(req.body, units, existing.measurements)
+    });
+
+    res.json({
+      message: 'Body metrics updated successfully',
+      entry: bodyStatsForViewer(entry, getUnitPreferences(req.user))
+    });
+  } catch (error) {
+    console.error('Error updating body metrics:', error);
+    res.status(500).json({
+      message: 'Error updating body metrics',
+      error: error.message
+    });
+  }
+});
+
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await findOwnedStats(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Body metrics entry not found' });
+    }
+
+    await prisma.userStats.delete({
+      where: { id: existing.id }
+    });
+
+    res.json({ message: 'Body metrics entry deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting body metrics:', error);
+    res.status(500).json({
+      message: 'Error deleting body metrics',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
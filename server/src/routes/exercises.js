@@ -7,7 +7,7 @@ const prisma = new PrismaClient();
 // Get all exercises with optional filtering
 router.get('/', async (req, res) => {
   try {
-    const { category, muscleGroup, search } = req.query;
+    const { category, muscleGroup, search, loadType } = req.query;
 
     // Get all exercises first
     let exercises = await prisma.exercise.findMany({
@@ -29,6 +29,10 @@ router.get('/', async (req, res) => {
       );
     }
 
+    if (loadType) {
+      exercises = exercises.filter(exercise => exercise.loadType === loadType);
+    }
+
     if (muscleGroup) {
       exercises = exercises.filter(exercise => {
         return Array.isArray(exercise.muscleGroups) && 
@@ -41,7 +45,7 @@ router.get('/', async (req, res) => {
     res.json({
       exercises,
       count: exercises.length,
-      filters: { category, muscleGroup, search }
+      filters: { category, muscleGroup, search, loadType }
     });
   } catch (error) {
     console.error('Error fetching exercises:', error);
@@ -0,0 +1,366 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  WEIGHT_UNITS,
+  UNIT_PREFERENCES,
+  getUnitPreferences,
+  validateUnitPreferences,
+  toKilograms,
+  toCentimeters,
+  templateWeightToCanonical,
+  unitsMeta
+} = require('../utils/units');
+const { BANISTER_SETTINGS, getBanisterSettings, validateBanisterSettings } = require('../utils/trainingStress');
+const {
+  STREAK_TYPES,
+  MAX_REST_DAYS,
+  getStreakSettings,
+  validateStreakSettings
+} = require('../utils/streaks');
+const { streakSettingsSelect } = require('../services/streakService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Get the user's unit preferences
+router.get('/units', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { unitsMigratedAt: true }
+    });
+
+    res.json({
+      units: unitsMeta(getUnitPreferences(req.user)),
+      options: UNIT_PREFERENCES,
+      legacyDataConverted: Boolean(user.unitsMigratedAt),
+      unitsMigratedAt: user.unitsMigratedAt
+    });
+  } catch (error) {
+    console.error('Error fetching unit preferences:', error);
+    res.status(500).json({
+      message: 'Error fetching unit preferences',
+      error: error.message
+    });
+  }
+});
+
+// Update unit preferences. Only changes how values are displayed and the
+// default unit of writes, stored data is already canonical.
+router.put('/units', authenticateToken, async (req, res) => {
+  try {
+    const { weightUnit, distanceUnit, lengthUnit } = req.body;
+
+    const validationError = validateUnitPreferences({ weightUnit, distanceUnit, lengthUnit });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        ...(weightUnit && { weightUnit }),
+        ...(distanceUnit && { distanceUnit }),
+        ...(lengthUnit && { lengthUnit })
+      },
+      select: { weightUnit: true, distanceUnit: true, lengthUnit: true }
+    });
+
+    res.json({
+      message: 'Unit preferences updated successfully',
+      units: unitsMeta(getUnitPreferences(user))
+    });
+  } catch (error) {
+    console.error('Error updating unit preferences:', error);
+    res.status(500).json({
+      message: 'Error updating unit preferences',
+      error: error.message
+    });
+  }
+});
+
+// Get the personal record preferences
+router.get('/records', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { draftRecordPosts: true }
+    });
+
+    res.json({ draftPosts: user.draftRecordPosts });
+  } catch (error) {
+    console.error('Error fetching record preferences:', error);
+    res.status(500).json({
+      message: 'Error fetching record preferences',
+      error: error.message
+    });
+  }
+});
+
+// Turn drafting an achievement post for each new personal record on or off
+// Body: { draftPosts }
+router.put('/records', authenticateToken, async (req, res) => {
+  try {
+    const { draftPosts } = req.body;
+
+    if (typeof draftPosts !== 'boolean') {
+      return res.status(400).json({ message: 'draftPosts must be true or false' });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: { draftRecordPosts: draftPosts },
+      select: { draftRecordPosts: true }
+    });
+
+    res.json({
+      message: 'Record preferences updated successfully',
+      draftPosts: user.draftRecordPosts
+    });
+  } catch (error) {
+    console.error('Error updating record preferences:', error);
+    res.status(500).json({
+      message: 'Error updating record preferences',
+      error: error.message
+    });
+  }
+});
+
+const trainingStressSelect = Object.fromEntries(Object.keys(BANISTER_SETTINGS).map(field => [field, true]));
+
+// Get the fitness-fatigue model constants, with the defaults
+router.get('/training-stress', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: trainingStressSelect
+    });
+
+    res.json({
+      settings: getBanisterSettings(user),
+      defaults: getBanisterSettings(null)
+    });
+  } catch (error) {
+    console.error('Error fetching training stress settings:', error);
+    res.status(500).json({
+      message: 'Error fetching training stress settings',
+      error: error.message
+    });
+  }
+});
+
+// Update the fitness-fatigue model constants; null resets one to its default
+// Body: { fitnessDecayDays, fatigueDecayDays, fitnessGain, fatigueGain }
+router.put('/training-stress', authenticateToken, async (req, res) => {
+  try {
+    const current = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: trainingStressSelect
+    });
+
+    const updates = {};
+    Object.keys(BANISTER_SETTINGS).forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field] === null ? null : Number(req.body[field]);
+      }
+    });
+
+    const validationError = validateBanisterSettings(updates, current);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: updates,
+      select: trainingStressSelect
+    });
+
+    res.json({
+      message: 'Training stress settings updated successfully',
+      settings: getBanisterSettings(user)
+    });
+  } catch (error) {
+    console.error('Error updating training stress settings:', error);
+    res.status(500).json({
+      message: 'Error updating training stress settings',
+      error: error.message
+    });
+  }
+});
+
+// Get the streak rules and timezone
+router.get('/streak', authenticateToken, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: streakSettingsSelect
+    });
+
+    res.json({
+      settings: getStreakSettings(user),
+      options: { streakType: STREAK_TYPES, maxRestDays: MAX_REST_DAYS }
+    });
+  } catch (error) {
+    console.error('Error fetching streak settings:', error);
+    res.status(500).json({
+      message: 'Error fetching streak settings',
+      error: error.message
+    });
+  }
+});
+
+// Update the streak rules and timezone
+// Body: { timezone, streakType, streakRestDays, weeklyWorkoutGoal }
+router.put('/streak', authenticateToken, async (req, res) => {
+  try {
+    const updates = {};
+    Object.keys(streakSettingsSelect).forEach(field => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field];
+      }
+    });
+
+    const validationError = validateStreakSettings(updates);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const user = await prisma.user.update({
+      where: { id: req.user.id },
+      data: updates,
+      select: streakSettingsSelect
+    });
+
+    res.json({
+      message: 'Streak settings updated successfully',
+      settings: getStreakSettings(user)
+    });
+  } catch (error) {
+    console.error('Error updating streak settings:', error);
+    res.status(500).json({
+      message: 'Error updating streak settings',
+      error: error.message
+    });
+  }
+});
+
+// Convert numeric values inside a measurements JSON object
+const convertMeasurements = (measurements, lengthUnit) => Object.fromEntries(
+  Object.entries(measurements).map(([key, value]) => [
+    key,
+    typeof value === 'number' ? toCentimeters(value, lengthUnit) : value
+  ])
+);
+
+// One-time migration of history logged before units existed. Only rows the
+// unit migration flagged legacyUnits are converted; the flag is cleared as
+// they are, and unit-aware writes clear it too.
+// Body: { weightUnit, lengthUnit } the old values were entered in, e.g. { weightUnit: 'lb' }.
+// Those units also become the user's display preference.
+router.post('/units/convert-legacy', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { weightUnit = 'kg', lengthUnit = 'cm' } = req.body;
+
+    if (!UNIT_PREFERENCES.weightUnit.includes(weightUnit)) {
+      return res.status(400).json({ message: `weightUnit must be one of: ${UNIT_PREFERENCES.weightUnit.join(', ')}` });
+    }
+
+    if (!UNIT_PREFERENCES.lengthUnit.includes(lengthUnit)) {
+      return res.status(400).json({ message: `lengthUnit must be one of: ${UNIT_PREFERENCES.lengthUnit.join(', ')}` });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { unitsMigratedAt: true }
+    });
+
+    if (user.unitsMigratedAt) {
+      return res.status(409).json({
+        message: 'Legacy data has already been converted',
+        unitsMigratedAt: user.unitsMigratedAt
+      });
+    }
+
+    const weightFactor = WEIGHT_UNITS[weightUnit];
+
+    const converted = await prisma.$transaction(async (prisma) => {
+      const counts = { sets: 0, bodyStats: 0, templateExercises: 0 };
+
+      const legacySets = { legacyUnits: true, workoutExercise: { workout: { userId } } };
+      const legacyTemplateExercises = { legacyUnits: true, template: { createdById: userId } };
+
+      if (weightFactor !== 1) {
+        const sets = await prisma.workoutSet.updateMany({
+          where: { ...legacySets, weight: { not: null } },
+          data: { weight: { multiply: weightFactor }, legacyUnits: false }
+        });
+        counts.sets = sets.count;
+
+        const templateExercises = await prisma.templateExercise.findMany({
+          where: { ...legacyTemplateExercises, weight: { not: null } },
+          select: { id: true, weight: true }
+        });
+
+        for (const templateExercise of templateExercises.filter(te => te.weight !== null)) {
+          await prisma.templateExercise.update({
+            where: { id: templateExercise.id },
+            data: { weight: templateWeightToCanonical(templateExercise.weight, weightUnit), legacyUnits: false }
+          });
+          counts.templateExercises++;
+        }
+      }
+
+      const bodyStats = await prisma.userStats.findMany({
+        where: { userId, legacyUnits: true }
+      });
+
+      for (const stats of bodyStats) {
+        const hasMeasurements = stats.measurements && typeof stats.measurements === 'object' && lengthUnit !== 'cm';
+        if ((stats.weight === null || weightFactor === 1) && !hasMeasurements) continue;
+
+        await prisma.userStats.update({
+          where: { id: stats.id },
+          data: {
+            ...(stats.weight !== null && { weight: toKilograms(stats.weight, weightUnit) }),
+            ...(hasMeasurements && { measurements: convertMeasurements(stats.measurements, lengthUnit) }),
+            legacyUnits: false
+          }
+        });
+        counts.bodyStats++;
+      }
+
+      // Whatever was left needed no conversion, it is canonical as stored
+      await prisma.workoutSet.updateMany({ where: legacySets, data: { legacyUnits: false } });
+      await prisma.templateExercise.updateMany({ where: legacyTemplateExercises, data: { legacyUnits: false } });
+      await prisma.userStats.updateMany({ where: { userId, legacyUnits: true }, data: { legacyUnits: false } });
+
+      await prisma.user.update({
+        where: { id: userId },
+        data: {
+          weightUnit,
+          lengthUnit,
+          unitsMigratedAt: new Date()
+        }
+      });
+
+      return counts;
+    }, { timeout: 120000 });
+
+    res.json({
+      message: 'Legacy data converted successfully',
+      converted,
+      units: unitsMeta(getUnitPreferences({ ...req.user, weightUnit, lengthUnit }))
+    });
+  } catch (error) {
+    console.error('Error converting legacy units:', error);
+    res.status(500).json({
+      message: 'Error converting legacy units',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
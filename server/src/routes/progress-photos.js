@@ -0,0 +1,354 @@
+const express = require('express');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const { PHOTO_POSES, PHOTO_MIME_TYPES, validatePhotoInput, pairPhotos } = require('../utils/progressPhotos');
+const { listParam } = require('../utils/queryParams');
+const { isValidDate } = require('../utils/common');
+const { photoPath, storePhoto, removePhotoFile, createShareToken } = require('../services/progressPhotoService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Photos are processed in memory and written to private storage, never to the uploads folder
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 15 * 1024 * 1024 }, // 15MB limit
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_MIME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only JPEG, PNG or WebP images are allowed!'), false);
+    }
+  }
+});
+
+// Photo metadata for its owner; the storage name stays on the server
+const photoForOwner = ({ fileName, shareToken, ...photo }) => ({
+  ...photo,
+  imageUrl: `/api/progress/photos/${photo.id}/image`,
+  shared: Boolean(shareToken),
+  shareUrl: shareToken ? `/api/progress/photos/shared/${shareToken}` : null
+});
+
+const findOwnedPhoto = (id, userId) => prisma.progressPhoto.findFirst({
+  where: { id, userId }
+});
+
+// A body metrics entry the photo can be linked to; must be the user's own
+const findOwnedStats = (statsId, userId) => prisma.userStats.findFirst({
+  where: { id: statsId, userId },
+  select: { id: true }
+});
+
+const sendPhoto = (res, photo) => {
+  res.sendFile(photoPath(photo.fileName), {
+    headers: {
+      'Content-Type': photo.mimeType,
+      'Cache-Control': 'private, no-store'
+    }
+  }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ message: 'Photo file not found' });
+    }
+  });
+};
+
+// View a photo through its share link, no account needed
+router.get('/shared/:token', async (req, res) => {
+  try {
+    const photo = await prisma.progressPhoto.findUnique({
+      where: { shareToken: req.params.token }
+    });
+
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    sendPhoto(res, photo);
+  } catch (error) {
+    console.error('Error fetching shared photo:', error);
+    res.status(500).json({
+      message: 'Error fetching shared photo',
+      error: error.message
+    });
+  }
+});
+
+// List the user's progress photos, newest first
+// Query: pose=front,side, from, to
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const poses = listParam(req.query.pose);
+
+    if (poses && poses.some(pose => !PHOTO_POSES.includes(pose))) {
+      return res.status(400).json({ message: `pose must be among: ${PHOTO_POSES.join(', ')}` });
+    }
+
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const photos = await prisma.progressPhoto.findMany({
+      where: {
+        userId: req.user.id,
+        ...(poses && { pose: { in: poses } }),
+        ...((from || to) && {
+          date: {
+            ...(from && { gte: new Date(from) }),
+            ...(to && { lte: new Date(to) })
+          }
+        })
+      },
+      orderBy: [{ date: 'desc' }, { createdAt: 'desc' }]
+    });
+
+    res.json({ photos: photos.map(photoForOwner) });
+  } catch (error) {
+    console.error('Error fetching progress photos:', error);
+    res.status(500).json({
+      message: 'Error fetching progress photos',
+      error: error.message
+    });
+  }
+});
+
+// Pair the photos closest to two dates, per pose, for a side-by-side comparison
+// Query: from, to (dates), pose=front,side (default all poses)
+router.get('/compare', authenticateToken, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const poses = listParam(req.query.pose) || PHOTO_POSES;
+
+    if (!from || !to || !isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    if (poses.some(pose => !PHOTO_POSES.includes(pose))) {
+      return res.status(400).json({ message: `pose must be among: ${PHOTO_POSES.join(', ')}` });
+    }
+
+    const photos = await prisma.progressPhoto.findMany({
+      where: { userId: req.user.id, pose: { in: poses } },
+      include: {
+        stats: {
+          select: { id: true, date: true, weight: true, bodyFat: true }
+        }
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    const pairs = pairPhotos(photos, new Date(from), new Date(to), poses).map(pair => ({
+      ...pair,
+      before: pair.before && photoForOwner(pair.before),
+      after: pair.after && photoForOwner(pair.after)
+    }));
+
+    res.json({ from, to, pairs });
+  } catch (error) {
+    console.error('Error comparing progress photos:', error);
+    res.status(500).json({
+      message: 'Error comparing progress photos',
+      error: error.message
+    });
+  }
+});
+
+// Upload a progress photo. EXIF data, including location, is stripped.
+// Body (multipart): photo, date, pose (front, side, back), optional statsId and notes
+router.post('/', authenticateToken, upload.single('photo'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { date, pose, statsId, notes } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A photo is required' });
+    }
+
+    const validationError = validatePhotoInput(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    if (statsId && !(await findOwnedStats(statsId, userId))) {
+      return res.status(404).json({ message: 'Body metrics entry not found' });
+    }
+
+    let stored;
+    try {
+      stored = await storePhoto(req.file.buffer);
+    } catch (error) {
+      return res.status(400).json({ message: 'The file could not be read as an image' });
+    }
+
+    try {
+      const photo = await prisma.progressPhoto.create({
+        data: {
+          userId,
+          statsId: statsId || null,
+          date: new Date(date),
+          pose,
+          notes: notes || null,
+          ...stored
+        }
+      });
+
+      res.status(201).json({
+        message: 'Progress photo uploaded successfully',
+        photo: photoForOwner(photo)
+      });
+    } catch (error) {
+      await removePhotoFile(stored.fileName);
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error uploading progress photo:', error);
+    res.status(500).json({
+      message: 'Error uploading progress photo',
+      error: error.message
+    });
+  }
+});
+
+// The image of one of the user's photos
+router.get('/:id/image', authenticateToken, async (req, res) => {
+  try {
+    const photo = await findOwnedPhoto(req.params.id, req.user.id);
+
+    if (!photo) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    sendPhoto(res, photo);
+  } catch (error) {
+    console.error('Error fetching progress photo:', error);
+    res.status(500).json({
+      message: 'Error fetching progress photo',
+      error: error.message
+    });
+  }
+});
+
+// Edit a photo's date, pose, linked body metrics or notes
+router.put('/:id', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { date, pose, statsId, notes } = req.body;
+
+    const validationError = validatePhotoInput(req.body, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const existing = await findOwnedPhoto(req.params.id, userId);
+    if (!existing) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    if (statsId && !(await findOwnedStats(statsId, userId))) {
+      return res.status(404).json({ message: 'Body metrics entry not found' });
+    }
+
+    const photo = await prisma.progressPhoto.update({
+      where: { id: existing.id },
+      data: {
+        ...(date !== undefined && { date: new Date(date) }),
+        ...(pose !== undefined && { pose }),
+        ...(statsId !== undefined && { statsId: statsId || null }),
+        ...(notes !== undefined && { notes: notes || null })
+      }
+    });
+
+    res.json({
+      message: 'Progress photo updated successfully',
+      photo: photoForOwner(photo)
+    });
+  } catch (error) {
+    console.error('Error updating progress photo:', error);
+    res.status(500).json({
+      message: 'Error updating progress photo',
+      error: error.message
+    });
+  }
+});
+
+// Share a photo by link. Anyone with the link can view the image until the
+// share is revoked; sharing again keeps the same link.
+router.post('/:id/share', authenticateToken, async (req, res) => {
+  try {
+    const existing = await findOwnedPhoto(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    const photo = existing.shareToken
+      ? existing
+      : await prisma.progressPhoto.update({
+        where: { id: existing.id },
+        data: { shareToken: createShareToken(), sharedAt: new Date() }
+      });
+
+    res.json({
+      message: 'Progress photo shared',
+      photo: photoForOwner(photo)
+    });
+  } catch (error) {
+    console.error('Error sharing progress photo:', error);
+    res.status(500).json({
+      message: 'Error sharing progress photo',
+      error: error.message
+    });
+  }
+});
+
+// Revoke a photo's share link
+router.delete('/:id/share', authenticateToken, async (req, res) => {
+  try {
+    const existing = await findOwnedPhoto(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    const photo = await prisma.progressPhoto.update({
+      where: { id: existing.id },
+      data: { shareToken: null, sharedAt: null }
+    });
+
+    res.json({
+      message: 'Progress photo is private again',
+      photo: photoForOwner(photo)
+    });
+  } catch (error) {
+    console.error('Error unsharing progress photo:', error);
+    res.status(500).json({
+      message: 'Error unsharing progress photo',
+      error: error.message
+    });
+  }
+});
+
+// Delete a photo and its stored image
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const existing = await findOwnedPhoto(req.params.id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Photo not found' });
+    }
+
+    await prisma.progressPhoto.delete({
+      where: { id: existing.id }
+    });
+    await removePhotoFile(existing.fileName);
+
+    res.json({ message: 'Progress photo deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting progress photo:', error);
+    res.status(500).json({
+      message: 'Error deleting progress photo',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
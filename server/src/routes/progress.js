@@ -1,6 +1,52 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth');
+const { summarizeSets, setOneRepMax, bestOneRepMaxSet } = require('../utils/workoutSets');
+const {
+  ONE_REP_MAX_FORMULAS,
+  DEFAULT_ONE_REP_MAX_FORMULA,
+  validateOneRepMaxFormula,
+  oneRepMaxTrend
+} = require('../utils/oneRepMax');
+const { usesBodyWeight, effectiveLoad, loadContext } = require('../utils/bodyweight');
+const { getBodyWeightHistory } = require('../services/bodyWeightService');
+const { countedWorkoutWhere } = require('../utils/workoutSession');
+const { startOfDay, addDays, calendarRange, computeAdherence } = require('../utils/trainingCalendar');
+const { buildTrainingLoad, sessionLoad } = require('../utils/trainingLoad');
+const {
+  STRESS_SOURCES,
+  BANISTER_SETTINGS,
+  getBanisterSettings,
+  warmUpDays,
+  buildTrainingStress
+} = require('../utils/trainingStress');
+const { isCardioSet, summarizeCardioSets, bestEfforts } = require('../utils/cardio');
+const {
+  RECORD_TYPES,
+  REP_MAX_COUNTS,
+  RECENT_RECORD_DAYS,
+  buildRecordPost,
+  buildRepMaxTable,
+  recordForViewer
+} = require('../utils/personalRecords');
+const { listParam } = require('../utils/queryParams');
+const {
+  SECONDARY_SET_WEIGHT,
+  DEFAULT_LANDMARKS,
+  MUSCLE_LANDMARKS,
+  muscleKey,
+  validateLandmarks,
+  buildMuscleVolume
+} = require('../utils/muscleVolume');
+const { getUserStreak } = require('../services/streakService');
+const { trackUserActivity } = require('../middleware/activityTracking');
+const {
+  getUnitPreferences,
+  fromKilograms,
+  setForViewer,
+  cardioForViewer,
+  unitsMeta
+} = require('../utils/units');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -16,62 +62,25 @@ router.get('/summary', authenticateToken, async (req, res) => {
 
     // Get workout count and streak
     const totalWorkouts = await prisma.workout.count({
-      where: { userId }
+      where: { userId, ...countedWorkoutWhere }
     });
 
     const recentWorkouts = await prisma.workout.count({
       where: {
         userId,
+        ...countedWorkoutWhere,
         date: { gte: startDate }
       }
     });
 
-    // Calculate current streak
-    const workoutsForStreak = await prisma.workout.findMany({
-      where: { userId },
-      orderBy: { date: 'desc' },
-      take: 100, // Look at last 100 workouts for streak calculation
-      select: { date: true }
-    });
-
-    let currentStreak = 0;
-    let lastWorkoutDate = null;
-
-    for (const workout of workoutsForStreak) {
-      const workoutDate = new Date(workout.date);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      workoutDate.setHours(0, 0, 0, 0);
-
-      if (!lastWorkoutDate) {
-        // First workout in the list
-        const daysDiff = Math.floor((today - workoutDate) / (1000 * 60 * 60 * 24));
-        if (daysDiff <= 1) { // Today or yesterday
-          currentStreak = 1;
-          lastWorkoutDate = workoutDate;
-        } else {
-          break; // No recent workout, streak is 0
-        }
-      } else {
-        // Check if this workout is consecutive
-        const daysDiff = Math.floor((lastWorkoutDate - workoutDate) / (1000 * 60 * 60 * 24));
-        if (daysDiff === 1) {
-          currentStreak++;
-          lastWorkoutDate = workoutDate;
-        } else if (daysDiff === 0) {
-          // Same day, continue
-          lastWorkoutDate = workoutDate;
-        } else {
-          break; // Gap in streak
-        }
-      }
-    }
+    // Current streak, in the user's timezone and by their streak rules
+    const streak = await getUserStreak(userId);
 
     // Get favorite exercises (most frequently used)
     const exerciseUsage = await prisma.workoutExercise.groupBy({
       by: ['exerciseId'],
       where: {
-        workout: { userId }
+        workout: { userId, ...countedWorkoutWhere }
       },
       _count: {
         exerciseId: true
@@ -100,6 +109,7 @@ router.get('/summary', authenticateToken, async (req, res) => {
     const totalDuration = await prisma.workout.aggregate({
       where: {
         userId,
+        ...countedWorkoutWhere,
         duration: { not: null }
       },
       _sum: {
@@ -107,13 +117,30 @@ router.get('/summary', authenticateToken, async (req, res) => {
       }
     });
 
+    // Planned sessions in the period whose day has passed
+    const plannedWorkouts = await prisma.workout.findMany({
+      where: {
+        userId,
+        deletedAt: null,
+        scheduledFor: { gte: startDate, lt: startOfDay(new Date()) }
+      },
+      select: { status: true }
+    });
+
     res.json({
       summary: {
         totalWorkouts,
         recentWorkouts,
-        currentStreak,
+        currentStreak: streak.current,
+        streak: {
+          type: streak.type,
+          unit: streak.unit,
+          current: streak.current,
+          longest: streak.longest ? streak.longest.length : 0
+        },
         totalTimeMinutes: totalDuration._sum.duration || 0,
         favoriteExercises,
+        adherence: computeAdherence(plannedWorkouts),
         period: `Last ${days} days`
       }
     });
@@ -126,12 +153,34 @@ router.get('/summary', authenticateToken, async (req, res) => {
   }
 });
 
+// Current and longest streak with the history of longest streaks, by the
+// user's streak rules (see /api/preferences/streak)
+router.get('/streak', authenticateToken, async (req, res) => {
+  try {
+    const streak = await getUserStreak(req.user.id);
+
+    res.json({ streak });
+  } catch (error) {
+    console.error('Error fetching streak:', error);
+    res.status(500).json({
+      message: 'Error fetching streak',
+      error: error.message
+    });
+  }
+});
+
 // Get exercise-specific progress (strength progression)
+// Query: limit (sessions, default 20), formula=epley|brzycki|lombardi for e1RM
 router.get('/exercise/:exerciseId', authenticateToken, async (req, res) => {
   try {
     const { exerciseId } = req.params;
     const userId = req.user.id;
-    const { limit = 20 } = req.query;
+    const { limit = 20, formula = DEFAULT_ONE_REP_MAX_FORMULA } = req.query;
+
+    const formulaError = validateOneRepMaxFormula(formula);
+    if (formulaError) {
+      return res.status(400).json({ message: formulaError });
+    }
 
     // Get exercise details
     const exercise = await prisma.exercise.findUnique({
@@ -146,7 +195,7 @@ router.get('/exercise/:exerciseId', authenticateToken, async (req, res) => {
     const exerciseHistory = await prisma.workoutExercise.findMany({
       where: {
         exerciseId,
-        workout: { userId }
+        workout: { userId, ...countedWorkoutWhere }
       },
       include: {
         workout: {
@@ -155,6 +204,12 @@ router.get('/exercise/:exerciseId', authenticateToken, async (req, res) => {
             name: true,
             date: true
           }
+        },
+        sets: {
+          orderBy: { order: 'asc' }
+        },
+        group: {
+          select: { type: true, rounds: true }
         }
       },
       orderBy: {
@@ -166,34 +221,39 @@ router.get('/exercise/:exerciseId', authenticateToken, async (req, res) => {
     });
 
     // Calculate progression metrics
+    // Volume always comes from this exercise's own sets, so exercises performed
+    // inside a superset or circuit are attributed correctly
+    // Bodyweight exercises use the body weight logged around each workout date
+    const preferences = getUnitPreferences(req.user);
+    const bodyWeightHistory = usesBodyWeight(exercise.loadType) ? await getBodyWeightHistory(userId) : [];
     const progressData = exerciseHistory.map(entry => {
-      const maxWeight = Array.isArray(entry.weight) 
-        ? Math.max(...entry.weight.filter(w => w > 0))
-        : 0;
-      const totalVolume = Array.isArray(entry.weight) && Array.isArray(entry.reps)
-        ? entry.weight.reduce((sum, weight, index) => 
-            sum + (weight * (entry.reps[index] || 0)), 0)
-        : 0;
-      const maxReps = Array.isArray(entry.reps)
-        ? Math.max(...entry.reps)
-        : 0;
+      const load = loadContext(exercise, bodyWeightHistory, entry.workout.date);
+      const { workingSets, maxWeight, maxReps, totalVolume, estimatedOneRepMax } = summarizeSets(entry.sets, load, formula);
 
       return {
         date: entry.workout.date,
         workoutName: entry.workout.name,
-        sets: entry.sets,
-        reps: entry.reps,
-        weight: entry.weight,
-        maxWeight,
+        sets: entry.sets.map(set => ({
+          ...setForViewer(set, preferences),
+          effectiveLoad: fromKilograms(effectiveLoad(set, load), preferences.weightUnit),
+          estimatedOneRepMax: fromKilograms(setOneRepMax(set, load, formula), preferences.weightUnit)
+        })),
+        workingSets,
+        groupType: entry.group ? entry.group.type : null,
+        bodyWeight: fromKilograms(load.bodyWeight, preferences.weightUnit),
+        maxWeight: fromKilograms(maxWeight, preferences.weightUnit),
         maxReps,
-        totalVolume
+        totalVolume: fromKilograms(totalVolume, preferences.weightUnit),
+        estimatedOneRepMax: fromKilograms(estimatedOneRepMax, preferences.weightUnit),
+        cardio: entry.sets.some(isCardioSet) ? cardioForViewer(summarizeCardioSets(entry.sets), preferences) : null
       };
     });
 
     // Calculate personal records
-    const allTimeMaxWeight = Math.max(...progressData.map(p => p.maxWeight));
-    const allTimeMaxVolume = Math.max(...progressData.map(p => p.totalVolume));
-    const allTimeMaxReps = Math.max(...progressData.map(p => p.maxReps));
+    const allTimeMaxWeight = Math.max(0, ...progressData.map(p => p.maxWeight));
+    const allTimeMaxVolume = Math.max(0, ...progressData.map(p => p.totalVolume));
+    const allTimeMaxReps = Math.max(0, ...progressData.map(p => p.maxReps));
+    const allTimeMaxOneRepMax = Math.max(0, ...progressData.map(p => p.estimatedOneRepMax));
 
     res.json({
       exercise,
@@ -201,8 +261,14 @@ router.get('/exercise/:exerciseId', authenticateToken, async (req, res) => {
       personalRecords: {
         maxWeight: allTimeMaxWeight,
         maxVolume: allTimeMaxVolume,
-        maxReps: allTimeMaxReps
+        maxReps: allTimeMaxReps,
+        estimatedOneRepMax: allTimeMaxOneRepMax
       },
+      formula,
+      oneRepMaxTrend: oneRepMaxTrend(progressData),
+      // Without a logged body weight only the added load counts
+      bodyWeightMissing: usesBodyWeight(exercise.loadType) && bodyWeightHistory.length === 0,
+      units: unitsMeta(preferences),
       totalSessions: progressData.length
     });
   } catch (error) {
@@ -214,6 +280,174 @@ router.get('/exercise/:exerciseId', authenticateToken, async (req, res) => {
   }
 });
 
+// e1RM history of an exercise: the best estimate of each session, the best
+// ever and the trend line
+// Query: formula=epley|brzycki|lombardi, days (default all history)
+router.get('/exercise/:exerciseId/one-rep-max', authenticateToken, async (req, res) => {
+  try {
+    const { exerciseId } = req.params;
+    const userId = req.user.id;
+    const { formula = DEFAULT_ONE_REP_MAX_FORMULA, days } = req.query;
+
+    const formulaError = validateOneRepMaxFormula(formula);
+    if (formulaError) {
+      return res.status(400).json({ message: formulaError });
+    }
+
+    if (days !== undefined && (!/^\d+$/.test(String(days)) || parseInt(days) < 1)) {
+      return res.status(400).json({ message: 'days must be a positive whole number' });
+    }
+
+    const exercise = await prisma.exercise.findUnique({
+      where: { id: exerciseId }
+    });
+
+    if (!exercise) {
+      return res.status(404).json({ message: 'Exercise not found' });
+    }
+
+    const startDate = days ? new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000) : null;
+
+    const entries = await prisma.workoutExercise.findMany({
+      where: {
+        exerciseId,
+        workout: {
+          userId,
+          ...countedWorkoutWhere,
+          ...(startDate && { date: { gte: startDate } })
+        }
+      },
+      include: {
+        workout: {
+          select: { id: true, name: true, date: true }
+        },
+        sets: true
+      },
+      orderBy: {
+        workout: { date: 'asc' }
+      }
+    });
+
+    const preferences = getUnitPreferences(req.user);
+    const bodyWeightHistory = usesBodyWeight(exercise.loadType) ? await getBodyWeightHistory(userId) : [];
+
+    const history = entries
+      .map(entry => {
+        const load = loadContext(exercise, bodyWeightHistory, entry.workout.date);
+        const best = bestOneRepMaxSet(entry.sets, load, formula);
+        if (!best) return null;
+
+        return {
+          date: entry.workout.date,
+          workoutId: entry.workout.id,
+          workoutName: entry.workout.name,
+          estimatedOneRepMax: fromKilograms(best.estimatedOneRepMax, preferences.weightUnit),
+          weight: fromKilograms(effectiveLoad(best.set, load), preferences.weightUnit),
+          reps: best.set.reps
+        };
+      })
+      .filter(Boolean);
+
+    const best = history.reduce((max, point) =>
+      (!max || point.estimatedOneRepMax > max.estimatedOneRepMax ? point : max), null);
+
+    res.json({
+      exercise,
+      formula,
+      formulas: Object.keys(ONE_REP_MAX_FORMULAS),
+      history,
+      best,
+      trend: oneRepMaxTrend(history),
+      bodyWeightMissing: usesBodyWeight(exercise.loadType) && bodyWeightHistory.length === 0,
+      units: unitsMeta(preferences)
+    });
+  } catch (error) {
+    console.error('Error fetching one-rep max history:', error);
+    res.status(500).json({ 
+      message: 'Error fetching one-rep max history',
+      error: error.message 
+    });
+  }
+});
+
+// Rep-max table of an exercise: the heaviest weight done for each rep count,
+// with the session it was done in. Cells set in the last `days` are flagged
+// as changed along with the weight they beat.
+// Query: reps=1,3,5 (default 1, 3, 5, 8, 10, 12), days (default 30)
+router.get('/exercise/:exerciseId/rep-records', authenticateToken, async (req, res) => {
+  try {
+    const { exerciseId } = req.params;
+    const userId = req.user.id;
+    const days = parseInt(req.query.days) || RECENT_RECORD_DAYS;
+    const repsParam = listParam(req.query.reps);
+    const counts = repsParam
+      ? [...new Set(repsParam.map(Number))].sort((a, b) => a - b)
+      : REP_MAX_COUNTS;
+
+    if (counts.some(count => !Number.isInteger(count) || count < 1 || count > 50)) {
+      return res.status(400).json({ message: 'Reps must be whole numbers from 1 to 50' });
+    }
+
+    const exercise = await prisma.exercise.findUnique({
+      where: { id: exerciseId }
+    });
+
+    if (!exercise) {
+      return res.status(404).json({ message: 'Exercise not found' });
+    }
+
+    const entries = await prisma.workoutExercise.findMany({
+      where: {
+        exerciseId,
+        workout: { userId, ...countedWorkoutWhere }
+      },
+      include: {
+        workout: {
+          select: { id: true, name: true, date: true }
+        },
+        sets: true
+      },
+      orderBy: {
+        workout: { date: 'asc' }
+      }
+    });
+
+    const bodyWeightHistory = usesBodyWeight(exercise.loadType) ? await getBodyWeightHistory(userId) : [];
+    const since = addDays(startOfDay(new Date()), -days);
+
+    const table = buildRepMaxTable(entries.map(entry => ({
+      date: entry.workout.date,
+      workoutId: entry.workout.id,
+      workoutName: entry.workout.name,
+      sets: entry.sets,
+      load: loadContext(exercise, bodyWeightHistory, entry.workout.date)
+    })), counts, since);
+
+    // Weights are compared in kg, then converted for display
+    const preferences = getUnitPreferences(req.user);
+    const records = table.map(cell => ({
+      ...cell,
+      weight: fromKilograms(cell.weight, preferences.weightUnit),
+      previousWeight: fromKilograms(cell.previousWeight, preferences.weightUnit)
+    }));
+
+    res.json({
+      exercise,
+      records,
+      changedSince: since,
+      changedCount: records.filter(cell => cell.changed).length,
+      bodyWeightMissing: usesBodyWeight(exercise.loadType) && bodyWeightHistory.length === 0,
+      units: unitsMeta(preferences)
+    });
+  } catch (error) {
+    console.error('Error fetching rep records:', error);
+    res.status(500).json({
+      message: 'Error fetching rep records',
+      error: error.message
+    });
+  }
+});
+
 // Get workout frequency analytics
 router.get('/frequency', authenticateToken, async (req, res) => {
   try {
@@ -226,6 +460,7 @@ router.get('/frequency', authenticateToken, async (req, res) => {
     const workouts = await prisma.workout.findMany({
       where: {
         userId,
+        ...countedWorkoutWhere,
         date: { gte: startDate }
       },
       select: {
@@ -287,6 +522,125 @@ router.get('/frequency', authenticateToken, async (req, res) => {
   }
 });
 
+// Session-RPE training load: per-session load (sRPE x minutes), daily load,
+// weekly load, monotony and strain, rating averages and overreaching warnings
+// Query: weeks (default 12, max 52)
+router.get('/training-load', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 12, 1), 52);
+
+    const now = new Date();
+    const today = startOfDay(now);
+    const startDate = addDays(today, -today.getUTCDay() - (weeks - 1) * 7);
+
+    const workouts = await prisma.workout.findMany({
+      where: {
+        userId,
+        ...countedWorkoutWhere,
+        date: { gte: startDate }
+      },
+      select: {
+        id: true,
+        name: true,
+        date: true,
+        duration: true,
+        sessionRpe: true,
+        preWorkoutEnergy: true,
+        postWorkoutMood: true,
+        soreness: true
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    res.json({
+      ...buildTrainingLoad(workouts, weeks, now),
+      period: `Last ${weeks} weeks`
+    });
+  } catch (error) {
+    console.error('Error fetching training load:', error);
+    res.status(500).json({ 
+      message: 'Error fetching training load',
+      error: error.message 
+    });
+  }
+});
+
+// Fitness, fatigue and form curves with the acute:chronic workload ratio.
+// The model constants are the user's (see PUT /api/preferences/training-stress).
+// Query: days (default 90, max 365), source=srpe|volume (default srpe)
+router.get('/training-stress', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 7), 365);
+    const { source = 'srpe' } = req.query;
+
+    if (!STRESS_SOURCES.includes(source)) {
+      return res.status(400).json({ message: `Source must be one of: ${STRESS_SOURCES.join(', ')}` });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: Object.fromEntries(Object.keys(BANISTER_SETTINGS).map(field => [field, true]))
+    });
+    const settings = getBanisterSettings(user);
+
+    const now = new Date();
+    const from = addDays(startOfDay(now), -(days - 1));
+
+    const workouts = await prisma.workout.findMany({
+      where: {
+        userId,
+        ...countedWorkoutWhere,
+        date: { gte: addDays(from, -warmUpDays(settings)) }
+      },
+      select: {
+        id: true,
+        date: true,
+        duration: true,
+        sessionRpe: true,
+        ...(source === 'volume' && {
+          exercises: {
+            include: { exercise: true, sets: true }
+          }
+        })
+      },
+      orderBy: { date: 'asc' }
+    });
+
+    let sessions = workouts;
+    if (source === 'volume') {
+      const bodyWeightHistory = workouts.some(workout => workout.exercises.some(we => usesBodyWeight(we.exercise.loadType)))
+        ? await getBodyWeightHistory(userId)
+        : [];
+
+      sessions = workouts.map(workout => ({
+        ...workout,
+        volume: workout.exercises.reduce((sum, we) =>
+          sum + summarizeSets(we.sets, loadContext(we.exercise, bodyWeightHistory, workout.date)).totalVolume, 0)
+      }));
+    }
+
+    const stress = buildTrainingStress(sessions, { from, to: now, source, settings });
+
+    res.json({
+      source,
+      settings,
+      ...stress,
+      unratedSessions: source === 'srpe'
+        ? workouts.filter(workout => workout.date >= from && sessionLoad(workout) === null).length
+        : 0,
+      period: `Last ${days} days`
+    });
+  } catch (error) {
+    console.error('Error fetching training stress:', error);
+    res.status(500).json({
+      message: 'Error fetching training stress',
+      error: error.message
+    });
+  }
+});
+
 // Get muscle group balance analytics
 router.get('/muscle-groups', authenticateToken, async (req, res) => {
   try {
@@ -301,6 +655,7 @@ router.get('/muscle-groups', authenticateToken, async (req, res) => {
       where: {
         workout: {
           userId,
+          ...countedWorkoutWhere,
           date: { gte: startDate }
         }
       },
@@ -308,12 +663,24 @@ router.get('/muscle-groups', authenticateToken, async (req, res) => {
         exercise: {
           select: {
             muscleGroups: true,
-            name: true
+            name: true,
+            loadType: true,
+            bodyweightFactor: true
           }
-        }
+        },
+        workout: {
+          select: {
+            date: true
+          }
+        },
+        sets: true
       }
     });
 
+    const bodyWeightHistory = workoutExercises.some(we => usesBodyWeight(we.exercise.loadType))
+      ? await getBodyWeightHistory(userId)
+      : [];
+
     // Count muscle group usage
     const muscleGroupCount = {};
     const exerciseVolume = {};
@@ -328,24 +695,23 @@ router.get('/muscle-groups', authenticateToken, async (req, res) => {
           muscleGroupCount[muscleGroup]++;
           
           // Calculate volume for this muscle group
-          const volume = Array.isArray(we.weight) && Array.isArray(we.reps)
-            ? we.weight.reduce((sum, weight, index) => 
-                sum + (weight * (we.reps[index] || 0)), 0)
-            : 0;
-          exerciseVolume[muscleGroup] += volume;
+          const load = loadContext(we.exercise, bodyWeightHistory, we.workout.date);
+          exerciseVolume[muscleGroup] += summarizeSets(we.sets, load).totalVolume;
         });
       }
     });
 
     // Convert to array and sort
+    const preferences = getUnitPreferences(req.user);
     const muscleGroupAnalytics = Object.keys(muscleGroupCount).map(muscleGroup => ({
       muscleGroup,
       exerciseCount: muscleGroupCount[muscleGroup],
-      totalVolume: exerciseVolume[muscleGroup]
+      totalVolume: fromKilograms(exerciseVolume[muscleGroup], preferences.weightUnit)
     })).sort((a, b) => b.exerciseCount - a.exerciseCount);
 
     res.json({
       muscleGroupBalance: muscleGroupAnalytics,
+      units: unitsMeta(preferences),
       period: `Last ${days} days`,
       totalExercises: workoutExercises.length
     });
@@ -358,31 +724,188 @@ router.get('/muscle-groups', authenticateToken, async (req, res) => {
   }
 });
 
+// The user's landmarks keyed by muscleKey
+const findUserLandmarks = async (userId) => {
+  const landmarks = await prisma.muscleVolumeLandmark.findMany({
+    where: { userId }
+  });
+  return Object.fromEntries(landmarks.map(landmark => [landmark.muscleKey, landmark]));
+};
+
+// Weekly hard sets per muscle group against the volume landmarks (MEV/MAV/MRV).
+// Secondary muscles of an exercise count half a set. Each muscle is flagged
+// as under, productive, high or over from the last completed week.
+// Query: weeks (default 8, from 2 to 26)
+router.get('/muscle-volume', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const weeks = Math.min(Math.max(parseInt(req.query.weeks) || 8, 2), 26);
+
+    const now = new Date();
+    const startDate = addDays(calendarRange('week', now).start, -(weeks - 1) * 7);
+
+    const workoutExercises = await prisma.workoutExercise.findMany({
+      where: {
+        workout: {
+          userId,
+          ...countedWorkoutWhere,
+          date: { gte: startDate }
+        }
+      },
+      include: {
+        exercise: { select: { muscleGroups: true } },
+        workout: { select: { date: true } },
+        sets: true
+      }
+    });
+
+    const muscles = buildMuscleVolume(
+      workoutExercises.map(we => ({ exercise: we.exercise, sets: we.sets, date: we.workout.date })),
+      weeks,
+      await findUserLandmarks(userId),
+      now
+    );
+
+    res.json({
+      muscles,
+      underTrained: muscles.filter(muscle => muscle.status === 'under').map(muscle => muscle.muscleGroup),
+      overTrained: muscles.filter(muscle => muscle.status === 'over').map(muscle => muscle.muscleGroup),
+      secondarySetWeight: SECONDARY_SET_WEIGHT,
+      period: `Last ${weeks} weeks`
+    });
+  } catch (error) {
+    console.error('Error fetching muscle volume:', error);
+    res.status(500).json({
+      message: 'Error fetching muscle volume',
+      error: error.message
+    });
+  }
+});
+
+// Get the user's volume landmarks and the defaults used for other muscles
+router.get('/muscle-volume/landmarks', authenticateToken, async (req, res) => {
+  try {
+    const landmarks = await prisma.muscleVolumeLandmark.findMany({
+      where: { userId: req.user.id },
+      orderBy: { muscleKey: 'asc' }
+    });
+
+    res.json({
+      landmarks,
+      defaults: MUSCLE_LANDMARKS,
+      fallback: DEFAULT_LANDMARKS
+    });
+  } catch (error) {
+    console.error('Error fetching volume landmarks:', error);
+    res.status(500).json({
+      message: 'Error fetching volume landmarks',
+      error: error.message
+    });
+  }
+});
+
+// Set the weekly set landmarks of a muscle group
+// Body: { mev, mav, mrv }
+router.put('/muscle-volume/landmarks/:muscleGroup', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const muscleGroup = req.params.muscleGroup.trim();
+
+    if (!muscleGroup) {
+      return res.status(400).json({ message: 'Muscle group is required' });
+    }
+
+    const validationError = validateLandmarks(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const values = {
+      muscleGroup,
+      mev: Number(req.body.mev),
+      mav: Number(req.body.mav),
+      mrv: Number(req.body.mrv)
+    };
+
+    const landmark = await prisma.muscleVolumeLandmark.upsert({
+      where: { userId_muscleKey: { userId, muscleKey: muscleKey(muscleGroup) } },
+      create: { userId, muscleKey: muscleKey(muscleGroup), ...values },
+      update: values
+    });
+
+    res.json({
+      message: 'Volume landmarks saved successfully',
+      landmark
+    });
+  } catch (error) {
+    console.error('Error saving volume landmarks:', error);
+    res.status(500).json({
+      message: 'Error saving volume landmarks',
+      error: error.message
+    });
+  }
+});
+
+// Go back to the default landmarks for a muscle group
+router.delete('/muscle-volume/landmarks/:muscleGroup', authenticateToken, async (req, res) => {
+  try {
+    const result = await prisma.muscleVolumeLandmark.deleteMany({
+      where: { userId: req.user.id, muscleKey: muscleKey(req.params.muscleGroup) }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ message: 'No landmarks set for this muscle group' });
+    }
+
+    res.json({ message: 'Volume landmarks reset to the defaults' });
+  } catch (error) {
+    console.error('Error resetting volume landmarks:', error);
+    res.status(500).json({
+      message: 'Error resetting volume landmarks',
+      error: error.message
+    });
+  }
+});
+
 // Get personal records across all exercises
+// Query: formula=epley|brzycki|lombardi for the e1RM record
 router.get('/records', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
+    const { formula = DEFAULT_ONE_REP_MAX_FORMULA } = req.query;
+
+    const formulaError = validateOneRepMaxFormula(formula);
+    if (formulaError) {
+      return res.status(400).json({ message: formulaError });
+    }
 
     // Get all workout exercises for the user
     const workoutExercises = await prisma.workoutExercise.findMany({
       where: {
-        workout: { userId }
+        workout: { userId, ...countedWorkoutWhere }
       },
       include: {
         exercise: {
           select: {
             id: true,
-            name: true
+            name: true,
+            loadType: true,
+            bodyweightFactor: true
           }
         },
         workout: {
           select: {
             date: true
           }
-        }
+        },
+        sets: true
       }
     });
 
+    const bodyWeightHistory = workoutExercises.some(we => usesBodyWeight(we.exercise.loadType))
+      ? await getBodyWeightHistory(userId)
+      : [];
+
     // Calculate records for each exercise
     const exerciseRecords = {};
 
@@ -394,25 +917,23 @@ router.get('/records', authenticateToken, async (req, res) => {
         exerciseRecords[exerciseId] = {
           exerciseId,
           exerciseName,
+          loadType: we.exercise.loadType,
           maxWeight: 0,
           maxVolume: 0,
           maxReps: 0,
+          estimatedOneRepMax: 0,
           maxWeightDate: null,
           maxVolumeDate: null,
-          maxRepsDate: null
+          maxRepsDate: null,
+          estimatedOneRepMaxDate: null,
+          estimatedOneRepMaxSet: null
         };
       }
 
-      const maxWeight = Array.isArray(we.weight) 
-        ? Math.max(...we.weight.filter(w => w > 0))
-        : 0;
-      const totalVolume = Array.isArray(we.weight) && Array.isArray(we.reps)
-        ? we.weight.reduce((sum, weight, index) => 
-            sum + (weight * (we.reps[index] || 0)), 0)
-        : 0;
-      const maxReps = Array.isArray(we.reps)
-        ? Math.max(...we.reps)
-        : 0;
+      const load = loadContext(we.exercise, bodyWeightHistory, we.workout.date);
+      const { maxWeight, totalVolume, maxReps } = summarizeSets(we.sets, load, formula);
+      const bestSet = bestOneRepMaxSet(we.sets, load, formula);
+      const estimatedOneRepMax = bestSet ? bestSet.estimatedOneRepMax : 0;
 
       // Update records if this is a new PR
       if (maxWeight > exerciseRecords[exerciseId].maxWeight) {
@@ -429,14 +950,34 @@ router.get('/records', authenticateToken, async (req, res) => {
         exerciseRecords[exerciseId].maxReps = maxReps;
         exerciseRecords[exerciseId].maxRepsDate = we.workout.date;
       }
+
+      if (estimatedOneRepMax > exerciseRecords[exerciseId].estimatedOneRepMax) {
+        exerciseRecords[exerciseId].estimatedOneRepMax = estimatedOneRepMax;
+        exerciseRecords[exerciseId].estimatedOneRepMaxDate = we.workout.date;
+        exerciseRecords[exerciseId].estimatedOneRepMaxSet = { weight: effectiveLoad(bestSet.set, load), reps: bestSet.set.reps };
+      }
     });
 
+    // Records are compared in kg, then converted for display
+    const preferences = getUnitPreferences(req.user);
     const personalRecords = Object.values(exerciseRecords)
       .filter(record => record.maxWeight > 0 || record.maxVolume > 0 || record.maxReps > 0)
-      .sort((a, b) => b.maxWeight - a.maxWeight);
+      .sort((a, b) => b.maxWeight - a.maxWeight)
+      .map(record => ({
+        ...record,
+        maxWeight: fromKilograms(record.maxWeight, preferences.weightUnit),
+        maxVolume: fromKilograms(record.maxVolume, preferences.weightUnit),
+        estimatedOneRepMax: fromKilograms(record.estimatedOneRepMax, preferences.weightUnit),
+        estimatedOneRepMaxSet: record.estimatedOneRepMaxSet && {
+          ...record.estimatedOneRepMaxSet,
+          weight: fromKilograms(record.estimatedOneRepMaxSet.weight, preferences.weightUnit)
+        }
+      }));
 
     res.json({
       personalRecords,
+      formula,
+      units: unitsMeta(preferences),
       totalExercises: personalRecords.length
     });
   } catch (error) {
@@ -448,4 +989,308 @@ router.get('/records', authenticateToken, async (req, res) => {
   }
 });
 
+// PR events detected as sets were saved, newest first
+// Query: exerciseId, type=weight|reps|volume|e1rm, limit (default 50, max 200)
+router.get('/personal-records', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { exerciseId, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    if (type !== undefined && !RECORD_TYPES[type]) {
+      return res.status(400).json({ message: `Type must be one of: ${Object.keys(RECORD_TYPES).join(', ')}` });
+    }
+
+    const records = await prisma.personalRecord.findMany({
+      where: {
+        userId,
+        workout: { deletedAt: null },
+        ...(exerciseId && { exerciseId }),
+        ...(type && { type })
+      },
+      include: {
+        exercise: { select: { id: true, name: true } },
+        workout: { select: { id: true, name: true } }
+      },
+      orderBy: [{ achievedAt: 'desc' }, { createdAt: 'desc' }],
+      take: limit
+    });
+
+    const preferences = getUnitPreferences(req.user);
+
+    res.json({
+      personalRecords: records.map(record => recordForViewer(record, preferences)),
+      units: unitsMeta(preferences)
+    });
+  } catch (error) {
+    console.error('Error fetching personal record events:', error);
+    res.status(500).json({
+      message: 'Error fetching personal record events',
+      error: error.message
+    });
+  }
+});
+
+// Publish a PR as an achievement post. Uses the drafted text unless `content`
+// is given; the achievementData always comes from the record itself.
+// Body: { content, privacy }
+router.post('/personal-records/:id/share', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { content, privacy = 'public' } = req.body;
+
+    if (!['public', 'friends', 'private'].includes(privacy)) {
+      return res.status(400).json({ message: 'Privacy must be one of: public, friends, private' });
+    }
+
+    const record = await prisma.personalRecord.findFirst({
+      where: { id: req.params.id, userId, workout: { deletedAt: null } },
+      include: {
+        exercise: { select: { name: true } },
+        post: { select: { id: true, deletedAt: true } }
+      }
+    });
+
+    if (!record) {
+      return res.status(404).json({ message: 'Personal record not found' });
+    }
+
+    if (record.post && !record.post.deletedAt) {
+      return res.status(409).json({ message: 'Personal record has already been shared', postId: record.post.id });
+    }
+
+    const preferences = getUnitPreferences(req.user);
+    const { content: draftContent, achievementData } = buildRecordPost(record, record.exercise.name, preferences.weightUnit);
+    const postContent = (content && content.trim()) || (record.postDraft && record.postDraft.content) || draftContent;
+
+    const post = await prisma.post.create({
+      data: {
+        userId,
+        type: 'achievement',
+        content: postContent,
+        privacy,
+        achievementData: { ...achievementData, personalRecordId: record.id }
+      }
+    });
+
+    const updated = await prisma.personalRecord.update({
+      where: { id: record.id },
+      data: { postId: post.id }
+    });
+
+    await trackUserActivity(userId, 'achievement', {
+      requestData: { achievementData: post.achievementData }
+    });
+
+    res.status(201).json({
+      message: 'Personal record shared successfully',
+      post,
+      personalRecord: recordForViewer(updated, preferences)
+    });
+  } catch (error) {
+    console.error('Error sharing personal record:', error);
+    res.status(500).json({
+      message: 'Error sharing personal record',
+      error: error.message
+    });
+  }
+});
+
+// Load completed cardio entries (exercises with distance or time logged) for a user
+const findCardioEntries = (userId, startDate) => prisma.workoutExercise.findMany({
+  where: {
+    workout: {
+      userId,
+      ...countedWorkoutWhere,
+      ...(startDate && { date: { gte: startDate } })
+    },
+    sets: {
+      some: {
+        completed: true,
+        OR: [{ distance: { not: null } }, { durationSeconds: { not: null } }]
+      }
+    }
+  },
+  include: {
+    exercise: {
+      select: { id: true, name: true }
+    },
+    workout: {
+      select: { id: true, name: true, date: true }
+    },
+    sets: {
+      orderBy: { order: 'asc' }
+    }
+  },
+  orderBy: {
+    workout: { date: 'asc' }
+  }
+});
+
+// Get cardio summaries: weekly distance and time, best pace per distance
+router.get('/cardio', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { weeks = 12, exerciseId } = req.query;
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(weeks) * 7);
+
+    const entries = (await findCardioEntries(userId, startDate))
+      .filter(entry => !exerciseId || entry.exercise.id === exerciseId);
+
+    // Group by week (Sunday start, same as /frequency)
+    const weeklyData = {};
+    const totals = { sessions: 0, distance: 0, durationSeconds: 0, elevationGain: 0 };
+
+    const sessions = entries.map(entry => {
+      const summary = summarizeCardioSets(entry.sets);
+      const date = new Date(entry.workout.date);
+      const weekStart = new Date(date);
+      weekStart.setDate(date.getDate() - date.getDay());
+      const weekKey = weekStart.toISOString().split('T')[0];
+
+      if (!weeklyData[weekKey]) {
+        weeklyData[weekKey] = {
+          week: weekKey,
+          sessions: 0,
+          distance: 0,
+          durationSeconds: 0,
+          elevationGain: 0
+        };
+      }
+
+      weeklyData[weekKey].sessions++;
+      weeklyData[weekKey].distance += summary.distance;
+      weeklyData[weekKey].durationSeconds += summary.durationSeconds;
+      weeklyData[weekKey].elevationGain += summary.elevationGain;
+
+      totals.sessions++;
+      totals.distance += summary.distance;
+      totals.durationSeconds += summary.durationSeconds;
+      totals.elevationGain += summary.elevationGain;
+
+      return {
+        workoutId: entry.workout.id,
+        workoutName: entry.workout.name,
+        date: entry.workout.date,
+        exerciseId: entry.exercise.id,
+        exerciseName: entry.exercise.name,
+        ...summary
+      };
+    });
+
+    // Totals are computed in meters, then converted to the viewer's units
+    const preferences = getUnitPreferences(req.user);
+    const toViewer = (summary) => cardioForViewer(summary, preferences);
+
+    res.json({
+      weeklyDistance: Object.values(weeklyData).map(toViewer),
+      bestPaces: bestEfforts(sessions).map(toViewer),
+      sessions: sessions.reverse().map(toViewer), // Most recent first
+      totals: toViewer({
+        ...totals,
+        paceSecondsPerKm: totals.distance > 0 && totals.durationSeconds > 0
+          ? Math.round(totals.durationSeconds / (totals.distance / 1000))
+          : null
+      }),
+      units: unitsMeta(preferences),
+      period: `Last ${weeks} weeks`
+    });
+  } catch (error) {
+    console.error('Error fetching cardio progress:', error);
+    res.status(500).json({
+      message: 'Error fetching cardio progress',
+      error: error.message
+    });
+  }
+});
+
+// Get cardio personal records across all cardio exercises
+router.get('/cardio/records', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const entries = await findCardioEntries(userId);
+
+    const exerciseRecords = {};
+
+    entries.forEach(entry => {
+      const exerciseId = entry.exercise.id;
+      const summary = summarizeCardioSets(entry.sets);
+      const session = {
+        ...summary,
+        date: entry.workout.date,
+        workoutId: entry.workout.id
+      };
+
+      if (!exerciseRecords[exerciseId]) {
+        exerciseRecords[exerciseId] = {
+          exerciseId,
+          exerciseName: entry.exercise.name,
+          longestDistance: null,
+          longestDuration: null,
+          mostElevation: null,
+          fastestSegment: null,
+          sessions: []
+        };
+      }
+
+      const record = exerciseRecords[exerciseId];
+      record.sessions.push(session);
+
+      if (summary.distance > 0 && (!record.longestDistance || summary.distance > record.longestDistance.distance)) {
+        record.longestDistance = { distance: summary.distance, date: session.date, workoutId: session.workoutId };
+      }
+
+      if (summary.durationSeconds > 0 && (!record.longestDuration || summary.durationSeconds > record.longestDuration.durationSeconds)) {
+        record.longestDuration = { durationSeconds: summary.durationSeconds, date: session.date, workoutId: session.workoutId };
+      }
+
+      if (summary.elevationGain > 0 && (!record.mostElevation || summary.elevationGain > record.mostElevation.elevationGain)) {
+        record.mostElevation = { elevationGain: summary.elevationGain, date: session.date, workoutId: session.workoutId };
+      }
+
+      // Fastest single interval, e.g. the best 400m repeat
+      entry.sets
+        .filter(set => set.completed !== false && set.distance > 0 && set.durationSeconds > 0)
+        .forEach(set => {
+          const pace = Math.round(set.durationSeconds / (set.distance / 1000));
+          if (!record.fastestSegment || pace < record.fastestSegment.paceSecondsPerKm) {
+            record.fastestSegment = {
+              distance: set.distance,
+              durationSeconds: set.durationSeconds,
+              paceSecondsPerKm: pace,
+              date: session.date,
+              workoutId: session.workoutId
+            };
+          }
+        });
+    });
+
+    const preferences = getUnitPreferences(req.user);
+    const toViewer = (summary) => cardioForViewer(summary, preferences);
+
+    const cardioRecords = Object.values(exerciseRecords).map(({ sessions, ...record }) => ({
+      ...record,
+      longestDistance: toViewer(record.longestDistance),
+      mostElevation: toViewer(record.mostElevation),
+      fastestSegment: toViewer(record.fastestSegment),
+      bestEfforts: bestEfforts(sessions).map(toViewer)
+    }));
+
+    res.json({
+      cardioRecords,
+      units: unitsMeta(preferences),
+      totalExercises: cardioRecords.length
+    });
+  } catch (error) {
+    console.error('Error fetching cardio records:', error);
+    res.status(500).json({
+      message: 'Error fetching cardio records',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
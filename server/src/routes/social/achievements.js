@@ -1,5 +1,6 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { countedWorkoutWhere } = require('../../utils/workoutSession');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -55,6 +56,7 @@ const checkAndUnlockAchievements = async (userId) => {
           const recentWorkouts = await prisma.workout.count({
             where: {
               userId,
+              ...countedWorkoutWhere,
               date: {
                 gte: twoWeeksAgo
               }
@@ -65,24 +67,21 @@ const checkAndUnlockAchievements = async (userId) => {
           break;
 
         case 'PR Crusher':
-          // Check if user has posted any achievements
-          const achievementPosts = await prisma.post.count({
+          // Check if user has set a personal record (see personalRecordService)
+          const personalRecords = await prisma.personalRecord.count({
             where: {
               userId,
-              type: 'achievement',
-              achievementData: {
-                not: null
-              }
+              workout: { deletedAt: null }
             }
           });
           
-          shouldUnlock = achievementPosts >= 1;
+          shouldUnlock = personalRecords >= 1;
           break;
 
         case 'Social Butterfly':
           // Check if user has posted and has followers
           const posts = await prisma.post.count({
-            where: { userId }
+            where: { userId, deletedAt: null }
           });
           
           const followers = await prisma.follow.count({
@@ -111,6 +110,7 @@ const checkAndUnlockAchievements = async (userId) => {
           const monthlyWorkouts = await prisma.workout.count({
             where: {
               userId,
+              ...countedWorkoutWhere,
               date: {
                 gte: oneMonthAgo
               }
@@ -125,6 +125,7 @@ const checkAndUnlockAchievements = async (userId) => {
           const multipleAchievements = await prisma.post.count({
             where: {
               userId,
+              deletedAt: null,
               type: 'achievement',
               achievementData: {
                 not: null
@@ -1,6 +1,7 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../../middleware/auth');
+const { trashExpiresAt } = require('../../utils/trash');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -14,7 +15,8 @@ router.get('/post/:postId', authenticateToken, async (req, res) => {
     const comments = await prisma.comment.findMany({
       where: {
         postId,
-        parentId: null // Only top-level comments
+        parentId: null, // Only top-level comments
+        deletedAt: null
       },
       include: {
         user: {
@@ -30,6 +32,7 @@ router.get('/post/:postId', authenticateToken, async (req, res) => {
           select: { id: true }
         },
         replies: {
+          where: { deletedAt: null },
           include: {
             user: {
               select: {
@@ -95,6 +98,18 @@ router.post('/post/:postId', authenticateToken, async (req, res) => {
       });
     }
     
+    const post = await prisma.post.findFirst({
+      where: { id: postId, deletedAt: null },
+      select: { userId: true }
+    });
+    
+    if (!post) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Post not found' 
+      });
+    }
+    
     const comment = await prisma.comment.create({
       data: {
         userId,
@@ -117,11 +132,6 @@ router.post('/post/:postId', authenticateToken, async (req, res) => {
     });
     
     // Create notification for post owner
-    const post = await prisma.post.findUnique({
-      where: { id: postId },
-      select: { userId: true }
-    });
-    
     if (post.userId !== userId) {
       await prisma.notification.create({
         data: {
@@ -168,8 +178,8 @@ router.post('/:commentId/reply', authenticateToken, async (req, res) => {
     }
     
     // Get parent comment to find post
-    const parentComment = await prisma.comment.findUnique({
-      where: { id: commentId },
+    const parentComment = await prisma.comment.findFirst({
+      where: { id: commentId, deletedAt: null, post: { deletedAt: null } },
       select: { postId: true, userId: true }
     });
     
@@ -302,8 +312,8 @@ router.delete('/:commentId', authenticateToken, async (req, res) => {
     const userId = req.user.id;
     
     // Check if user owns the comment
-    const comment = await prisma.comment.findUnique({
-      where: { id: commentId },
+    const comment = await prisma.comment.findFirst({
+      where: { id: commentId, deletedAt: null },
       select: { userId: true }
     });
     
@@ -321,14 +331,19 @@ router.delete('/:commentId', authenticateToken, async (req, res) => {
       });
     }
     
-    // Delete comment and all its replies (cascade)
-    await prisma.comment.delete({
-      where: { id: commentId }
+    // Move to the trash; replies stay hidden with it until it is restored
+    const deletedAt = new Date();
+    await prisma.comment.update({
+      where: { id: commentId },
+      data: { deletedAt }
     });
     
     res.json({
       success: true,
-      data: { message: 'Comment deleted successfully' }
+      data: {
+        message: 'Comment moved to trash',
+        restorableUntil: trashExpiresAt(deletedAt)
+      }
     });
   } catch (error) {
     console.error('Error deleting comment:', error);
@@ -1,5 +1,6 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { countedWorkoutWhere } = require('../../utils/workoutSession');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -115,6 +116,7 @@ router.get('/', async (req, res) => {
         const recentWorkouts = await prisma.workout.count({
           where: {
             userId: friend.id,
+            ...countedWorkoutWhere,
             date: {
               gte: oneWeekAgo
             }
@@ -328,6 +330,7 @@ router.get('/suggestions', async (req, res) => {
         const recentPosts = await prisma.post.count({
           where: {
             userId: user.id,
+            deletedAt: null,
             createdAt: {
               gte: oneWeekAgo
             }
@@ -2,6 +2,7 @@ const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../../middleware/auth');
 const { trackActivity, updateOnlineStatus } = require('../../middleware/activityTracking');
+const { trashExpiresAt } = require('../../utils/trash');
 const multer = require('multer');
 const path = require('path');
 
@@ -210,6 +211,7 @@ router.get('/posts', async (req, res) => {
   
   try {
     const posts = await prisma.post.findMany({
+      where: { deletedAt: null },
       include: {
         user: {
           select: {
@@ -223,7 +225,7 @@ router.get('/posts', async (req, res) => {
         _count: {
           select: {
             likes: true,
-            comments: true
+            comments: { where: { deletedAt: null } }
           }
         }
       },
@@ -273,8 +275,8 @@ router.post('/posts/:id/like', trackActivity('like'), async (req, res) => {
     const postId = req.params.id;
 
     // Check if post exists
-    const post = await prisma.post.findUnique({
-      where: { id: postId }
+    const post = await prisma.post.findFirst({
+      where: { id: postId, deletedAt: null }
     });
 
     if (!post) {
@@ -344,8 +346,8 @@ router.post('/posts/:id/share', trackActivity('share'), async (req, res) => {
     const postId = req.params.id;
 
     // Check if post exists
-    const post = await prisma.post.findUnique({
-      where: { id: postId }
+    const post = await prisma.post.findFirst({
+      where: { id: postId, deletedAt: null }
     });
 
     if (!post) {
@@ -385,4 +387,40 @@ router.post('/posts/:id/share', trackActivity('share'), async (req, res) => {
   }
 });
 
+// Delete post route: the post goes to the author's trash and can be restored
+router.delete('/posts/:id', async (req, res) => {
+  try {
+    const post = await prisma.post.updateMany({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        deletedAt: null
+      },
+      data: { deletedAt: new Date() }
+    });
+
+    if (post.count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Post moved to trash',
+        restorableUntil: trashExpiresAt(new Date())
+      }
+    });
+  } catch (error) {
+    console.error('💥 Error deleting post:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete post',
+      details: error.message
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,5 +1,9 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { countedWorkoutWhere } = require('../../utils/workoutSession');
+const { getVolumeByUser } = require('../../services/trainingVolumeService');
+const { getUserStreak, getUserStreaks } = require('../../services/streakService');
+const { getUnitPreferences, fromKilograms } = require('../../utils/units');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -33,6 +37,7 @@ router.get('/weekly', async (req, res) => {
     const weeklyWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
       where: {
+        ...countedWorkoutWhere,
         date: {
           gte: oneWeekAgo
         }
@@ -69,6 +74,13 @@ router.get('/weekly', async (req, res) => {
       }
     });
 
+    // Volume is summed in kg and shown in the viewer's weight unit
+    const { weightUnit } = getUnitPreferences(req.user);
+    const volumeByUser = await getVolumeByUser(userIds, oneWeekAgo);
+
+    // Each user's current streak, by their own timezone and streak rules
+    const streaks = await getUserStreaks(userIds);
+
     // Get additional stats for each user
     const leaderboardWithStats = await Promise.all(
       weeklyWorkouts.map(async (workout, index) => {
@@ -94,51 +106,16 @@ router.get('/weekly', async (req, res) => {
           return sum + (activity.calories || 0);
         }, 0);
 
-        // Get current workout streak
-        const allWorkouts = await prisma.workout.findMany({
-          where: {
-            userId: workout.userId
-          },
-          select: {
-            date: true
-          },
-          orderBy: {
-            date: 'desc'
-          }
-        });
-
-        // Calculate streak
-        let streak = 0;
-        let currentDate = new Date();
-        currentDate.setHours(0, 0, 0, 0);
-
-        for (let i = 0; i < 365; i++) { // Check up to a year
-          const dayStart = new Date(currentDate);
-          const dayEnd = new Date(currentDate);
-          dayEnd.setDate(dayEnd.getDate() + 1);
-
-          const hasWorkout = allWorkouts.some(w => {
-            const workoutDate = new Date(w.date);
-            workoutDate.setHours(0, 0, 0, 0);
-            return workoutDate.getTime() === dayStart.getTime();
-          });
-
-          if (hasWorkout) {
-            streak++;
-            currentDate.setDate(currentDate.getDate() - 1);
-          } else {
-            break;
-          }
-        }
-
         return {
           id: workout.userId,
           name: formatUserName(user),
           avatar: formatUserAvatar(user),
           workouts: workout._count.id,
           totalDuration: workout._sum.duration || 0,
+          totalVolume: fromKilograms(volumeByUser[workout.userId], weightUnit),
           totalCalories,
-          streak,
+          streak: streaks[workout.userId].current,
+          streakUnit: streaks[workout.userId].unit,
           rank: index + 1,
           isCurrentUser: workout.userId === req.user.id,
           isOnline: user.isOnline
@@ -158,6 +135,7 @@ router.get('/weekly', async (req, res) => {
       data: {
         leaderboard,
         period: 'weekly',
+        weightUnit,
         totalUsers: leaderboard.length
       }
     });
@@ -184,6 +162,7 @@ router.get('/monthly', async (req, res) => {
     const monthlyWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
       where: {
+        ...countedWorkoutWhere,
         date: {
           gte: oneMonthAgo
         }
@@ -220,6 +199,9 @@ router.get('/monthly', async (req, res) => {
       }
     });
 
+    const { weightUnit } = getUnitPreferences(req.user);
+    const volumeByUser = await getVolumeByUser(userIds, oneMonthAgo);
+
     // Create leaderboard with user details
     const leaderboard = monthlyWorkouts.map((workout, index) => {
       const user = users.find(u => u.id === workout.userId);
@@ -229,6 +211,7 @@ router.get('/monthly', async (req, res) => {
         avatar: user ? formatUserAvatar(user) : '',
         workouts: workout._count.id,
         totalDuration: workout._sum.duration || 0,
+        totalVolume: fromKilograms(volumeByUser[workout.userId], weightUnit),
         rank: index + 1,
         isCurrentUser: workout.userId === req.user.id,
         isOnline: user?.isOnline || false
@@ -242,6 +225,7 @@ router.get('/monthly', async (req, res) => {
       data: {
         leaderboard,
         period: 'monthly',
+        weightUnit,
         totalUsers: leaderboard.length
       }
     });
@@ -264,6 +248,7 @@ router.get('/alltime', async (req, res) => {
     // Get workout counts for all users (all time)
     const allTimeWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
+      where: countedWorkoutWhere,
       _count: {
         id: true
       },
@@ -378,6 +363,7 @@ router.get('/friends', async (req, res) => {
     const friendWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
       where: {
+        ...countedWorkoutWhere,
         userId: {
           in: friendIds
         },
@@ -415,6 +401,9 @@ router.get('/friends', async (req, res) => {
       }
     });
 
+    const { weightUnit } = getUnitPreferences(req.user);
+    const volumeByUser = await getVolumeByUser(friendIds, dateFilter.gte);
+
     // Create leaderboard with user details
     const leaderboard = friendWorkouts.map((workout, index) => {
       const user = users.find(u => u.id === workout.userId);
@@ -424,6 +413,7 @@ router.get('/friends', async (req, res) => {
         avatar: user ? formatUserAvatar(user) : '',
         workouts: workout._count.id,
         totalDuration: workout._sum.duration || 0,
+        totalVolume: fromKilograms(volumeByUser[workout.userId], weightUnit),
         rank: index + 1,
         isCurrentUser: workout.userId === userId,
         isOnline: user?.isOnline || false,
@@ -438,6 +428,7 @@ router.get('/friends', async (req, res) => {
       data: {
         leaderboard,
         period,
+        weightUnit,
         totalFriends: leaderboard.length - 1, // Exclude current user from count
         includesCurrentUser: leaderboard.some(entry => entry.isCurrentUser)
       }
@@ -471,6 +462,7 @@ router.get('/stats', async (req, res) => {
     const weeklyWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
       where: {
+        ...countedWorkoutWhere,
         date: {
           gte: oneWeekAgo
         }
@@ -488,6 +480,7 @@ router.get('/stats', async (req, res) => {
     const monthlyWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
       where: {
+        ...countedWorkoutWhere,
         date: {
           gte: oneMonthAgo
         }
@@ -504,6 +497,7 @@ router.get('/stats', async (req, res) => {
 
     const allTimeWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
+      where: countedWorkoutWhere,
       _count: {
         id: true
       },
@@ -552,6 +546,7 @@ router.get('/stats', async (req, res) => {
       const weeklyCount = await prisma.workout.count({
         where: {
           userId,
+          ...countedWorkoutWhere,
           date: {
             gte: weekStart,
             lt: weekEnd
@@ -574,6 +569,7 @@ router.get('/stats', async (req, res) => {
       const monthlyCount = await prisma.workout.count({
         where: {
           userId,
+          ...countedWorkoutWhere,
           date: {
             gte: monthStart,
             lt: monthEnd
@@ -584,38 +580,10 @@ router.get('/stats', async (req, res) => {
       personalBests.maxWorkoutsInMonth = Math.max(personalBests.maxWorkoutsInMonth, monthlyCount);
     }
 
-    // Calculate longest streak
-    const allUserWorkouts = await prisma.workout.findMany({
-      where: { userId },
-      select: { date: true },
-      orderBy: { date: 'desc' }
-    });
-
-    let maxStreak = 0;
-    let currentStreak = 0;
-    let lastDate = null;
-
-    for (const workout of allUserWorkouts) {
-      const workoutDate = new Date(workout.date);
-      workoutDate.setHours(0, 0, 0, 0);
-
-      if (lastDate === null) {
-        currentStreak = 1;
-      } else {
-        const daysDiff = Math.floor((lastDate.getTime() - workoutDate.getTime()) / (1000 * 60 * 60 * 24));
-        
-        if (daysDiff === 1) {
-          currentStreak++;
-        } else {
-          maxStreak = Math.max(maxStreak, currentStreak);
-          currentStreak = 1;
-        }
-      }
-      
-      lastDate = workoutDate;
-    }
-    maxStreak = Math.max(maxStreak, currentStreak);
-    personalBests.longestStreak = maxStreak;
+    // Longest streak, by the user's timezone and streak rules
+    const streak = await getUserStreak(userId);
+    personalBests.longestStreak = streak.longest ? streak.longest.length : 0;
+    personalBests.streakUnit = streak.unit;
 
     const stats = {
       rankings: {
@@ -165,6 +165,7 @@ router.get('/', authenticateToken, async (req, res) => {
   
   try {
     const posts = await prisma.post.findMany({
+      where: { deletedAt: null },
       include: {
         user: {
           select: {
@@ -178,7 +179,7 @@ router.get('/', authenticateToken, async (req, res) => {
         _count: {
           select: {
             likes: true,
-            comments: true
+            comments: { where: { deletedAt: null } }
           }
         }
       },
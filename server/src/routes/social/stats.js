@@ -1,5 +1,9 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { countedWorkoutWhere } = require('../../utils/workoutSession');
+const { getVolumeByUser } = require('../../services/trainingVolumeService');
+const { getUserStreak } = require('../../services/streakService');
+const { getUnitPreferences, fromKilograms } = require('../../utils/units');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -44,6 +48,7 @@ router.get('/weekly', async (req, res) => {
     const weeklyPosts = await prisma.post.count({
       where: {
         userId,
+        deletedAt: null,
         createdAt: {
           gte: oneWeekAgo
         }
@@ -54,6 +59,7 @@ router.get('/weekly', async (req, res) => {
     const weeklyWorkouts = await prisma.workout.count({
       where: {
         userId,
+        ...countedWorkoutWhere,
         date: {
           gte: oneWeekAgo
         }
@@ -65,46 +71,18 @@ router.get('/weekly', async (req, res) => {
       .filter(a => a.activityType === 'workout' && a.calories)
       .reduce((sum, a) => sum + (a.calories || 0), 0);
 
-    // Calculate current streak from workouts table
-    const allWorkouts = await prisma.workout.findMany({
-      where: {
-        userId
-      },
-      select: {
-        date: true
-      },
-      orderBy: {
-        date: 'desc'
-      }
-    });
-
-    let streak = 0;
-    let currentDate = new Date();
-    currentDate.setHours(0, 0, 0, 0);
-
-    // Calculate consecutive days with workouts
-    for (let i = 0; i < 365; i++) { // Check up to a year
-      const dayStart = new Date(currentDate);
-      const dayEnd = new Date(currentDate);
-      dayEnd.setDate(dayEnd.getDate() + 1);
+    // Current streak, in the user's timezone and by their streak rules
+    const { current: streak } = await getUserStreak(userId);
 
-      const hasWorkout = allWorkouts.some(workout => {
-        const workoutDate = new Date(workout.date);
-        workoutDate.setHours(0, 0, 0, 0);
-        return workoutDate.getTime() === dayStart.getTime();
-      });
-
-      if (hasWorkout) {
-        streak++;
-        currentDate.setDate(currentDate.getDate() - 1);
-      } else {
-        break;
-      }
-    }
+    // Weekly lifted volume in the user's weight unit
+    const { weightUnit } = getUnitPreferences(req.user);
+    const volumeByUser = await getVolumeByUser([userId], oneWeekAgo);
 
     const stats = {
       workouts: weeklyWorkouts,
       calories: totalCalories,
+      volume: fromKilograms(volumeByUser[userId], weightUnit),
+      weightUnit,
       posts: weeklyPosts,
       streak
     };
@@ -230,6 +208,7 @@ router.get('/leaderboard/weekly', async (req, res) => {
     const weeklyWorkouts = await prisma.workout.groupBy({
       by: ['userId'],
       where: {
+        ...countedWorkoutWhere,
         date: {
           gte: oneWeekAgo
         }
@@ -1,6 +1,8 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
+const { countedWorkoutWhere } = require('../../utils/workoutSession');
 const { authenticateToken } = require('../../middleware/auth');
+const { getUserStreak } = require('../../services/streakService');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -26,8 +28,8 @@ router.get('/:userId', authenticateToken, async (req, res) => {
           select: {
             followers: true,
             following: true,
-            posts: true,
-            workouts: true
+            posts: { where: { deletedAt: null } },
+            workouts: { where: countedWorkoutWhere }
           }
         },
         followers: {
@@ -44,8 +46,8 @@ router.get('/:userId', authenticateToken, async (req, res) => {
       });
     }
     
-    // Calculate streak (mock for now - you'd implement this based on your workout data)
-    const streak = await calculateUserStreak(userId);
+    // Streak by the profile owner's timezone and streak rules
+    const streak = await getUserStreak(userId);
     
     res.json({
       success: true,
@@ -55,7 +57,9 @@ router.get('/:userId', authenticateToken, async (req, res) => {
           followers: user._count.followers,
           following: user._count.following,
           workouts: user._count.workouts,
-          streak,
+          streak: streak.current,
+          streakUnit: streak.unit,
+          longestStreak: streak.longest ? streak.longest.length : 0,
           isFollowing: user.followers.length > 0,
           achievements: [] // You can populate this from your achievements table
         }
@@ -244,6 +248,7 @@ router.get('/:userId/posts', authenticateToken, async (req, res) => {
     const posts = await prisma.post.findMany({
       where: {
         userId,
+        deletedAt: null,
         OR: [
           { privacy: 'public' },
           { userId: currentUserId }, // Own posts
@@ -273,7 +278,7 @@ router.get('/:userId/posts', authenticateToken, async (req, res) => {
         _count: {
           select: {
             likes: true,
-            comments: true,
+            comments: { where: { deletedAt: null } },
             shares: true
           }
         }
@@ -346,7 +351,7 @@ router.get('/search', authenticateToken, async (req, res) => {
         _count: {
           select: {
             followers: true,
-            workouts: true
+            workouts: { where: countedWorkoutWhere }
           }
         }
       },
@@ -399,7 +404,7 @@ router.get('/suggestions', authenticateToken, async (req, res) => {
         _count: {
           select: {
             followers: true,
-            workouts: true
+            workouts: { where: countedWorkoutWhere }
           }
         }
       },
@@ -426,47 +431,4 @@ router.get('/suggestions', authenticateToken, async (req, res) => {
   }
 });
 
-// Helper function to calculate user streak
-async function calculateUserStreak(userId) {
-  try {
-    // This is a simplified version - you'd implement this based on your workout data
-    // For now, return a mock value
-    const recentWorkouts = await prisma.workout.findMany({
-      where: { userId },
-      orderBy: { createdAt: 'desc' },
-      take: 30,
-      select: { createdAt: true }
-    });
-    
-    if (recentWorkouts.length === 0) return 0;
-    
-    // Calculate consecutive days with workouts
-    let streak = 0;
-    let currentDate = new Date();
-    currentDate.setHours(0, 0, 0, 0);
-    
-    const workoutDates = recentWorkouts.map(w => {
-      const date = new Date(w.createdAt);
-      date.setHours(0, 0, 0, 0);
-      return date.getTime();
-    });
-    
-    const uniqueDates = [...new Set(workoutDates)].sort((a, b) => b - a);
-    
-    for (let i = 0; i < uniqueDates.length; i++) {
-      const expectedDate = new Date(currentDate.getTime() - (i * 24 * 60 * 60 * 1000));
-      if (uniqueDates[i] === expectedDate.getTime()) {
-        streak++;
-      } else {
-        break;
-      }
-    }
-    
-    return streak;
-  } catch (error) {
-    console.error('Error calculating streak:', error);
-    return 0;
-  }
-}
-
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,120 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { TRASH_RETENTION_DAYS, TRASH_TYPES } = require('../utils/trash');
+const {
+  TRASH_SOURCES,
+  listTrash,
+  findTrashedItem,
+  restoreTrashItem,
+  deleteTrashItem,
+  emptyTrash
+} = require('../services/trashService');
+
+const router = express.Router();
+
+const invalidType = (res) => res.status(400).json({
+  message: `Type must be one of: ${TRASH_TYPES.join(', ')}`
+});
+
+// Get the user's trashed workouts, templates, posts and comments, newest first
+// Query: type=workout|template|post|comment (default all)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type && !TRASH_TYPES.includes(type)) {
+      return invalidType(res);
+    }
+
+    const items = await listTrash(req.user.id, type ? [type] : TRASH_TYPES);
+
+    res.json({
+      items,
+      retentionDays: TRASH_RETENTION_DAYS
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      message: 'Error fetching trash',
+      error: error.message
+    });
+  }
+});
+
+// Restore a trashed item
+router.post('/:type/:id/restore', authenticateToken, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!TRASH_TYPES.includes(type)) {
+      return invalidType(res);
+    }
+
+    const trashed = await findTrashedItem(type, id, req.user.id);
+    if (!trashed) {
+      return res.status(404).json({ message: `${TRASH_SOURCES[type].label} not found in trash` });
+    }
+
+    const { error, item } = await restoreTrashItem(type, trashed);
+    if (error) {
+      return res.status(409).json({ message: error });
+    }
+
+    res.json({
+      message: `${TRASH_SOURCES[type].label} restored successfully`,
+      item
+    });
+  } catch (error) {
+    console.error('Error restoring trash item:', error);
+    res.status(500).json({
+      message: 'Error restoring trash item',
+      error: error.message
+    });
+  }
+});
+
+// Permanently delete a trashed item
+router.delete('/:type/:id', authenticateToken, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!TRASH_TYPES.includes(type)) {
+      return invalidType(res);
+    }
+
+    const trashed = await findTrashedItem(type, id, req.user.id);
+    if (!trashed) {
+      return res.status(404).json({ message: `${TRASH_SOURCES[type].label} not found in trash` });
+    }
+
+    await deleteTrashItem(type, trashed);
+
+    res.json({ message: `${TRASH_SOURCES[type].label} permanently deleted` });
+  } catch (error) {
+    console.error('Error deleting trash item:', error);
+    res.status(500).json({
+      message: 'Error deleting trash item',
+      error: error.message
+    });
+  }
+});
+
+// Empty the trash
+router.delete('/', authenticateToken, async (req, res) => {
+  try {
+    const deleted = await emptyTrash(req.user.id);
+
+    res.json({
+      message: 'Trash emptied successfully',
+      deleted
+    });
+  } catch (error) {
+    console.error('Error emptying trash:', error);
+    res.status(500).json({
+      message: 'Error emptying trash',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
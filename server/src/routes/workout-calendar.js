@@ -0,0 +1,261 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  CALENDAR_VIEWS,
+  startOfDay,
+  addDays,
+  calendarRange,
+  validateScheduleInput,
+  scheduledDates,
+  computeAdherence,
+  buildCalendar
+} = require('../utils/trainingCalendar');
+const { planSchedule, clearPlannedWorkouts } = require('../services/workoutScheduleService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+const calendarWorkoutSelect = {
+  id: true,
+  name: true,
+  date: true,
+  status: true,
+  duration: true,
+  scheduledFor: true,
+  templateId: true,
+  scheduleId: true
+};
+
+const scheduleInclude = {
+  template: {
+    select: { id: true, name: true, category: true }
+  }
+};
+
+const findOwnedSchedule = (id, userId) => prisma.workoutSchedule.findFirst({
+  where: { id, userId }
+});
+
+// Templates a user can schedule: public ones and their own
+const findSchedulableTemplate = (templateId, userId) => prisma.workoutTemplate.findFirst({
+  where: {
+    id: templateId,
+    deletedAt: null,
+    OR: [
+      { isPublic: true },
+      { createdById: userId }
+    ]
+  },
+  select: { id: true }
+});
+
+// Planned, completed and skipped sessions by day for a day, week or month
+// Query: view=day|week|month (default month), date=YYYY-MM-DD (default today)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { view = 'month', date } = req.query;
+
+    if (!CALENDAR_VIEWS.includes(view)) {
+      return res.status(400).json({ message: `View must be one of: ${CALENDAR_VIEWS.join(', ')}` });
+    }
+
+    if (date && isNaN(new Date(date).getTime())) {
+      return res.status(400).json({ message: 'Date must be a valid date' });
+    }
+
+    const range = calendarRange(view, date || new Date());
+
+    const workouts = await prisma.workout.findMany({
+      where: {
+        userId,
+        deletedAt: null,
+        date: { gte: range.start, lt: range.end }
+      },
+      select: calendarWorkoutSelect,
+      orderBy: { date: 'asc' }
+    });
+
+    // Sessions past the planning horizon don't exist as workouts yet
+    const schedules = await prisma.workoutSchedule.findMany({
+      where: { userId, active: true, template: { deletedAt: null } },
+      include: scheduleInclude
+    });
+
+    const today = startOfDay(new Date());
+    const upcoming = schedules.flatMap(schedule => {
+      const plannedThrough = schedule.plannedUntil ? addDays(startOfDay(schedule.plannedUntil), 1) : today;
+      const from = new Date(Math.max(range.start.getTime(), plannedThrough.getTime(), today.getTime()));
+
+      return scheduledDates(schedule, from, range.end).map(sessionDate => ({
+        scheduleId: schedule.id,
+        templateId: schedule.templateId,
+        name: schedule.template.name,
+        date: sessionDate,
+        status: 'planned'
+      }));
+    });
+
+    const { days, totals } = buildCalendar(range, workouts, upcoming);
+
+    res.json({
+      view,
+      start: range.start,
+      end: range.end,
+      days,
+      totals,
+      adherence: computeAdherence(workouts.filter(workout => workout.scheduledFor))
+    });
+  } catch (error) {
+    console.error('Error fetching training calendar:', error);
+    res.status(500).json({
+      message: 'Error fetching training calendar',
+      error: error.message
+    });
+  }
+});
+
+// Get the user's recurring schedules
+router.get('/schedules', authenticateToken, async (req, res) => {
+  try {
+    const schedules = await prisma.workoutSchedule.findMany({
+      where: { userId: req.user.id },
+      include: scheduleInclude,
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ schedules });
+  } catch (error) {
+    console.error('Error fetching workout schedules:', error);
+    res.status(500).json({
+      message: 'Error fetching workout schedules',
+      error: error.message
+    });
+  }
+});
+
+// Schedule a template on recurring weekdays
+// Body: templateId, weekdays [0-6, 0 = Sunday], optional time "HH:mm" (UTC), startDate, endDate
+router.post('/schedules', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { templateId, weekdays, time, startDate, endDate } = req.body;
+
+    const validationError = validateScheduleInput({ templateId, weekdays, time, startDate, endDate });
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const template = await findSchedulableTemplate(templateId, userId);
+    if (!template) {
+      return res.status(404).json({ message: 'Workout template not found' });
+    }
+
+    const schedule = await prisma.workoutSchedule.create({
+      data: {
+        userId,
+        templateId,
+        weekdays: [...new Set(weekdays)].sort((a, b) => a - b),
+        time: time || null,
+        startDate: startDate ? new Date(startDate) : new Date(),
+        endDate: endDate ? new Date(endDate) : null
+      },
+      include: scheduleInclude
+    });
+
+    const planned = await planSchedule(schedule);
+
+    res.status(201).json({
+      message: 'Workout schedule created successfully',
+      schedule,
+      planned
+    });
+  } catch (error) {
+    console.error('Error creating workout schedule:', error);
+    res.status(500).json({
+      message: 'Error creating workout schedule',
+      error: error.message
+    });
+  }
+});
+
+// Update a schedule; its future planned workouts are planned again
+router.put('/schedules/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { weekdays, time, startDate, endDate, active } = req.body;
+
+    const existing = await findOwnedSchedule(id, req.user.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Workout schedule not found' });
+    }
+
+    const validationError = validateScheduleInput({
+      weekdays,
+      time,
+      startDate: startDate !== undefined ? startDate : existing.startDate,
+      endDate: endDate !== undefined ? endDate : existing.endDate
+    }, true);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    await clearPlannedWorkouts(id);
+
+    const schedule = await prisma.workoutSchedule.update({
+      where: { id },
+      data: {
+        ...(weekdays !== undefined && { weekdays: [...new Set(weekdays)].sort((a, b) => a - b) }),
+        ...(time !== undefined && { time: time || null }),
+        ...(startDate !== undefined && { startDate: startDate ? new Date(startDate) : new Date() }),
+        ...(endDate !== undefined && { endDate: endDate ? new Date(endDate) : null }),
+        ...(active !== undefined && { active: Boolean(active) }),
+        plannedUntil: null
+      },
+      include: scheduleInclude
+    });
+
+    const planned = await planSchedule(schedule);
+
+    res.json({
+      message: 'Workout schedule updated successfully',
+      schedule,
+      planned
+    });
+  } catch (error) {
+    console.error('Error updating workout schedule:', error);
+    res.status(500).json({
+      message: 'Error updating workout schedule',
+      error: error.message
+    });
+  }
+});
+
+// Delete a schedule and its upcoming planned workouts; past sessions stay in the history
+router.delete('/schedules/:id', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const schedule = await findOwnedSchedule(id, req.user.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Workout schedule not found' });
+    }
+
+    const removed = await clearPlannedWorkouts(id);
+    await prisma.workoutSchedule.delete({ where: { id } });
+
+    res.json({
+      message: 'Workout schedule deleted successfully',
+      removedPlannedWorkouts: removed
+    });
+  } catch (error) {
+    console.error('Error deleting workout schedule:', error);
+    res.status(500).json({
+      message: 'Error deleting workout schedule',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
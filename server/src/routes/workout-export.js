@@ -0,0 +1,152 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  EXPORT_FORMATS,
+  csvHeader,
+  workoutToCsv,
+  workoutToJson,
+  jsonHeader,
+  jsonFooter,
+  icsHeader,
+  icsFooter,
+  workoutToIcs
+} = require('../utils/workoutExport');
+const { countedWorkoutWhere } = require('../utils/workoutSession');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Workouts are read in pages so large histories stream with flat memory use
+const EXPORT_BATCH_SIZE = 100;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+  ics: 'text/calendar; charset=utf-8'
+};
+
+// Write a chunk, waiting for the socket to drain when its buffer is full so
+// a slow client doesn't make the export pile up in memory
+const writeChunk = (res, chunk) => new Promise((resolve, reject) => {
+  if (res.write(chunk)) return resolve();
+
+  const onDrain = () => {
+    cleanup();
+    resolve();
+  };
+  const onClose = () => {
+    cleanup();
+    reject(new Error('Client closed the connection during the export'));
+  };
+  const cleanup = () => {
+    res.off('drain', onDrain);
+    res.off('close', onClose);
+  };
+
+  res.on('drain', onDrain);
+  res.on('close', onClose);
+});
+
+// Export the user's complete workout history
+// Query: format=csv|json|ics, from, to (dates), exerciseId (comma-separated)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { format = 'json', from, to, exerciseId } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+
+    const exerciseIds = exerciseId ? String(exerciseId).split(',').filter(Boolean) : null;
+
+    const where = {
+      userId: req.user.id,
+      ...countedWorkoutWhere,
+      ...((fromDate || toDate) && {
+        date: {
+          ...(fromDate && { gte: fromDate }),
+          ...(toDate && { lte: toDate })
+        }
+      }),
+      ...(exerciseIds && {
+        exercises: {
+          some: { exerciseId: { in: exerciseIds } }
+        }
+      })
+    };
+
+    const include = {
+      exercises: {
+        where: exerciseIds ? { exerciseId: { in: exerciseIds } } : undefined,
+        include: {
+          exercise: { select: { name: true } },
+          sets: { orderBy: { order: 'asc' } },
+          group: true
+        },
+        orderBy: { id: 'asc' }
+      }
+    };
+
+    const filename = `workouts-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') await writeChunk(res, csvHeader());
+    if (format === 'json') await writeChunk(res, jsonHeader(req.user));
+    if (format === 'ics') await writeChunk(res, icsHeader());
+
+    let cursor = null;
+    let isFirst = true;
+
+    while (true) {
+      const batch = await prisma.workout.findMany({
+        where,
+        include,
+        orderBy: [{ date: 'asc' }, { id: 'asc' }],
+        take: EXPORT_BATCH_SIZE,
+        ...(cursor && { cursor: { id: cursor }, skip: 1 })
+      });
+
+      for (const workout of batch) {
+        if (format === 'csv') {
+          await writeChunk(res, workoutToCsv(workout));
+        } else if (format === 'json') {
+          await writeChunk(res, (isFirst ? '' : ',') + JSON.stringify(workoutToJson(workout)));
+        } else {
+          await writeChunk(res, workoutToIcs(workout));
+        }
+        isFirst = false;
+      }
+
+      if (batch.length < EXPORT_BATCH_SIZE) break;
+      cursor = batch[batch.length - 1].id;
+    }
+
+    if (format === 'json') await writeChunk(res, jsonFooter());
+    if (format === 'ics') await writeChunk(res, icsFooter());
+
+    res.end();
+  } catch (error) {
+    console.error('Error exporting workouts:', error);
+
+    // Headers are gone once streaming has started, so just cut the response
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    res.status(500).json({
+      message: 'Error exporting workouts',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const multer = require('multer');
+const { PrismaClient } = require('@prisma/client');
+const { authenticateToken } = require('../middleware/auth');
+const { buildSetData, validateSetsInput } = require('../utils/workoutSets');
+const { validateGroupsInput, buildGroupData, groupPositions } = require('../utils/exerciseGroups');
+const { matchExerciseNames } = require('../utils/exerciseMatcher');
+const { IMPORT_SOURCES, parseWorkoutExport, workoutDuplicateKey } = require('../utils/workoutImport');
+const { resolveInputUnits, setToCanonical } = require('../utils/units');
+const { safelyRecordWorkoutCalories } = require('../services/calorieService');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Exports are parsed in memory, they never touch the uploads folder
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    const extension = file.originalname.toLowerCase().split('.').pop();
+    if (['csv', 'json', 'txt'].includes(extension) ||
+        ['text/csv', 'application/vnd.ms-excel', 'text/plain', 'application/json'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only CSV or JSON files are allowed!'), false);
+    }
+  }
+});
+
+const parseJsonField = (value, fallback) => {
+  if (value === undefined || value === null || value === '') return fallback;
+  return typeof value === 'string' ? JSON.parse(value) : value;
+};
+
+// Import workout history from a Strong, Hevy or FitNotes CSV export,
+// or from a JSON export of another JoJo instance (GET /api/workouts/export)
+// Send `dryRun=true` first to get a preview report, then confirm unmatched
+// exercises through `exerciseMappings` ({ "CSV name": exerciseId | null })
+// `weightUnit` / `distanceUnit` name the units of exports that don't say
+// (Strong), defaulting to the user's preferences
+router.post('/', authenticateToken, upload.single('file'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const source = req.body.source || req.query.source;
+    const dryRun = String(req.body.dryRun || req.query.dryRun) === 'true';
+    const includeDuplicates = String(req.body.includeDuplicates || req.query.includeDuplicates) === 'true';
+    const text = req.file
+      ? req.file.buffer.toString('utf8')
+      : req.body.csv || (req.body.data && JSON.stringify(req.body.data));
+
+    if (!text) {
+      return res.status(400).json({ message: 'An export file, csv text or JSON data is required' });
+    }
+
+    if (source && !IMPORT_SOURCES.includes(source)) {
+      return res.status(400).json({ message: `Source must be one of: ${IMPORT_SOURCES.join(', ')}` });
+    }
+
+    const { units, error: unitError } = resolveInputUnits({ ...req.query, ...req.body }, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    let exerciseMappings;
+    try {
+      exerciseMappings = parseJsonField(req.body.exerciseMappings, {});
+    } catch (parseError) {
+      return res.status(400).json({ message: 'Invalid JSON in exerciseMappings' });
+    }
+
+    if (!exerciseMappings || typeof exerciseMappings !== 'object' || Array.isArray(exerciseMappings)) {
+      return res.status(400).json({ message: 'exerciseMappings must be an object of { "CSV name": exerciseId | null }' });
+    }
+
+    const parsed = parseWorkoutExport(text, source);
+
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+
+    if (parsed.workouts.length === 0) {
+      return res.status(400).json({ message: 'No workouts found in the file' });
+    }
+
+    for (const workout of parsed.workouts) {
+      for (const exercise of workout.exercises) {
+        const setError = validateSetsInput(exercise.sets);
+        if (setError) {
+          return res.status(400).json({ message: `${workout.name} / ${exercise.name}: ${setError}` });
+        }
+      }
+
+      const groupError = validateGroupsInput(workout.groups || [], workout.exercises);
+      if (groupError) {
+        return res.status(400).json({ message: `${workout.name}: ${groupError}` });
+      }
+    }
+
+    // Match exercise names against our exercise library
+    const exercises = await prisma.exercise.findMany({
+      select: { id: true, name: true }
+    });
+
+    const exerciseNames = [...new Set(parsed.workouts.flatMap(w => w.exercises.map(e => e.name)))];
+    const exerciseMatches = matchExerciseNames(exerciseNames, exercises, exerciseMappings);
+    const exerciseIdByName = Object.fromEntries(exerciseMatches.matched.map(m => [m.name, m.exerciseId]));
+
+    // Detect workouts that already exist (same day and name)
+    const dates = parsed.workouts.map(w => w.date.getTime());
+    const rangeStart = new Date(Math.min(...dates));
+    rangeStart.setUTCHours(0, 0, 0, 0);
+    const rangeEnd = new Date(Math.max(...dates));
+    rangeEnd.setUTCHours(23, 59, 59, 999);
+
+    const existingWorkouts = await prisma.workout.findMany({
+      where: {
+        userId,
+        deletedAt: null,
+        date: { gte: rangeStart, lte: rangeEnd }
+      },
+      select: { name: true, date: true }
+    });
+
+    const existingKeys = new Set(existingWorkouts.map(workoutDuplicateKey));
+    const duplicates = parsed.workouts.filter(w => existingKeys.has(workoutDuplicateKey(w)));
+    const workoutsToImport = includeDuplicates
+      ? parsed.workouts
+      : parsed.workouts.filter(w => !existingKeys.has(workoutDuplicateKey(w)));
+
+    const report = {
+      source: parsed.source,
+      dryRun,
+      totals: {
+        workoutsFound: parsed.workouts.length,
+        duplicates: duplicates.length,
+        workoutsToImport: workoutsToImport.length,
+        setsToImport: workoutsToImport.reduce((sum, w) =>
+          sum + w.exercises
+            .filter(e => exerciseIdByName[e.name])
+            .reduce((setSum, e) => setSum + e.sets.length, 0), 0)
+      },
+      exercises: exerciseMatches,
+      duplicates: duplicates.map(w => ({ name: w.name, date: w.date })),
+      dateRange: { from: rangeStart, to: rangeEnd }
+    };
+
+    if (dryRun) {
+      return res.json({
+        message: 'Import preview generated',
+        report
+      });
+    }
+
+    if (exerciseMatches.unmatched.length > 0) {
+      return res.status(422).json({
+        message: 'Some exercises could not be matched, confirm them in exerciseMappings',
+        report
+      });
+    }
+
+    const createdIds = await prisma.$transaction(async (prisma) => {
+      const ids = [];
+
+      for (const workout of workoutsToImport) {
+        const exercisesToCreate = workout.exercises.filter(exercise => exerciseIdByName[exercise.name]);
+        const positions = groupPositions(exercisesToCreate);
+
+        const newWorkout = await prisma.workout.create({
+          data: {
+            userId,
+            name: workout.name,
+            date: workout.date,
+            duration: workout.duration,
+            notes: workout.notes,
+            status: 'completed',
+            finishedAt: workout.date,
+            importSource: parsed.source
+          }
+        });
+
+        // Exercise groups only come from our own JSON exports
+        const groupIds = {};
+        for (const group of workout.groups || []) {
+          const newGroup = await prisma.workoutExerciseGroup.create({
+            data: {
+              workoutId: newWorkout.id,
+              ...buildGroupData(group)
+            }
+          });
+          groupIds[group.key] = newGroup.id;
+        }
+
+        for (const [index, exercise] of exercisesToCreate.entries()) {
+          await prisma.workoutExercise.create({
+            data: {
+              workoutId: newWorkout.id,
+              exerciseId: exerciseIdByName[exercise.name],
+              restTime: exercise.restTime,
+              notes: exercise.notes,
+              groupId: groupIds[exercise.groupKey] || null,
+              groupOrder: groupIds[exercise.groupKey] ? positions[index] : null,
+              sets: {
+                create: exercise.sets.map((set, setIndex) => buildSetData(setToCanonical(set, units), setIndex + 1))
+              }
+            }
+          });
+        }
+        ids.push(newWorkout.id);
+      }
+
+      return ids;
+    }, { timeout: 120000 });
+
+    // Imported history counts towards calories in the weeks it was done
+    for (const workoutId of createdIds) {
+      await safelyRecordWorkoutCalories(workoutId);
+    }
+
+    report.created = createdIds.length;
+
+    res.status(201).json({
+      message: `Imported ${createdIds.length} workouts`,
+      report
+    });
+  } catch (error) {
+    console.error('Error importing workouts:', error);
+    res.status(500).json({
+      message: 'Error importing workouts',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,64 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateSyncOperations, decodeSyncToken } = require('../utils/workoutSync');
+const { resolveInputUnits, getUnitPreferences, workoutForViewer, unitsMeta } = require('../utils/units');
+const { applySyncOperations, getSyncDelta } = require('../services/workoutSyncService');
+
+const router = express.Router();
+
+// Replay operations queued offline and get the workouts changed since the last sync
+// Body: { syncToken, operations: [{ idempotencyKey, type, occurredAt, <target id or ref>, data }] }
+// Each operation comes back as applied, conflict (the server's version was kept)
+// or rejected; replayed keys return their first result with `duplicate: true`.
+// While `hasMore` is true, sync again with the returned token to get the rest.
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { syncToken, operations = [] } = req.body;
+
+    const validationError = validateSyncOperations(operations);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    for (const [index, operation] of operations.entries()) {
+      const { error: unitError } = resolveInputUnits(operation.data || {}, req.user);
+      if (unitError) {
+        return res.status(400).json({ message: `Operation ${index} ${unitError}` });
+      }
+    }
+
+    const since = syncToken ? decodeSyncToken(syncToken) : null;
+    if (syncToken && !since) {
+      return res.status(400).json({ message: 'Invalid sync token' });
+    }
+
+    const results = await applySyncOperations(req.user, operations);
+    const delta = await getSyncDelta(req.user.id, since);
+
+    const preferences = getUnitPreferences(req.user);
+
+    res.json({
+      results,
+      changes: {
+        workouts: delta.workouts.map(workout => workoutForViewer(workout, preferences)),
+        deletedWorkoutIds: delta.deletedWorkoutIds
+      },
+      syncToken: delta.syncToken || syncToken || null,
+      hasMore: delta.hasMore,
+      units: unitsMeta(preferences)
+    });
+  } catch (error) {
+    // The same operations replayed by two requests at once
+    if (error.code === 'P2002') {
+      return res.status(409).json({ message: 'These operations are already being synced, try again shortly' });
+    }
+
+    console.error('Error syncing workouts:', error);
+    res.status(500).json({
+      message: 'Error syncing workouts',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
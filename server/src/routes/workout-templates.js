@@ -1,6 +1,17 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth');
+const { workoutInclude } = require('../utils/workoutSets');
+const { validateGroupsInput, buildGroupData, groupPositions } = require('../utils/exerciseGroups');
+const {
+  getUnitPreferences,
+  resolveInputUnits,
+  templateWeightToCanonical,
+  workoutForViewer,
+  unitsMeta
+} = require('../utils/units');
+const { templateWorkoutInclude, createWorkoutFromTemplate } = require('../services/templateWorkoutService');
+const { trashExpiresAt } = require('../utils/trash');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -11,7 +22,8 @@ router.get('/', async (req, res) => {
     const { category, difficulty, search, includePersonal } = req.query;
     const userId = req.headers.authorization ? req.user?.id : null;
 
-    const where = {};
+    // Trashed templates are only listed in the trash
+    const where = { deletedAt: null };
     
     // Public templates or user's personal templates
     if (includePersonal === 'true' && userId) {
@@ -49,6 +61,7 @@ router.get('/', async (req, res) => {
             order: 'asc'
           }
         },
+        groups: true,
         createdBy: {
           select: {
             username: true,
@@ -80,8 +93,8 @@ router.get('/:id', async (req, res) => {
   try {
     const { id } = req.params;
     
-    const template = await prisma.workoutTemplate.findUnique({
-      where: { id },
+    const template = await prisma.workoutTemplate.findFirst({
+      where: { id, deletedAt: null },
       include: {
         exercises: {
           include: {
@@ -91,6 +104,7 @@ router.get('/:id', async (req, res) => {
             order: 'asc'
           }
         },
+        groups: true,
         createdBy: {
           select: {
             username: true,
@@ -118,7 +132,7 @@ router.get('/:id', async (req, res) => {
 // Create workout template (authenticated)
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { name, description, category, difficulty, duration, exercises, isPublic = false } = req.body;
+    const { name, description, category, difficulty, duration, exercises, groups = [], isPublic = false } = req.body;
 
     if (!name || !category || !exercises || exercises.length === 0) {
       return res.status(400).json({ 
@@ -126,6 +140,17 @@ router.post('/', authenticateToken, async (req, res) => {
       });
     }
 
+    const groupError = validateGroupsInput(groups, exercises);
+    if (groupError) {
+      return res.status(400).json({ message: groupError });
+    }
+
+    // Template weights are stored in kg like everything else
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
     const template = await prisma.$transaction(async (prisma) => {
       // Create the template
       const newTemplate = await prisma.workoutTemplate.create({
@@ -140,7 +165,20 @@ router.post('/', authenticateToken, async (req, res) => {
         }
       });
 
+      // Create exercise groups (supersets, circuits, giant sets)
+      const groupIds = {};
+      for (const group of groups) {
+        const newGroup = await prisma.templateExerciseGroup.create({
+          data: {
+            templateId: newTemplate.id,
+            ...buildGroupData(group)
+          }
+        });
+        groupIds[group.key] = newGroup.id;
+      }
+
       // Add exercises to template
+      const positions = groupPositions(exercises);
       const templateExercises = await Promise.all(
         exercises.map((exercise, index) =>
           prisma.templateExercise.create({
@@ -148,9 +186,11 @@ router.post('/', authenticateToken, async (req, res) => {
               templateId: newTemplate.id,
               exerciseId: exercise.exerciseId,
               order: index + 1,
+              groupId: groupIds[exercise.groupKey] || null,
+              groupOrder: positions[index],
               sets: exercise.sets || 3,
               reps: exercise.reps || [8, 8, 8],
-              weight: exercise.weight || null,
+              weight: templateWeightToCanonical(exercise.weight, units.weightUnit) || null,
               restTime: exercise.restTime || 90,
               notes: exercise.notes
             }
@@ -169,7 +209,8 @@ router.post('/', authenticateToken, async (req, res) => {
             orderBy: {
               order: 'asc'
             }
-          }
+          },
+          groups: true
         }
       });
     });
@@ -191,73 +232,47 @@ router.post('/', authenticateToken, async (req, res) => {
 router.post('/:id/create-workout', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, date, notes } = req.body;
+    const { name, date, notes, planned = false } = req.body;
 
     // Get template with exercises
-    const template = await prisma.workoutTemplate.findUnique({
-      where: { id },
-      include: {
-        exercises: {
-          include: {
-            exercise: true
-          },
-          orderBy: {
-            order: 'asc'
-          }
-        }
-      }
+    const template = await prisma.workoutTemplate.findFirst({
+      where: { id, deletedAt: null },
+      include: templateWorkoutInclude
     });
 
     if (!template) {
       return res.status(404).json({ message: 'Workout template not found' });
     }
 
+    if (planned && !date) {
+      return res.status(400).json({ message: 'A date is required to plan a workout' });
+    }
+
     const workout = await prisma.$transaction(async (prisma) => {
-      // Create workout
-      const newWorkout = await prisma.workout.create({
-        data: {
-          name: name || template.name,
-          date: date ? new Date(date) : new Date(),
-          notes: notes || template.description,
-          userId: req.user.id,
-          templateId: template.id
-        }
+      const newWorkout = await createWorkoutFromTemplate(prisma, template, {
+        name: name || template.name,
+        date: date ? new Date(date) : new Date(),
+        notes: notes || template.description,
+        userId: req.user.id,
+        ...(planned && { status: 'planned', scheduledFor: new Date(date) })
       });
 
-      // Add exercises from template
-      const workoutExercises = await Promise.all(
-        template.exercises.map(templateExercise =>
-          prisma.workoutExercise.create({
-            data: {
-              workoutId: newWorkout.id,
-              exerciseId: templateExercise.exerciseId,
-              sets: templateExercise.sets,
-              reps: templateExercise.reps,
-              weight: templateExercise.weight || [0],
-              restTime: templateExercise.restTime,
-              notes: templateExercise.notes
-            }
-          })
-        )
-      );
-
       // Return workout with exercises
       return await prisma.workout.findUnique({
         where: { id: newWorkout.id },
         include: {
-          exercises: {
-            include: {
-              exercise: true
-            }
-          },
+          ...workoutInclude,
           template: true
         }
       });
     });
 
+    const preferences = getUnitPreferences(req.user);
+
     res.status(201).json({
-      message: 'Workout created from template successfully',
-      workout
+      message: planned ? 'Workout planned from template successfully' : 'Workout created from template successfully',
+      workout: workoutForViewer(workout, preferences),
+      units: unitsMeta(preferences)
     });
   } catch (error) {
     console.error('Error creating workout from template:', error);
@@ -277,7 +292,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
     const template = await prisma.workoutTemplate.findFirst({
       where: {
         id,
-        createdById: req.user.id
+        createdById: req.user.id,
+        deletedAt: null
       }
     });
 
@@ -303,7 +319,8 @@ router.put('/:id', authenticateToken, async (req, res) => {
           orderBy: {
             order: 'asc'
           }
-        }
+        },
+        groups: true
       }
     });
 
@@ -320,23 +337,28 @@ router.put('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete workout template (only by creator)
+// Delete workout template (only by creator), it goes to the trash first
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const template = await prisma.workoutTemplate.deleteMany({
+    const template = await prisma.workoutTemplate.updateMany({
       where: {
         id,
-        createdById: req.user.id
-      }
+        createdById: req.user.id,
+        deletedAt: null
+      },
+      data: { deletedAt: new Date() }
     });
 
     if (template.count === 0) {
       return res.status(404).json({ message: 'Workout template not found or not authorized' });
     }
 
-    res.json({ message: 'Workout template deleted successfully' });
+    res.json({
+      message: 'Workout template moved to trash',
+      restorableUntil: trashExpiresAt(new Date())
+    });
   } catch (error) {
     console.error('Error deleting workout template:', error);
     res.status(500).json({ 
@@ -352,13 +374,13 @@ router.get('/meta/options', async (req, res) => {
     const categories = await prisma.workoutTemplate.findMany({
       select: { category: true },
       distinct: ['category'],
-      where: { isPublic: true }
+      where: { isPublic: true, deletedAt: null }
     });
 
     const difficulties = await prisma.workoutTemplate.findMany({
       select: { difficulty: true },
       distinct: ['difficulty'],
-      where: { isPublic: true }
+      where: { isPublic: true, deletedAt: null }
     });
 
     res.json({
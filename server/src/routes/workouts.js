@@ -1,45 +1,180 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  workoutExerciseInclude,
+  workoutInclude,
+  validateSetInput,
+  validateSetsInput,
+  buildSetData,
+  buildSetUpdateData,
+  extractSetsInput
+} = require('../utils/workoutSets');
+const {
+  SESSION_TRANSITIONS,
+  isWorkoutEditable,
+  getActiveSeconds,
+  validateFinishDuration,
+  parseFinishDuration
+} = require('../utils/workoutSession');
+const {
+  validateGroupSettings,
+  validateGroupSize,
+  validateGroupsInput,
+  buildGroupData,
+  groupPositions
+} = require('../utils/exerciseGroups');
+const { validateProgression, progressionFor, cloneSets } = require('../utils/workoutClone');
+const { trashExpiresAt } = require('../utils/trash');
+const { validateSessionRatings, buildRatingsData } = require('../utils/trainingLoad');
+const {
+  DEFAULT_PAGE_SIZE,
+  validateWorkoutSearch,
+  exercisesInMuscleGroups,
+  buildWorkoutSearchWhere,
+  buildWorkoutOrderBy,
+  durationCursorWhere
+} = require('../utils/workoutSearch');
+const { listParam } = require('../utils/queryParams');
+const {
+  getUnitPreferences,
+  resolveInputUnits,
+  fromKilograms,
+  setToCanonical,
+  setForViewer,
+  workoutExerciseForViewer,
+  workoutForViewer,
+  unitsMeta
+} = require('../utils/units');
+const {
+  getWorkoutCalories,
+  recordWorkoutCalories,
+  safelyRecordWorkoutCalories,
+  removeWorkoutCalories
+} = require('../services/calorieService');
+const { touchWorkout } = require('../services/workoutSyncService');
+const { safelyDetectPersonalRecords, safelyDetectWorkoutRecords } = require('../services/personalRecordService');
+const { recordForViewer } = require('../utils/personalRecords');
 
 const router = express.Router();
 const prisma = new PrismaClient();
 
-// Get all workouts for the authenticated user
+const FINISHED_WORKOUT_MESSAGE = 'Workout is finished, reopen it to make changes';
+
+// Find a workout exercise that belongs to one of the user's workouts
+const findOwnedWorkoutExercise = (workoutId, workoutExerciseId, userId) => {
+  return prisma.workoutExercise.findFirst({
+    where: {
+      id: workoutExerciseId,
+      workoutId,
+      workout: { userId, deletedAt: null }
+    },
+    include: {
+      workout: {
+        select: { status: true }
+      }
+    }
+  });
+};
+
+// Search the authenticated user's workouts
+// Query: from, to (dates), exerciseId, muscleGroup, templateId (comma-separated),
+// q (text in name or notes), minDuration, maxDuration (minutes), status,
+// sort=date|duration|name|createdAt, order=asc|desc, limit, cursor.
+// Planned and skipped workouts are only listed when asked for with ?status=.
+// Without a cursor the results are offset pages (`page`, default 1) as before;
+// pass the returned nextCursor instead to page by cursor.
 router.get('/', authenticateToken, async (req, res) => {
   try {
-    const { limit = 10, page = 1 } = req.query;
-    const skip = (page - 1) * parseInt(limit);
+    const { sort = 'date', order = 'desc', cursor, page } = req.query;
+
+    const validationError = validateWorkoutSearch(req.query);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const limit = req.query.limit ? parseInt(req.query.limit) : DEFAULT_PAGE_SIZE;
+
+    const muscleGroups = listParam(req.query.muscleGroup);
+    let muscleGroupExerciseIds = null;
+    if (muscleGroups) {
+      const exercises = await prisma.exercise.findMany({
+        select: { id: true, muscleGroups: true }
+      });
+      muscleGroupExerciseIds = exercisesInMuscleGroups(exercises, muscleGroups);
+    }
+
+    const where = buildWorkoutSearchWhere(req.user.id, req.query, muscleGroupExerciseIds);
+    const usePages = !cursor;
+    const pageNumber = page !== undefined ? parseInt(page) : 1;
+
+    // Durations can be NULL, so that sort pages on its own keyset
+    let pageWhere = where;
+    const useKeyset = cursor && sort === 'duration';
+    if (useKeyset) {
+      const cursorWorkout = await prisma.workout.findFirst({
+        where: { id: cursor, userId: req.user.id },
+        select: { id: true, duration: true }
+      });
+
+      if (!cursorWorkout) {
+        return res.status(400).json({ message: 'Invalid cursor' });
+      }
 
+      pageWhere = { AND: [where, durationCursorWhere(cursorWorkout, order)] };
+    }
+
+    // One extra row tells whether another page follows
     const workouts = await prisma.workout.findMany({
-      where: {
-        userId: req.user.id
-      },
-      include: {
-        exercises: {
-          include: {
-            exercise: true
-          }
-        }
-      },
-      orderBy: {
-        date: 'desc'
-      },
-      take: parseInt(limit),
-      skip: skip
+      where: pageWhere,
+      include: workoutInclude,
+      orderBy: buildWorkoutOrderBy(sort, order),
+      take: limit + 1,
+      ...(usePages && { skip: (pageNumber - 1) * limit }),
+      ...(cursor && !useKeyset && { cursor: { id: cursor }, skip: 1 })
     });
 
-    const totalWorkouts = await prisma.workout.count({
-      where: { userId: req.user.id }
-    });
+    const hasMore = workouts.length > limit;
+    const results = workouts.slice(0, limit);
+
+    const [totals, statusCounts] = await Promise.all([
+      prisma.workout.aggregate({
+        where,
+        _count: { _all: true },
+        _sum: { duration: true },
+        _avg: { duration: true },
+        _min: { date: true },
+        _max: { date: true }
+      }),
+      prisma.workout.groupBy({
+        by: ['status'],
+        where,
+        _count: { _all: true }
+      })
+    ]);
+
+    const total = totals._count._all;
+    const preferences = getUnitPreferences(req.user);
 
     res.json({
-      workouts,
+      workouts: results.map(workout => workoutForViewer(workout, preferences)),
+      units: unitsMeta(preferences),
+      aggregates: {
+        count: total,
+        totalDuration: totals._sum.duration || 0,
+        averageDuration: totals._avg.duration !== null ? Math.round(totals._avg.duration) : null,
+        firstDate: totals._min.date,
+        lastDate: totals._max.date,
+        byStatus: Object.fromEntries(statusCounts.map(entry => [entry.status, entry._count._all]))
+      },
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: totalWorkouts,
-        totalPages: Math.ceil(totalWorkouts / parseInt(limit))
+        // Offset pages keep the fields they always had
+        ...(usePages && { page: pageNumber }),
+        limit,
+        total,
+        ...(usePages && { totalPages: Math.ceil(total / limit) }),
+        hasMore,
+        nextCursor: hasMore ? results[results.length - 1].id : null
       }
     });
   } catch (error) {
@@ -59,14 +194,248 @@ router.get('/:id', authenticateToken, async (req, res) => {
     const workout = await prisma.workout.findFirst({
       where: {
         id,
-        userId: req.user.id // Ensure user owns this workout
+        userId: req.user.id, // Ensure user owns this workout
+        deletedAt: null
       },
-      include: {
-        exercises: {
-          include: {
-            exercise: true
+      include: workoutInclude
+    });
+
+    if (!workout) {
+      return res.status(404).json({ message: 'Workout not found' });
+    }
+
+    const preferences = getUnitPreferences(req.user);
+
+    res.json({
+      workout: workoutForViewer(workout, preferences),
+      units: unitsMeta(preferences),
+      session: {
+        status: workout.status,
+        activeSeconds: getActiveSeconds(workout)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching workout:', error);
+    res.status(500).json({ 
+      message: 'Error fetching workout',
+      error: error.message 
+    });
+  }
+});
+
+// Get the calorie estimate of a completed workout
+router.get('/:id/calories', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const workout = await prisma.workout.findFirst({
+      where: {
+        id,
+        userId: req.user.id,
+        deletedAt: null
+      },
+      select: { id: true, status: true }
+    });
+
+    if (!workout) {
+      return res.status(404).json({ message: 'Workout not found' });
+    }
+
+    if (workout.status !== 'completed') {
+      return res.status(409).json({ message: 'Calories are estimated once the workout is finished' });
+    }
+
+    // Workouts completed before estimates existed are estimated on first request
+    const estimate = await getWorkoutCalories(req.user.id, id) || await recordWorkoutCalories(id);
+    const { weightUnit } = getUnitPreferences(req.user);
+
+    res.json({
+      workoutId: id,
+      ...estimate,
+      bodyWeight: fromKilograms(estimate.bodyWeight, weightUnit),
+      weightUnit
+    });
+  } catch (error) {
+    console.error('Error fetching workout calories:', error);
+    res.status(500).json({ 
+      message: 'Error fetching workout calories',
+      error: error.message 
+    });
+  }
+});
+
+// Source workout include for repeats: exercises in logged order with their sets
+const repeatSourceInclude = {
+  exercises: {
+    include: workoutExerciseInclude,
+    orderBy: { id: 'asc' }
+  },
+  groups: true
+};
+
+// Create a new workout from a previous one, see utils/workoutClone.js.
+// Body: name, date, notes, startSession, progression, weightUnit (of the increments)
+const repeatWorkout = async (req, res, source, name = req.body.name) => {
+  const { date, notes, startSession = false, progression } = req.body;
+
+  const progressionError = validateProgression(progression);
+  if (progressionError) {
+    return res.status(400).json({ message: progressionError });
+  }
+
+  const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+  if (unitError) {
+    return res.status(400).json({ message: unitError });
+  }
+
+  const workout = await prisma.$transaction(async (prisma) => {
+    const newWorkout = await prisma.workout.create({
+      data: {
+        name: name || source.name,
+        date: date ? new Date(date) : new Date(),
+        notes: notes !== undefined ? notes : source.notes,
+        userId: req.user.id,
+        templateId: source.templateId,
+        sourceWorkoutId: source.id,
+        startedAt: startSession ? new Date() : null
+      }
+    });
+
+    const groupIds = {};
+    for (const group of source.groups) {
+      const newGroup = await prisma.workoutExerciseGroup.create({
+        data: {
+          workoutId: newWorkout.id,
+          ...buildGroupData(group)
+        }
+      });
+      groupIds[group.id] = newGroup.id;
+    }
+
+    // Created one by one so the new workout keeps the source's exercise order
+    for (const workoutExercise of source.exercises) {
+      const increment = progressionFor(progression, workoutExercise.exerciseId, units.weightUnit);
+
+      await prisma.workoutExercise.create({
+        data: {
+          workoutId: newWorkout.id,
+          exerciseId: workoutExercise.exerciseId,
+          restTime: workoutExercise.restTime,
+          notes: workoutExercise.notes,
+          groupId: workoutExercise.groupId ? groupIds[workoutExercise.groupId] : null,
+          groupOrder: workoutExercise.groupOrder,
+          sets: {
+            create: cloneSets(workoutExercise.sets, workoutExercise.exercise, increment)
+              .map((set, index) => buildSetData(set, index + 1))
           }
         }
+      });
+    }
+
+    return await prisma.workout.findUnique({
+      where: { id: newWorkout.id },
+      include: workoutInclude
+    });
+  });
+
+  const preferences = getUnitPreferences(req.user);
+
+  res.status(201).json({
+    message: 'Workout repeated successfully',
+    workout: workoutForViewer(workout, preferences),
+    sourceWorkout: {
+      id: source.id,
+      name: source.name,
+      date: source.date
+    },
+    units: unitsMeta(preferences)
+  });
+};
+
+// Repeat the latest completed workout of a template or with a given name
+// Body: templateId or name, plus the options of repeatWorkout
+router.post('/repeat-last', authenticateToken, async (req, res) => {
+  try {
+    const { templateId, name } = req.body;
+
+    if (!templateId && !name) {
+      return res.status(400).json({ message: 'A templateId or workout name is required' });
+    }
+
+    const source = await prisma.workout.findFirst({
+      where: {
+        userId: req.user.id,
+        deletedAt: null,
+        status: 'completed',
+        ...(templateId ? { templateId } : { name })
+      },
+      include: repeatSourceInclude,
+      orderBy: { date: 'desc' }
+    });
+
+    if (!source) {
+      return res.status(404).json({
+        message: templateId
+          ? 'No completed workout found for this template'
+          : `No completed workout named "${name}" found`
+      });
+    }
+
+    // `name` selects the source here, it is not a new name
+    await repeatWorkout(req, res, source, source.name);
+  } catch (error) {
+    console.error('Error repeating last workout:', error);
+    res.status(500).json({ 
+      message: 'Error repeating workout',
+      error: error.message 
+    });
+  }
+});
+
+// Repeat a specific workout
+router.post('/:id/repeat', authenticateToken, async (req, res) => {
+  try {
+    const source = await prisma.workout.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        deletedAt: null
+      },
+      include: repeatSourceInclude
+    });
+
+    if (!source) {
+      return res.status(404).json({ message: 'Workout not found' });
+    }
+
+    await repeatWorkout(req, res, source);
+  } catch (error) {
+    console.error('Error repeating workout:', error);
+    res.status(500).json({ 
+      message: 'Error repeating workout',
+      error: error.message 
+    });
+  }
+});
+
+// Trace where a workout was repeated from and what repeated it
+router.get('/:id/lineage', authenticateToken, async (req, res) => {
+  try {
+    const lineageSelect = { id: true, name: true, date: true, status: true, sourceWorkoutId: true };
+
+    const workout = await prisma.workout.findFirst({
+      where: {
+        id: req.params.id,
+        userId: req.user.id,
+        deletedAt: null
+      },
+      select: {
+        ...lineageSelect,
+        repeats: {
+          where: { deletedAt: null },
+          select: lineageSelect,
+          orderBy: { date: 'asc' }
+        }
       }
     });
 
@@ -74,11 +443,34 @@ router.get('/:id', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Workout not found' });
     }
 
-    res.json({ workout });
+    // Walk back to the first workout of the chain, oldest last
+    const ancestors = [];
+    let sourceId = workout.sourceWorkoutId;
+    const seen = new Set([workout.id]);
+
+    while (sourceId && !seen.has(sourceId)) {
+      const ancestor = await prisma.workout.findFirst({
+        where: { id: sourceId, userId: req.user.id, deletedAt: null },
+        select: lineageSelect
+      });
+      if (!ancestor) break;
+
+      ancestors.push(ancestor);
+      seen.add(ancestor.id);
+      sourceId = ancestor.sourceWorkoutId;
+    }
+
+    const { repeats, ...current } = workout;
+
+    res.json({
+      workout: current,
+      ancestors,
+      repeats
+    });
   } catch (error) {
-    console.error('Error fetching workout:', error);
+    console.error('Error fetching workout lineage:', error);
     res.status(500).json({ 
-      message: 'Error fetching workout',
+      message: 'Error fetching workout lineage',
       error: error.message 
     });
   }
@@ -87,13 +479,40 @@ router.get('/:id', authenticateToken, async (req, res) => {
 // Create new workout
 router.post('/', authenticateToken, async (req, res) => {
   try {
-    const { name, date, notes, exercises } = req.body;
+    const { name, date, notes, exercises, groups = [], startSession = false, planned = false } = req.body;
 
     // Validate required fields
     if (!name) {
       return res.status(400).json({ message: 'Workout name is required' });
     }
 
+    if (planned && (!date || startSession)) {
+      return res.status(400).json({ message: 'A planned workout needs a date and cannot start a session' });
+    }
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const exerciseSets = (exercises || []).map(extractSetsInput);
+    for (const sets of exerciseSets) {
+      const setError = validateSetsInput(sets);
+      if (setError) {
+        return res.status(400).json({ message: setError });
+      }
+    }
+
+    const groupError = validateGroupsInput(groups, exercises || []);
+    if (groupError) {
+      return res.status(400).json({ message: groupError });
+    }
+
+    const ratingsError = validateSessionRatings(req.body);
+    if (ratingsError) {
+      return res.status(400).json({ message: ratingsError });
+    }
+
     // Create workout with exercises in a transaction
     const workout = await prisma.$transaction(async (prisma) => {
       // Create the workout
@@ -102,23 +521,45 @@ router.post('/', authenticateToken, async (req, res) => {
           name,
           date: date ? new Date(date) : new Date(),
           notes,
-          userId: req.user.id
+          userId: req.user.id,
+          startedAt: startSession ? new Date() : null,
+          ...buildRatingsData(req.body),
+          ...(planned && { status: 'planned', scheduledFor: new Date(date) })
         }
       });
 
+      // Create exercise groups (supersets, circuits, giant sets)
+      const groupIds = {};
+      for (const group of groups) {
+        const newGroup = await prisma.workoutExerciseGroup.create({
+          data: {
+            workoutId: newWorkout.id,
+            ...buildGroupData(group)
+          }
+        });
+        groupIds[group.key] = newGroup.id;
+      }
+
       // Add exercises if provided
       if (exercises && exercises.length > 0) {
+        const positions = groupPositions(exercises);
         const workoutExercises = await Promise.all(
-          exercises.map(exercise => 
+          exercises.map((exercise, index) => 
             prisma.workoutExercise.create({
               data: {
                 workoutId: newWorkout.id,
                 exerciseId: exercise.exerciseId,
-                sets: exercise.sets || 1,
-                reps: exercise.reps || [1],
-                weight: exercise.weight || [0],
                 restTime: exercise.restTime,
-                notes: exercise.notes
+                notes: exercise.notes,
+                groupId: groupIds[exercise.groupKey] || null,
+                groupOrder: positions[index],
+                // Sets of a planned workout are prescribed, not done yet
+                sets: {
+                  create: exerciseSets[index].map((set, setIndex) => buildSetData(
+                    setToCanonical(planned ? { ...set, completed: false } : set, units),
+                    setIndex + 1
+                  ))
+                }
               }
             })
           )
@@ -128,19 +569,18 @@ router.post('/', authenticateToken, async (req, res) => {
       // Return workout with exercises
       return await prisma.workout.findUnique({
         where: { id: newWorkout.id },
-        include: {
-          exercises: {
-            include: {
-              exercise: true
-            }
-          }
-        }
+        include: workoutInclude
       });
     });
 
+    const personalRecords = await safelyDetectWorkoutRecords(workout.id);
+    const preferences = getUnitPreferences(req.user);
+
     res.status(201).json({
       message: 'Workout created successfully',
-      workout
+      workout: workoutForViewer(workout, preferences),
+      personalRecords: personalRecords.map(record => recordForViewer(record, preferences)),
+      units: unitsMeta(preferences)
     });
   } catch (error) {
     console.error('Error creating workout:', error);
@@ -155,13 +595,25 @@ router.post('/', authenticateToken, async (req, res) => {
 router.post('/:id/exercises', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { exerciseId, sets, reps, weight, restTime, notes } = req.body;
+    const { exerciseId, restTime, notes } = req.body;
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const sets = extractSetsInput(req.body);
+    const setError = validateSetsInput(sets);
+    if (setError) {
+      return res.status(400).json({ message: setError });
+    }
 
     // Verify workout belongs to user
     const workout = await prisma.workout.findFirst({
       where: {
         id,
-        userId: req.user.id
+        userId: req.user.id,
+        deletedAt: null
       }
     });
 
@@ -169,6 +621,10 @@ router.post('/:id/exercises', authenticateToken, async (req, res) => {
       return res.status(404).json({ message: 'Workout not found' });
     }
 
+    if (!isWorkoutEditable(workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
     // Verify exercise exists
     const exercise = await prisma.exercise.findUnique({
       where: { id: exerciseId }
@@ -182,20 +638,23 @@ router.post('/:id/exercises', authenticateToken, async (req, res) => {
       data: {
         workoutId: id,
         exerciseId,
-        sets: sets || 1,
-        reps: reps || [1],
-        weight: weight || [0],
         restTime,
-        notes
+        notes,
+        sets: {
+          create: sets.map((set, index) => buildSetData(setToCanonical(set, units), index + 1))
+        }
       },
-      include: {
-        exercise: true
-      }
+      include: workoutExerciseInclude
     });
 
+    await touchWorkout(prisma, id);
+    const personalRecords = await safelyDetectPersonalRecords(workoutExercise.id);
+    const preferences = getUnitPreferences(req.user);
+
     res.status(201).json({
       message: 'Exercise added to workout',
-      workoutExercise
+      workoutExercise: workoutExerciseForViewer(workoutExercise, preferences),
+      personalRecords: personalRecords.map(record => recordForViewer(record, preferences))
     });
   } catch (error) {
     console.error('Error adding exercise to workout:', error);
@@ -207,16 +666,32 @@ router.post('/:id/exercises', authenticateToken, async (req, res) => {
 });
 
 // Update workout exercise (for logging sets during workout)
+// Passing `sets` (or the legacy reps/weight arrays) replaces all logged sets
 router.put('/:workoutId/exercises/:exerciseId', authenticateToken, async (req, res) => {
   try {
     const { workoutId, exerciseId } = req.params;
-    const { sets, reps, weight, restTime, notes } = req.body;
+    const { restTime, notes } = req.body;
+    const replacesSets = req.body.sets !== undefined || req.body.reps !== undefined || req.body.weight !== undefined;
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const sets = replacesSets ? extractSetsInput(req.body) : null;
+    if (sets) {
+      const setError = validateSetsInput(sets);
+      if (setError) {
+        return res.status(400).json({ message: setError });
+      }
+    }
 
     // Verify workout belongs to user
     const workout = await prisma.workout.findFirst({
       where: {
         id: workoutId,
-        userId: req.user.id
+        userId: req.user.id,
+        deletedAt: null
       }
     });
 
@@ -224,38 +699,51 @@ router.put('/:workoutId/exercises/:exerciseId', authenticateToken, async (req, r
       return res.status(404).json({ message: 'Workout not found' });
     }
 
-    const workoutExercise = await prisma.workoutExercise.updateMany({
+    if (!isWorkoutEditable(workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    const workoutExercise = await prisma.workoutExercise.findFirst({
       where: {
         workoutId,
         exerciseId
-      },
-      data: {
-        sets,
-        reps,
-        weight,
-        restTime,
-        notes
       }
     });
 
-    if (workoutExercise.count === 0) {
+    if (!workoutExercise) {
       return res.status(404).json({ message: 'Exercise not found in workout' });
     }
 
-    // Return updated exercise
-    const updated = await prisma.workoutExercise.findFirst({
-      where: {
-        workoutId,
-        exerciseId
-      },
-      include: {
-        exercise: true
+    const updated = await prisma.$transaction(async (prisma) => {
+      if (sets) {
+        await prisma.workoutSet.deleteMany({
+          where: { workoutExerciseId: workoutExercise.id }
+        });
       }
+
+      return await prisma.workoutExercise.update({
+        where: { id: workoutExercise.id },
+        data: {
+          restTime,
+          notes,
+          ...(sets && {
+            sets: {
+              create: sets.map((set, index) => buildSetData(setToCanonical(set, units), index + 1))
+            }
+          })
+        },
+        include: workoutExerciseInclude
+      });
     });
 
+    await touchWorkout(prisma, workoutId);
+    const personalRecords = await safelyDetectPersonalRecords(updated.id);
+    const preferences = getUnitPreferences(req.user);
+
     res.json({
       message: 'Exercise updated successfully',
-      workoutExercise: updated
+      workoutExercise: workoutExerciseForViewer(updated, preferences),
+      personalRecords: personalRecords.map(record => recordForViewer(record, preferences))
     });
   } catch (error) {
     console.error('Error updating workout exercise:', error);
@@ -266,42 +754,598 @@ router.put('/:workoutId/exercises/:exerciseId', authenticateToken, async (req, r
   }
 });
 
-// Complete workout (calculate duration, mark as finished)
-router.put('/:id/complete', authenticateToken, async (req, res) => {
+// Add a single set to a workout exercise
+router.post('/:workoutId/exercises/:workoutExerciseId/sets', authenticateToken, async (req, res) => {
+  try {
+    const { workoutId, workoutExerciseId } = req.params;
+
+    const setError = validateSetInput(req.body);
+    if (setError) {
+      return res.status(400).json({ message: setError });
+    }
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const workoutExercise = await findOwnedWorkoutExercise(workoutId, workoutExerciseId, req.user.id);
+
+    if (!workoutExercise) {
+      return res.status(404).json({ message: 'Exercise not found in workout' });
+    }
+
+    if (!isWorkoutEditable(workoutExercise.workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    const lastSet = await prisma.workoutSet.findFirst({
+      where: { workoutExerciseId },
+      orderBy: { order: 'desc' }
+    });
+
+    const set = await prisma.workoutSet.create({
+      data: {
+        workoutExerciseId,
+        ...buildSetData(setToCanonical(req.body, units), lastSet ? lastSet.order + 1 : 1)
+      }
+    });
+
+    await touchWorkout(prisma, workoutId);
+    const personalRecords = await safelyDetectPersonalRecords(workoutExerciseId);
+    const preferences = getUnitPreferences(req.user);
+
+    res.status(201).json({
+      message: 'Set added successfully',
+      set: setForViewer(set, preferences),
+      personalRecords: personalRecords.map(record => recordForViewer(record, preferences))
+    });
+  } catch (error) {
+    console.error('Error adding set:', error);
+    res.status(500).json({ 
+      message: 'Error adding set',
+      error: error.message 
+    });
+  }
+});
+
+// Reorder the sets of a workout exercise
+router.put('/:workoutId/exercises/:workoutExerciseId/sets/reorder', authenticateToken, async (req, res) => {
+  try {
+    const { workoutId, workoutExerciseId } = req.params;
+    const { setIds } = req.body;
+
+    if (!Array.isArray(setIds)) {
+      return res.status(400).json({ message: 'setIds must be an array' });
+    }
+
+    const workoutExercise = await findOwnedWorkoutExercise(workoutId, workoutExerciseId, req.user.id);
+
+    if (!workoutExercise) {
+      return res.status(404).json({ message: 'Exercise not found in workout' });
+    }
+
+    if (!isWorkoutEditable(workoutExercise.workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    const existingSets = await prisma.workoutSet.findMany({
+      where: { workoutExerciseId },
+      select: { id: true }
+    });
+
+    const existingIds = existingSets.map(set => set.id);
+    const isSamePermutation = setIds.length === existingIds.length &&
+      new Set(setIds).size === setIds.length &&
+      setIds.every(setId => existingIds.includes(setId));
+
+    if (!isSamePermutation) {
+      return res.status(400).json({ message: 'setIds must list every set of this exercise exactly once' });
+    }
+
+    await prisma.$transaction(
+      setIds.map((setId, index) =>
+        prisma.workoutSet.update({
+          where: { id: setId },
+          data: { order: index + 1 }
+        })
+      )
+    );
+
+    const updated = await prisma.workoutExercise.findUnique({
+      where: { id: workoutExerciseId },
+      include: workoutExerciseInclude
+    });
+
+    await touchWorkout(prisma, workoutId);
+
+    res.json({
+      message: 'Sets reordered successfully',
+      workoutExercise: workoutExerciseForViewer(updated, getUnitPreferences(req.user))
+    });
+  } catch (error) {
+    console.error('Error reordering sets:', error);
+    res.status(500).json({ 
+      message: 'Error reordering sets',
+      error: error.message 
+    });
+  }
+});
+
+// Edit a single set
+router.put('/:workoutId/exercises/:workoutExerciseId/sets/:setId', authenticateToken, async (req, res) => {
+  try {
+    const { workoutId, workoutExerciseId, setId } = req.params;
+
+    const setError = validateSetInput(req.body);
+    if (setError) {
+      return res.status(400).json({ message: setError });
+    }
+
+    const { units, error: unitError } = resolveInputUnits(req.body, req.user);
+    if (unitError) {
+      return res.status(400).json({ message: unitError });
+    }
+
+    const workoutExercise = await findOwnedWorkoutExercise(workoutId, workoutExerciseId, req.user.id);
+
+    if (!workoutExercise) {
+      return res.status(404).json({ message: 'Exercise not found in workout' });
+    }
+
+    if (!isWorkoutEditable(workoutExercise.workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    const result = await prisma.workoutSet.updateMany({
+      where: {
+        id: setId,
+        workoutExerciseId
+      },
+      data: buildSetUpdateData(setToCanonical(req.body, units))
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ message: 'Set not found' });
+    }
+
+    const set = await prisma.workoutSet.findUnique({
+      where: { id: setId }
+    });
+
+    await touchWorkout(prisma, workoutId);
+    const personalRecords = await safelyDetectPersonalRecords(workoutExerciseId);
+    const preferences = getUnitPreferences(req.user);
+
+    res.json({
+      message: 'Set updated successfully',
+      set: setForViewer(set, preferences),
+      personalRecords: personalRecords.map(record => recordForViewer(record, preferences))
+    });
+  } catch (error) {
+    console.error('Error updating set:', error);
+    res.status(500).json({ 
+      message: 'Error updating set',
+      error: error.message 
+    });
+  }
+});
+
+// Delete a single set and close the gap in the set order
+router.delete('/:workoutId/exercises/:workoutExerciseId/sets/:setId', authenticateToken, async (req, res) => {
+  try {
+    const { workoutId, workoutExerciseId, setId } = req.params;
+
+    const workoutExercise = await findOwnedWorkoutExercise(workoutId, workoutExerciseId, req.user.id);
+
+    if (!workoutExercise) {
+      return res.status(404).json({ message: 'Exercise not found in workout' });
+    }
+
+    if (!isWorkoutEditable(workoutExercise.workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    const set = await prisma.workoutSet.findFirst({
+      where: {
+        id: setId,
+        workoutExerciseId
+      }
+    });
+
+    if (!set) {
+      return res.status(404).json({ message: 'Set not found' });
+    }
+
+    await prisma.$transaction([
+      prisma.workoutSet.delete({
+        where: { id: setId }
+      }),
+      prisma.workoutSet.updateMany({
+        where: {
+          workoutExerciseId,
+          order: { gt: set.order }
+        },
+        data: {
+          order: { decrement: 1 }
+        }
+      })
+    ]);
+
+    await touchWorkout(prisma, workoutId);
+    await safelyDetectPersonalRecords(workoutExerciseId);
+
+    res.json({ message: 'Set deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting set:', error);
+    res.status(500).json({ 
+      message: 'Error deleting set',
+      error: error.message 
+    });
+  }
+});
+
+// Group existing workout exercises into a superset, circuit or giant set
+// Body: { type, rounds, restTime, notes, workoutExerciseIds: [...] } (in performing order)
+router.post('/:id/groups', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { duration, notes } = req.body;
+    const { type, workoutExerciseIds } = req.body;
 
-    const workout = await prisma.workout.updateMany({
+    if (!type) {
+      return res.status(400).json({ message: 'Group type is required' });
+    }
+
+    const settingsError = validateGroupSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+
+    if (!Array.isArray(workoutExerciseIds) || new Set(workoutExerciseIds).size !== workoutExerciseIds.length) {
+      return res.status(400).json({ message: 'workoutExerciseIds must be a list of distinct ids' });
+    }
+
+    const sizeError = validateGroupSize(type, workoutExerciseIds.length);
+    if (sizeError) {
+      return res.status(400).json({ message: sizeError });
+    }
+
+    const workout = await prisma.workout.findFirst({
       where: {
         id,
-        userId: req.user.id
-      },
-      data: {
-        duration: duration || null,
-        notes: notes || null
+        userId: req.user.id,
+        deletedAt: null
       }
     });
 
-    if (workout.count === 0) {
+    if (!workout) {
       return res.status(404).json({ message: 'Workout not found' });
     }
 
-    // Return completed workout
-    const completedWorkout = await prisma.workout.findUnique({
-      where: { id },
+    if (!isWorkoutEditable(workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    const workoutExercises = await prisma.workoutExercise.findMany({
+      where: {
+        id: { in: workoutExerciseIds },
+        workoutId: id
+      }
+    });
+
+    if (workoutExercises.length !== workoutExerciseIds.length) {
+      return res.status(404).json({ message: 'Exercise not found in workout' });
+    }
+
+    const group = await prisma.$transaction(async (prisma) => {
+      const newGroup = await prisma.workoutExerciseGroup.create({
+        data: {
+          workoutId: id,
+          ...buildGroupData(req.body)
+        }
+      });
+
+      for (const [index, workoutExerciseId] of workoutExerciseIds.entries()) {
+        await prisma.workoutExercise.update({
+          where: { id: workoutExerciseId },
+          data: {
+            groupId: newGroup.id,
+            groupOrder: index + 1
+          }
+        });
+      }
+
+      // Groups left with too few exercises are dissolved
+      const previousGroupIds = [...new Set(workoutExercises.map(we => we.groupId).filter(Boolean))];
+      for (const previousGroupId of previousGroupIds) {
+        const previousGroup = await prisma.workoutExerciseGroup.findUnique({
+          where: { id: previousGroupId },
+          include: { _count: { select: { exercises: true } } }
+        });
+
+        if (previousGroup && validateGroupSize(previousGroup.type, previousGroup._count.exercises)) {
+          await prisma.workoutExercise.updateMany({
+            where: { groupId: previousGroupId },
+            data: { groupOrder: null }
+          });
+          await prisma.workoutExerciseGroup.delete({
+            where: { id: previousGroupId }
+          });
+        }
+      }
+
+      return await prisma.workoutExerciseGroup.findUnique({
+        where: { id: newGroup.id },
+        include: {
+          exercises: {
+            include: workoutExerciseInclude,
+            orderBy: { groupOrder: 'asc' }
+          }
+        }
+      });
+    });
+
+    await touchWorkout(prisma, id);
+
+    res.status(201).json({
+      message: 'Exercise group created successfully',
+      group: workoutForViewer(group, getUnitPreferences(req.user))
+    });
+  } catch (error) {
+    console.error('Error creating exercise group:', error);
+    res.status(500).json({ 
+      message: 'Error creating exercise group',
+      error: error.message 
+    });
+  }
+});
+
+// Update group settings (type, rounds, shared rest, notes)
+router.put('/:id/groups/:groupId', authenticateToken, async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+    const { type, rounds, restTime, notes } = req.body;
+
+    const settingsError = validateGroupSettings(req.body);
+    if (settingsError) {
+      return res.status(400).json({ message: settingsError });
+    }
+
+    const group = await prisma.workoutExerciseGroup.findFirst({
+      where: {
+        id: groupId,
+        workoutId: id,
+        workout: { userId: req.user.id, deletedAt: null }
+      },
+      include: {
+        workout: { select: { status: true } },
+        _count: { select: { exercises: true } }
+      }
+    });
+
+    if (!group) {
+      return res.status(404).json({ message: 'Exercise group not found' });
+    }
+
+    if (!isWorkoutEditable(group.workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    if (type && type !== group.type) {
+      const sizeError = validateGroupSize(type, group._count.exercises);
+      if (sizeError) {
+        return res.status(400).json({ message: sizeError });
+      }
+    }
+
+    const updatedGroup = await prisma.workoutExerciseGroup.update({
+      where: { id: groupId },
+      data: {
+        type: type || group.type,
+        rounds: rounds !== undefined ? parseInt(rounds) : group.rounds,
+        restTime: restTime !== undefined ? (restTime === null ? null : parseInt(restTime)) : group.restTime,
+        notes: notes !== undefined ? notes : group.notes
+      },
       include: {
         exercises: {
-          include: {
-            exercise: true
-          }
+          include: workoutExerciseInclude,
+          orderBy: { groupOrder: 'asc' }
         }
       }
     });
 
+    await touchWorkout(prisma, id);
+
     res.json({
-      message: 'Workout completed successfully',
-      workout: completedWorkout
+      message: 'Exercise group updated successfully',
+      group: workoutForViewer(updatedGroup, getUnitPreferences(req.user))
+    });
+  } catch (error) {
+    console.error('Error updating exercise group:', error);
+    res.status(500).json({ 
+      message: 'Error updating exercise group',
+      error: error.message 
+    });
+  }
+});
+
+// Ungroup: the exercises stay in the workout as standalone entries
+router.delete('/:id/groups/:groupId', authenticateToken, async (req, res) => {
+  try {
+    const { id, groupId } = req.params;
+
+    const group = await prisma.workoutExerciseGroup.findFirst({
+      where: {
+        id: groupId,
+        workoutId: id,
+        workout: { userId: req.user.id, deletedAt: null }
+      },
+      include: {
+        workout: { select: { status: true } }
+      }
+    });
+
+    if (!group) {
+      return res.status(404).json({ message: 'Exercise group not found' });
+    }
+
+    if (!isWorkoutEditable(group.workout)) {
+      return res.status(409).json({ message: FINISHED_WORKOUT_MESSAGE });
+    }
+
+    await prisma.$transaction([
+      prisma.workoutExercise.updateMany({
+        where: { groupId },
+        data: { groupId: null, groupOrder: null }
+      }),
+      prisma.workoutExerciseGroup.delete({
+        where: { id: groupId }
+      })
+    ]);
+
+    await touchWorkout(prisma, id);
+
+    res.json({ message: 'Exercise group removed successfully' });
+  } catch (error) {
+    console.error('Error removing exercise group:', error);
+    res.status(500).json({ 
+      message: 'Error removing exercise group',
+      error: error.message 
+    });
+  }
+});
+
+// Session actions that can record ratings
+const RATING_ACTIONS = ['start', 'finish'];
+
+const SESSION_MESSAGES = {
+  start: 'Workout session started',
+  pause: 'Workout session paused',
+  resume: 'Workout session resumed',
+  finish: 'Workout completed successfully',
+  abandon: 'Workout session abandoned',
+  skip: 'Planned workout skipped',
+  reopen: 'Workout reopened for editing'
+};
+
+// Apply a session lifecycle transition to one of the user's workouts
+const transitionSession = async (req, res, action, options = {}) => {
+  const { id } = req.params;
+
+  const workout = await prisma.workout.findFirst({
+    where: {
+      id,
+      userId: req.user.id,
+      deletedAt: null
+    }
+  });
+
+  if (!workout) {
+    return res.status(404).json({ message: 'Workout not found' });
+  }
+
+  // Completing a completed workout again only updates it (see PUT /:id/complete)
+  const alreadyCompleted = options.idempotent && workout.status === 'completed';
+  const { error, data } = alreadyCompleted
+    ? { data: options.fallbackDuration !== null ? { duration: options.fallbackDuration } : {} }
+    : SESSION_TRANSITIONS[action](workout, new Date(), options);
+
+  if (error) {
+    return res.status(409).json({ message: error });
+  }
+
+  const updatedWorkout = await prisma.workout.update({
+    where: { id },
+    data: {
+      ...data,
+      ...options.ratings,
+      ...(options.notes !== undefined && { notes: options.notes || null })
+    },
+    include: workoutInclude
+  });
+
+  // Completed workouts count towards calories; reopening or abandoning takes them back out
+  let calories;
+  if (action === 'finish') {
+    calories = await safelyRecordWorkoutCalories(id);
+  } else if (['reopen', 'abandon'].includes(action)) {
+    await removeWorkoutCalories(req.user.id, id);
+  }
+
+  // The status decides whether the sets count as records: starting a planned
+  // workout with pre-filled sets can set them, abandoning or skipping drops them
+  const personalRecords = await safelyDetectWorkoutRecords(id);
+  const preferences = getUnitPreferences(req.user);
+
+  res.json({
+    message: SESSION_MESSAGES[action],
+    workout: workoutForViewer(updatedWorkout, preferences),
+    session: {
+      status: updatedWorkout.status,
+      activeSeconds: getActiveSeconds(updatedWorkout)
+    },
+    personalRecords: personalRecords.map(record => recordForViewer(record, preferences)),
+    ...(calories !== undefined && { calories })
+  });
+};
+
+// Session lifecycle: start, pause, resume, finish, abandon, skip, reopen
+// Starting can record preWorkoutEnergy; finishing can record sessionRpe,
+// postWorkoutMood and soreness (any rating is accepted on either)
+Object.keys(SESSION_MESSAGES).forEach(action => {
+  router.post(`/:id/${action}`, authenticateToken, async (req, res) => {
+    try {
+      const { duration, notes } = req.body;
+      const recordsRatings = RATING_ACTIONS.includes(action);
+
+      if (recordsRatings) {
+        const ratingsError = validateSessionRatings(req.body);
+        if (ratingsError) {
+          return res.status(400).json({ message: ratingsError });
+        }
+      }
+
+      const durationError = action === 'finish' && validateFinishDuration(duration);
+      if (durationError) {
+        return res.status(400).json({ message: durationError });
+      }
+
+      await transitionSession(req, res, action, {
+        ...(action === 'finish' && { fallbackDuration: parseFinishDuration(duration), notes }),
+        ...(recordsRatings && { ratings: buildRatingsData(req.body) })
+      });
+    } catch (error) {
+      console.error(`Error applying workout session action "${action}":`, error);
+      res.status(500).json({ 
+        message: 'Error updating workout session',
+        error: error.message 
+      });
+    }
+  });
+});
+
+// Complete workout (legacy alias for POST /:id/finish). Unlike finish it
+// succeeds on a workout that is already completed, updating its duration,
+// notes and ratings, as it always has.
+router.put('/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    const { duration, notes } = req.body;
+
+    const ratingsError = validateSessionRatings(req.body);
+    if (ratingsError) {
+      return res.status(400).json({ message: ratingsError });
+    }
+
+    const durationError = validateFinishDuration(duration);
+    if (durationError) {
+      return res.status(400).json({ message: durationError });
+    }
+
+    await transitionSession(req, res, 'finish', {
+      fallbackDuration: parseFinishDuration(duration),
+      idempotent: true,
+      notes,
+      ratings: buildRatingsData(req.body)
     });
   } catch (error) {
     console.error('Error completing workout:', error);
@@ -312,23 +1356,78 @@ router.put('/:id/complete', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete workout
+// Record or correct session ratings after the fact
+// Body: sessionRpe (0-10), preWorkoutEnergy, postWorkoutMood, soreness (1-5); null clears one
+router.put('/:id/ratings', authenticateToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const ratingsError = validateSessionRatings(req.body);
+    if (ratingsError) {
+      return res.status(400).json({ message: ratingsError });
+    }
+
+    const ratings = buildRatingsData(req.body);
+    if (Object.keys(ratings).length === 0) {
+      return res.status(400).json({ message: 'No ratings to update' });
+    }
+
+    const result = await prisma.workout.updateMany({
+      where: {
+        id,
+        userId: req.user.id,
+        deletedAt: null
+      },
+      data: ratings
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({ message: 'Workout not found' });
+    }
+
+    const workout = await prisma.workout.findUnique({
+      where: { id },
+      include: workoutInclude
+    });
+
+    res.json({
+      message: 'Session ratings updated successfully',
+      workout: workoutForViewer(workout, getUnitPreferences(req.user))
+    });
+  } catch (error) {
+    console.error('Error updating session ratings:', error);
+    res.status(500).json({ 
+      message: 'Error updating session ratings',
+      error: error.message 
+    });
+  }
+});
+
+// Delete workout: moves it to the trash (see routes/trash.js), it is purged
+// once the retention period is over
 router.delete('/:id', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
 
-    const workout = await prisma.workout.deleteMany({
+    const workout = await prisma.workout.updateMany({
       where: {
         id,
-        userId: req.user.id
-      }
+        userId: req.user.id,
+        deletedAt: null
+      },
+      data: { deletedAt: new Date() }
     });
 
     if (workout.count === 0) {
       return res.status(404).json({ message: 'Workout not found' });
     }
 
-    res.json({ message: 'Workout deleted successfully' });
+    await removeWorkoutCalories(req.user.id, id);
+
+    res.json({
+      message: 'Workout moved to trash',
+      restorableUntil: trashExpiresAt(new Date())
+    });
   } catch (error) {
     console.error('Error deleting workout:', error);
     res.status(500).json({ 
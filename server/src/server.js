@@ -1,8 +1,17 @@
  require('dotenv').config();
 const app = require('./app');
+const { autoFinishStaleSessions } = require('./services/workoutSessionService');
+const { runScheduleJobs } = require('./services/workoutScheduleService');
+const { purgeExpiredTrash } = require('./services/trashService');
 
 const PORT = process.env.PORT || 3001;
 
+// Background jobs
+const JOB_INTERVAL_MS = 15 * 60 * 1000; // 15 minutes
+setInterval(autoFinishStaleSessions, JOB_INTERVAL_MS);
+setInterval(runScheduleJobs, JOB_INTERVAL_MS);
+setInterval(purgeExpiredTrash, JOB_INTERVAL_MS);
+
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
@@ -0,0 +1,35 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Logged body weights (kg) per user, oldest first, keyed by userId.
+// Used to price bodyweight exercises at the body weight of the workout date.
+const getBodyWeightHistories = async (userIds) => {
+  const entries = await prisma.userStats.findMany({
+    where: {
+      userId: { in: userIds },
+      weight: { not: null }
+    },
+    select: {
+      userId: true,
+      date: true,
+      weight: true
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  const histories = Object.fromEntries(userIds.map(userId => [userId, []]));
+
+  entries.forEach(entry => {
+    histories[entry.userId].push({ date: entry.date, weight: entry.weight });
+  });
+
+  return histories;
+};
+
+const getBodyWeightHistory = async (userId) => (await getBodyWeightHistories([userId]))[userId];
+
+module.exports = {
+  getBodyWeightHistories,
+  getBodyWeightHistory
+};
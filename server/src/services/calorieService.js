@@ -0,0 +1,130 @@
+const { PrismaClient } = require('@prisma/client');
+const { estimateWorkoutCalories } = require('../utils/calories');
+const { bodyWeightOn } = require('../utils/bodyweight');
+const { getBodyWeightHistory } = require('./bodyWeightService');
+
+const prisma = new PrismaClient();
+
+// Workout activities written by the server carry the workout id in `data`.
+// Filtered in JavaScript, JSON filters are unreliable on SQLite.
+const findWorkoutActivities = async (userId, workoutId) => {
+  const activities = await prisma.userActivity.findMany({
+    where: { userId, activityType: 'workout' },
+    select: { id: true, data: true }
+  });
+
+  return activities.filter(activity => activity.data && activity.data.workoutId === workoutId);
+};
+
+// Drop the calorie record of a workout that was reopened, abandoned or deleted
+const removeWorkoutCalories = async (userId, workoutId) => {
+  const activities = await findWorkoutActivities(userId, workoutId);
+
+  if (activities.length > 0) {
+    await prisma.userActivity.deleteMany({
+      where: { id: { in: activities.map(activity => activity.id) } }
+    });
+  }
+};
+
+// Estimate the calories of a completed workout and store them as its
+// UserActivity, replacing any earlier estimate. The activity is dated at the
+// finish time so leaderboards count imported history in the right week.
+const recordWorkoutCalories = async (workoutId) => {
+  const workout = await prisma.workout.findUnique({
+    where: { id: workoutId },
+    include: {
+      exercises: {
+        include: {
+          exercise: true,
+          sets: true
+        }
+      }
+    }
+  });
+
+  if (!workout) return null;
+
+  if (workout.status !== 'completed' || workout.deletedAt) {
+    await removeWorkoutCalories(workout.userId, workout.id);
+    return null;
+  }
+
+  const history = await getBodyWeightHistory(workout.userId);
+  const estimate = estimateWorkoutCalories(workout, bodyWeightOn(history, workout.date));
+
+  const data = {
+    workoutId: workout.id,
+    workoutName: workout.name,
+    calorieMethod: estimate.method,
+    bodyWeight: estimate.bodyWeight,
+    bodyWeightEstimated: estimate.bodyWeightEstimated,
+    exercises: estimate.exercises
+  };
+
+  const [existing, ...duplicates] = await findWorkoutActivities(workout.userId, workout.id);
+  const activityData = {
+    calories: estimate.calories,
+    duration: estimate.durationMinutes,
+    data,
+    createdAt: workout.finishedAt || workout.date
+  };
+
+  if (duplicates.length > 0) {
+    await prisma.userActivity.deleteMany({
+      where: { id: { in: duplicates.map(activity => activity.id) } }
+    });
+  }
+
+  if (existing) {
+    await prisma.userActivity.update({
+      where: { id: existing.id },
+      data: activityData
+    });
+  } else {
+    await prisma.userActivity.create({
+      data: {
+        userId: workout.userId,
+        activityType: 'workout',
+        ...activityData
+      }
+    });
+  }
+
+  return estimate;
+};
+
+// Stored estimate of a workout in the shape returned by estimateWorkoutCalories
+const getWorkoutCalories = async (userId, workoutId) => {
+  const [activity] = await findWorkoutActivities(userId, workoutId);
+  if (!activity) return null;
+
+  const { calories, duration, data } = await prisma.userActivity.findUnique({ where: { id: activity.id } });
+
+  return {
+    calories,
+    durationMinutes: duration,
+    bodyWeight: data.bodyWeight,
+    bodyWeightEstimated: data.bodyWeightEstimated,
+    method: data.calorieMethod,
+    exercises: data.exercises
+  };
+};
+
+// Calories are a side effect of finishing a workout; a failed estimate is
+// logged and never fails the request that completed the workout
+const safelyRecordWorkoutCalories = async (workoutId) => {
+  try {
+    return await recordWorkoutCalories(workoutId);
+  } catch (error) {
+    console.error('Error estimating workout calories:', error);
+    return null;
+  }
+};
+
+module.exports = {
+  getWorkoutCalories,
+  recordWorkoutCalories,
+  safelyRecordWorkoutCalories,
+  removeWorkoutCalories
+};
@@ -0,0 +1,180 @@
+const { PrismaClient } = require('@prisma/client');
+const { RECORD_TYPES, sessionBests, historyBests, findRecords, formatRecordValue, buildRecordPost } = require('../utils/personalRecords');
+const { usesBodyWeight, effectiveLoad, loadContext } = require('../utils/bodyweight');
+const { UNPERFORMED_STATUSES, countedWorkoutWhere } = require('../utils/workoutSession');
+const { getBodyWeightHistory } = require('./bodyWeightService');
+
+const prisma = new PrismaClient();
+
+// Imported history, unperformed, abandoned and trashed workouts never set records
+const setsRecords = (workout) =>
+  !workout.importSource && !workout.deletedAt &&
+  !UNPERFORMED_STATUSES.includes(workout.status) && workout.status !== 'abandoned';
+
+const notifyRecord = (userId, record, exerciseName, weightUnit) => prisma.notification.create({
+  data: {
+    userId,
+    type: 'personal_record',
+    title: 'New personal record 🏆',
+    message: `${exerciseName}: ${RECORD_TYPES[record.type]} of ${formatRecordValue(record.type, record.value, weightUnit)}` +
+      ` (previous best ${formatRecordValue(record.type, record.previousValue, weightUnit)})`
+  }
+});
+
+// Compare the sets of one workout exercise with the user's earlier sessions
+// of the exercise and bring its PR events up to date. New records notify the
+// user and, unless turned off, get an achievement post drafted. Returns the
+// workout exercise's current PR events.
+const detectPersonalRecords = async (workoutExerciseId) => {
+  const workoutExercise = await prisma.workoutExercise.findUnique({
+    where: { id: workoutExerciseId },
+    include: {
+      exercise: true,
+      sets: true,
+      workout: {
+        select: { id: true, userId: true, date: true, status: true, deletedAt: true, importSource: true }
+      }
+    }
+  });
+
+  if (!workoutExercise) return [];
+
+  const { workout, exercise } = workoutExercise;
+  const userId = workout.userId;
+
+  let records = [];
+  let load = null;
+
+  if (setsRecords(workout)) {
+    const earlier = await prisma.workoutExercise.findMany({
+      where: {
+        exerciseId: exercise.id,
+        id: { not: workoutExercise.id },
+        workout: { userId, ...countedWorkoutWhere, date: { lt: workout.date } }
+      },
+      include: {
+        sets: true,
+        workout: { select: { date: true } }
+      }
+    });
+
+    const bodyWeightHistory = usesBodyWeight(exercise.loadType) ? await getBodyWeightHistory(userId) : [];
+    const previous = historyBests(earlier.map(we => ({
+      sets: we.sets,
+      load: loadContext(exercise, bodyWeightHistory, we.workout.date)
+    })));
+
+    load = loadContext(exercise, bodyWeightHistory, workout.date);
+    records = findRecords(sessionBests(workoutExercise.sets, load), previous);
+  }
+
+  const existing = await prisma.personalRecord.findMany({
+    where: { workoutExerciseId }
+  });
+
+  // Records the session no longer beats, along with their notifications
+  const stale = existing.filter(event => !records.some(record => record.type === event.type));
+  if (stale.length > 0) {
+    await prisma.personalRecord.deleteMany({
+      where: { id: { in: stale.map(event => event.id) } }
+    });
+
+    const notificationIds = stale.map(event => event.notificationId).filter(Boolean);
+    if (notificationIds.length > 0) {
+      await prisma.notification.deleteMany({
+        where: { id: { in: notificationIds } }
+      });
+    }
+  }
+
+  if (records.length === 0) return [];
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { weightUnit: true, draftRecordPosts: true }
+  });
+
+  const events = [];
+
+  for (const record of records) {
+    const data = {
+      setId: record.set ? record.set.id : null,
+      value: record.value,
+      previousValue: record.previousValue,
+      weight: record.set ? effectiveLoad(record.set, load) : null,
+      reps: record.set ? record.set.reps : null,
+      achievedAt: workout.date
+    };
+
+    const event = existing.find(item => item.type === record.type);
+    const draft = user.draftRecordPosts && !(event && event.postId)
+      ? buildRecordPost({ ...record, ...data, exerciseId: exercise.id, workoutId: workout.id }, exercise.name, user.weightUnit)
+      : null;
+
+    if (event) {
+      events.push(await prisma.personalRecord.update({
+        where: { id: event.id },
+        data: { ...data, ...(draft && { postDraft: draft }) }
+      }));
+      continue;
+    }
+
+    const notification = await notifyRecord(userId, record, exercise.name, user.weightUnit);
+
+    events.push(await prisma.personalRecord.create({
+      data: {
+        userId,
+        exerciseId: exercise.id,
+        workoutId: workout.id,
+        workoutExerciseId,
+        type: record.type,
+        notificationId: notification.id,
+        ...data,
+        ...(draft && { postDraft: draft })
+      }
+    }));
+  }
+
+  return events;
+};
+
+// Detect records for every exercise of a workout
+const detectWorkoutRecords = async (workoutId) => {
+  const workoutExercises = await prisma.workoutExercise.findMany({
+    where: { workoutId },
+    select: { id: true }
+  });
+
+  const events = [];
+  for (const workoutExercise of workoutExercises) {
+    events.push(...await detectPersonalRecords(workoutExercise.id));
+  }
+  return events;
+};
+
+// Records are a side effect of saving sets; a failed detection is logged
+// and never fails the request that saved them
+const safelyDetectPersonalRecords = async (workoutExerciseId) => {
+  try {
+    return await detectPersonalRecords(workoutExerciseId);
+  } catch (error) {
+    console.error('Error detecting personal records:', error);
+    return [];
+  }
+};
+
+const safelyDetectWorkoutRecords = async (workoutId) => {
+  try {
+    return await detectWorkoutRecords(workoutId);
+  } catch (error) {
+    console.error('Error detecting personal records:', error);
+    return [];
+  }
+};
+
+module.exports = {
+  detectPersonalRecords,
+  detectWorkoutRecords,
+  safelyDetectPersonalRecords,
+  safelyDetectWorkoutRecords
+};
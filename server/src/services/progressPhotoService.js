@@ -0,0 +1,59 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+// Progress photos live outside the public uploads folder; they are only
+// ever served through the authenticated photo routes
+const PHOTO_DIR = path.resolve(process.env.PROGRESS_PHOTO_DIR || 'storage/progress-photos');
+
+// Longest side of a stored photo, in pixels
+const MAX_PHOTO_SIZE = 2048;
+
+const photoPath = (fileName) => path.join(PHOTO_DIR, path.basename(fileName));
+
+// Re-encode an uploaded image as JPEG and store it under a random name.
+// Sharp drops all metadata unless asked to keep it, so EXIF (GPS location,
+// camera, timestamps) never reaches storage; the EXIF orientation is applied
+// to the pixels first so the photo still shows the right way up.
+// Returns { fileName, mimeType, width, height, size }.
+const storePhoto = async (buffer) => {
+  const { data, info } = await sharp(buffer)
+    .rotate()
+    .resize({ width: MAX_PHOTO_SIZE, height: MAX_PHOTO_SIZE, fit: 'inside', withoutEnlargement: true })
+    .jpeg({ quality: 85 })
+    .toBuffer({ resolveWithObject: true });
+
+  const fileName = `${crypto.randomBytes(16).toString('hex')}.jpg`;
+
+  await fs.mkdir(PHOTO_DIR, { recursive: true });
+  await fs.writeFile(photoPath(fileName), data, { mode: 0o600 });
+
+  return {
+    fileName,
+    mimeType: 'image/jpeg',
+    width: info.width,
+    height: info.height,
+    size: info.size
+  };
+};
+
+// Remove a stored photo; a file that is already gone is not an error
+const removePhotoFile = async (fileName) => {
+  try {
+    await fs.unlink(photoPath(fileName));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+};
+
+// Random token for a share link
+const createShareToken = () => crypto.randomBytes(24).toString('base64url');
+
+module.exports = {
+  PHOTO_DIR,
+  photoPath,
+  storePhoto,
+  removePhotoFile,
+  createShareToken
+};
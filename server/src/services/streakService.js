@@ -0,0 +1,46 @@
+const { PrismaClient } = require('@prisma/client');
+const { countedWorkoutWhere } = require('../utils/workoutSession');
+const { DEFAULT_STREAK_SETTINGS, buildStreak } = require('../utils/streaks');
+
+const prisma = new PrismaClient();
+
+const streakSettingsSelect = Object.fromEntries(Object.keys(DEFAULT_STREAK_SETTINGS).map(field => [field, true]));
+
+// Streaks per user, keyed by userId, each built from the user's own
+// timezone and streak rules. Every endpoint showing a streak goes through here.
+const getUserStreaks = async (userIds, now = new Date()) => {
+  const [users, workouts] = await Promise.all([
+    prisma.user.findMany({
+      where: { id: { in: userIds } },
+      select: { id: true, ...streakSettingsSelect }
+    }),
+    prisma.workout.findMany({
+      where: {
+        userId: { in: userIds },
+        ...countedWorkoutWhere
+      },
+      select: {
+        userId: true,
+        date: true
+      }
+    })
+  ]);
+
+  const datesByUser = Object.fromEntries(userIds.map(userId => [userId, []]));
+  workouts.forEach(workout => {
+    datesByUser[workout.userId].push(workout.date);
+  });
+
+  return Object.fromEntries(userIds.map(userId => [
+    userId,
+    buildStreak(datesByUser[userId], users.find(user => user.id === userId), now)
+  ]));
+};
+
+const getUserStreak = async (userId, now = new Date()) => (await getUserStreaks([userId], now))[userId];
+
+module.exports = {
+  streakSettingsSelect,
+  getUserStreaks,
+  getUserStreak
+};
@@ -0,0 +1,68 @@
+const { buildSetData, setsFromLegacyArrays } = require('../utils/workoutSets');
+const { buildGroupData } = require('../utils/exerciseGroups');
+
+// Prisma include for a template that is turned into a workout
+const templateWorkoutInclude = {
+  exercises: {
+    include: {
+      exercise: true
+    },
+    orderBy: {
+      order: 'asc'
+    }
+  },
+  groups: true
+};
+
+// Create a workout from a template inside a transaction. `data` holds the
+// workout fields (userId, name, date, status, ...); the template's groups and
+// exercises are copied with their prescribed sets not yet completed.
+const createWorkoutFromTemplate = async (prisma, template, data) => {
+  const newWorkout = await prisma.workout.create({
+    data: {
+      templateId: template.id,
+      ...data
+    }
+  });
+
+  // Copy the template's exercise groups onto the workout
+  const groupIds = {};
+  for (const group of template.groups) {
+    const newGroup = await prisma.workoutExerciseGroup.create({
+      data: {
+        workoutId: newWorkout.id,
+        ...buildGroupData(group)
+      }
+    });
+    groupIds[group.id] = newGroup.id;
+  }
+
+  // Add exercises from template
+  await Promise.all(
+    template.exercises.map(templateExercise =>
+      prisma.workoutExercise.create({
+        data: {
+          workoutId: newWorkout.id,
+          exerciseId: templateExercise.exerciseId,
+          restTime: templateExercise.restTime,
+          notes: templateExercise.notes,
+          groupId: templateExercise.groupId ? groupIds[templateExercise.groupId] : null,
+          groupOrder: templateExercise.groupOrder,
+          // Prescribed sets start out as not yet completed
+          sets: {
+            create: setsFromLegacyArrays(templateExercise).map((set, index) =>
+              buildSetData({ ...set, completed: false }, index + 1)
+            )
+          }
+        }
+      })
+    )
+  );
+
+  return newWorkout;
+};
+
+module.exports = {
+  templateWorkoutInclude,
+  createWorkoutFromTemplate
+};
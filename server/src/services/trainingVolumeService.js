@@ -0,0 +1,57 @@
+const { PrismaClient } = require('@prisma/client');
+const { isWorkingSet, setVolume } = require('../utils/workoutSets');
+const { usesBodyWeight, loadContext } = require('../utils/bodyweight');
+const { countedWorkoutWhere } = require('../utils/workoutSession');
+const { getBodyWeightHistories } = require('./bodyWeightService');
+
+const prisma = new PrismaClient();
+
+// Total lifted volume (kg) per user since a date, keyed by userId.
+// Weights are stored in kg for everyone, so users logging in kg and lb compare fairly.
+// Bodyweight exercises count the user's body weight, even for sets logged without weight.
+const getVolumeByUser = async (userIds, since = null) => {
+  const sets = await prisma.workoutSet.findMany({
+    where: {
+      OR: [
+        { weight: { not: null } },
+        { workoutExercise: { exercise: { loadType: { not: 'external' } } } }
+      ],
+      workoutExercise: {
+        workout: {
+          userId: { in: userIds },
+          ...countedWorkoutWhere,
+          ...(since && { date: { gte: since } })
+        }
+      }
+    },
+    select: {
+      weight: true,
+      reps: true,
+      setType: true,
+      completed: true,
+      workoutExercise: {
+        select: {
+          exercise: { select: { loadType: true, bodyweightFactor: true } },
+          workout: { select: { userId: true, date: true } }
+        }
+      }
+    }
+  });
+
+  const volumeByUser = Object.fromEntries(userIds.map(userId => [userId, 0]));
+  const histories = sets.some(set => usesBodyWeight(set.workoutExercise.exercise.loadType))
+    ? await getBodyWeightHistories(userIds)
+    : {};
+
+  sets.filter(isWorkingSet).forEach(set => {
+    const { exercise, workout } = set.workoutExercise;
+    const load = loadContext(exercise, histories[workout.userId], workout.date);
+    volumeByUser[workout.userId] += setVolume(set, load);
+  });
+
+  return volumeByUser;
+};
+
+module.exports = {
+  getVolumeByUser
+};
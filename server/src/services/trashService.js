@@ -0,0 +1,139 @@
+const { PrismaClient } = require('@prisma/client');
+const { trashExpiresAt, purgeCutoff } = require('../utils/trash');
+const { safelyRecordWorkoutCalories } = require('./calorieService');
+
+const prisma = new PrismaClient();
+
+// Where each kind of trashed item lives and who owns it
+const TRASH_SOURCES = {
+  workout: {
+    model: 'workout',
+    ownerField: 'userId',
+    label: 'Workout',
+    select: { id: true, name: true, date: true, status: true, deletedAt: true }
+  },
+  template: {
+    model: 'workoutTemplate',
+    ownerField: 'createdById',
+    label: 'Workout template',
+    select: { id: true, name: true, category: true, difficulty: true, deletedAt: true }
+  },
+  post: {
+    model: 'post',
+    ownerField: 'userId',
+    label: 'Post',
+    select: { id: true, type: true, content: true, createdAt: true, deletedAt: true }
+  },
+  comment: {
+    model: 'comment',
+    ownerField: 'userId',
+    label: 'Comment',
+    select: { id: true, postId: true, parentId: true, content: true, createdAt: true, deletedAt: true }
+  }
+};
+
+const withExpiry = (type) => (item) => ({
+  type,
+  ...item,
+  expiresAt: trashExpiresAt(item.deletedAt)
+});
+
+// A user's trashed items of one type, or of every type when `types` lists them all
+const listTrash = async (userId, types) => {
+  const items = await Promise.all(types.map(async (type) => {
+    const source = TRASH_SOURCES[type];
+    const rows = await prisma[source.model].findMany({
+      where: { [source.ownerField]: userId, deletedAt: { not: null } },
+      select: source.select,
+      orderBy: { deletedAt: 'desc' }
+    });
+    return rows.map(withExpiry(type));
+  }));
+
+  return items.flat().sort((a, b) => b.deletedAt - a.deletedAt);
+};
+
+const findTrashedItem = (type, id, userId) => {
+  const source = TRASH_SOURCES[type];
+  return prisma[source.model].findFirst({
+    where: { id, [source.ownerField]: userId, deletedAt: { not: null } },
+    select: source.select
+  });
+};
+
+// Put a trashed item back; returns { error } when it can't be restored yet
+const restoreTrashItem = async (type, item) => {
+  const source = TRASH_SOURCES[type];
+
+  if (type === 'comment') {
+    const post = await prisma.post.findUnique({
+      where: { id: item.postId },
+      select: { deletedAt: true }
+    });
+    if (post.deletedAt) {
+      return { error: 'Restore the post this comment belongs to first' };
+    }
+  }
+
+  const restored = await prisma[source.model].update({
+    where: { id: item.id },
+    data: { deletedAt: null },
+    select: source.select
+  });
+
+  // Completed workouts count towards calories again
+  if (type === 'workout') {
+    await safelyRecordWorkoutCalories(item.id);
+  }
+
+  return { item: { type, ...restored } };
+};
+
+const deleteTrashItem = (type, item) =>
+  prisma[TRASH_SOURCES[type].model].delete({ where: { id: item.id } });
+
+// Permanently delete everything in a user's trash
+const emptyTrash = async (userId) => {
+  let deleted = 0;
+  for (const source of Object.values(TRASH_SOURCES)) {
+    const { count } = await prisma[source.model].deleteMany({
+      where: { [source.ownerField]: userId, deletedAt: { not: null } }
+    });
+    deleted += count;
+  }
+  return deleted;
+};
+
+// Background job: permanently delete items whose retention period is over
+const purgeExpiredTrash = async (now = new Date()) => {
+  try {
+    const cutoff = purgeCutoff(now);
+    let purged = 0;
+
+    for (const source of Object.values(TRASH_SOURCES)) {
+      const { count } = await prisma[source.model].deleteMany({
+        where: { deletedAt: { lt: cutoff } }
+      });
+      purged += count;
+    }
+
+    if (purged > 0) {
+      console.log(`🗑️ Purged ${purged} expired items from the trash`);
+    }
+
+    return purged;
+  } catch (error) {
+    console.error('Error purging expired trash:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  TRASH_SOURCES,
+  listTrash,
+  findTrashedItem,
+  restoreTrashItem,
+  deleteTrashItem,
+  emptyTrash,
+  purgeExpiredTrash
+};
@@ -0,0 +1,155 @@
+const { PrismaClient } = require('@prisma/client');
+const { templateWorkoutInclude, createWorkoutFromTemplate } = require('./templateWorkoutService');
+const { dayKey, startOfDay, addDays, localDayKey, localToday, scheduledDates } = require('../utils/trainingCalendar');
+const { getStreakSettings } = require('../utils/streaks');
+
+const prisma = new PrismaClient();
+
+// Planned workouts are created this many days ahead; later sessions are
+// only shown on the calendar as upcoming
+const PLAN_AHEAD_DAYS = parseInt(process.env.WORKOUT_PLAN_AHEAD_DAYS) || 14;
+
+// The user's timezone, UTC when unset or unknown
+const getUserTimezone = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { timezone: true }
+  });
+  return getStreakSettings(user).timezone;
+};
+
+// Create the planned workouts of one schedule up to the planning horizon.
+// Days are the user's calendar days; a day that already has a session from
+// this schedule (started, done or skipped) gets no second one.
+const planSchedule = async (schedule, now = new Date()) => {
+  const today = localToday(await getUserTimezone(schedule.userId), now);
+  const horizon = addDays(today, PLAN_AHEAD_DAYS + 1);
+
+  // Continue after the last planned day, never planning days already gone
+  const nextDay = schedule.plannedUntil ? addDays(startOfDay(schedule.plannedUntil), 1) : today;
+  const from = nextDay > today ? nextDay : today;
+
+  if (!schedule.active || from >= horizon) return 0;
+
+  // Schedules of a trashed template pause until it is restored
+  const template = await prisma.workoutTemplate.findFirst({
+    where: { id: schedule.templateId, deletedAt: null },
+    include: templateWorkoutInclude
+  });
+
+  if (!template) return 0;
+
+  const existingSessions = await prisma.workout.findMany({
+    where: {
+      scheduleId: schedule.id,
+      status: { not: 'planned' },
+      deletedAt: null,
+      scheduledFor: { gte: from, lt: horizon }
+    },
+    select: { scheduledFor: true }
+  });
+  const takenDays = new Set(existingSessions.map(workout => dayKey(workout.scheduledFor)));
+
+  const dates = scheduledDates(schedule, from, horizon).filter(date => !takenDays.has(dayKey(date)));
+
+  await prisma.$transaction(async (prisma) => {
+    for (const date of dates) {
+      await createWorkoutFromTemplate(prisma, template, {
+        userId: schedule.userId,
+        name: template.name,
+        date,
+        status: 'planned',
+        scheduledFor: date,
+        scheduleId: schedule.id
+      });
+    }
+
+    await prisma.workoutSchedule.update({
+      where: { id: schedule.id },
+      data: { plannedUntil: addDays(horizon, -1) }
+    });
+  }, { timeout: 60000 });
+
+  return dates.length;
+};
+
+// Drop the planned workouts of a schedule from `from` on, so it can be
+// re-planned after an edit or stops planning once deleted
+const clearPlannedWorkouts = async (scheduleId, from = new Date()) => {
+  const { count } = await prisma.workout.deleteMany({
+    where: {
+      scheduleId,
+      status: 'planned',
+      date: { gte: startOfDay(from) }
+    }
+  });
+  return count;
+};
+
+// Planned workouts whose day has passed in the user's timezone are marked skipped
+const skipMissedWorkouts = async (now = new Date()) => {
+  // No timezone is more than a day ahead of UTC
+  const candidates = await prisma.workout.findMany({
+    where: {
+      status: 'planned',
+      date: { lt: addDays(startOfDay(now), 1) }
+    },
+    select: {
+      id: true,
+      date: true,
+      user: { select: { timezone: true } }
+    }
+  });
+
+  const missedIds = candidates
+    .filter(workout => dayKey(workout.date) < localDayKey(now, getStreakSettings(workout.user).timezone))
+    .map(workout => workout.id);
+
+  if (missedIds.length === 0) return 0;
+
+  const { count } = await prisma.workout.updateMany({
+    where: { id: { in: missedIds }, status: 'planned' },
+    data: { status: 'skipped' }
+  });
+  return count;
+};
+
+// Background job: mark missed sessions, then keep every active schedule
+// planned ahead
+const runScheduleJobs = async (now = new Date()) => {
+  try {
+    const skipped = await skipMissedWorkouts(now);
+
+    const schedules = await prisma.workoutSchedule.findMany({
+      where: {
+        active: true,
+        OR: [
+          { endDate: null },
+          { endDate: { gte: startOfDay(now) } }
+        ]
+      }
+    });
+
+    let planned = 0;
+    for (const schedule of schedules) {
+      planned += await planSchedule(schedule, now);
+    }
+
+    if (skipped > 0 || planned > 0) {
+      console.log(`📅 Planned ${planned} scheduled workouts, marked ${skipped} missed workouts as skipped`);
+    }
+
+    return { planned, skipped };
+  } catch (error) {
+    console.error('Error running workout schedule jobs:', error);
+    return { planned: 0, skipped: 0 };
+  }
+};
+
+module.exports = {
+  PLAN_AHEAD_DAYS,
+  planSchedule,
+  clearPlannedWorkouts,
+  skipMissedWorkouts,
+  runScheduleJobs
+};
@@ -0,0 +1,81 @@
+const { PrismaClient } = require('@prisma/client');
+const { finishSession } = require('../utils/workoutSession');
+const { safelyRecordWorkoutCalories } = require('./calorieService');
+
+const prisma = new PrismaClient();
+
+// Sessions with no activity for this long are finished automatically
+const AUTO_FINISH_AFTER_HOURS = parseFloat(process.env.WORKOUT_AUTO_FINISH_HOURS) || 4;
+
+// Latest moment we know the member was still training. The workout's
+// updatedAt is bumped by changes to its exercises and sets as well.
+const getLastActivityAt = (workout) => {
+  const timestamps = [workout.startedAt, workout.pausedAt, workout.updatedAt]
+    .concat(workout.exercises.flatMap(exercise => exercise.sets.map(set => set.updatedAt)))
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+
+  return new Date(Math.max(...timestamps));
+};
+
+// Finish sessions that were left running, using the last logged activity as
+// the finish time so forgotten timers don't inflate the duration. Workouts
+// logged without starting a session are closed the same way once they go quiet.
+const autoFinishStaleSessions = async (now = new Date()) => {
+  try {
+    const cutoff = new Date(now.getTime() - AUTO_FINISH_AFTER_HOURS * 60 * 60 * 1000);
+
+    const openSessions = await prisma.workout.findMany({
+      where: {
+        deletedAt: null,
+        OR: [
+          { status: { in: ['in_progress', 'paused'] }, startedAt: { not: null, lt: cutoff } },
+          { status: 'in_progress', startedAt: null, updatedAt: { lt: cutoff } }
+        ]
+      },
+      include: {
+        exercises: {
+          select: {
+            sets: {
+              select: { updatedAt: true }
+            }
+          }
+        }
+      }
+    });
+
+    let finished = 0;
+
+    for (const workout of openSessions) {
+      const lastActivityAt = getLastActivityAt(workout);
+      if (lastActivityAt >= cutoff) continue;
+
+      // Without a clock the duration is whatever was logged
+      const { data } = finishSession(workout, lastActivityAt, {
+        fallbackDuration: workout.duration,
+        autoFinished: true
+      });
+
+      await prisma.workout.update({
+        where: { id: workout.id },
+        data
+      });
+      await safelyRecordWorkoutCalories(workout.id);
+      finished++;
+    }
+
+    if (finished > 0) {
+      console.log(`⏱️ Auto-finished ${finished} stale workout sessions`);
+    }
+
+    return finished;
+  } catch (error) {
+    console.error('Error auto-finishing workout sessions:', error);
+    return 0;
+  }
+};
+
+module.exports = {
+  AUTO_FINISH_AFTER_HOURS,
+  autoFinishStaleSessions
+};
@@ -0,0 +1,389 @@
+const { PrismaClient } = require('@prisma/client');
+const {
+  workoutInclude,
+  buildSetData,
+  buildSetUpdateData,
+  extractSetsInput
+} = require('../utils/workoutSets');
+const { SESSION_TRANSITIONS, isWorkoutEditable, parseFinishDuration } = require('../utils/workoutSession');
+const { resolveInputUnits, setToCanonical } = require('../utils/units');
+const { SYNC_TARGETS, SYNC_OPERATION_TYPES, SYNC_DELTA_LIMIT, encodeSyncToken, operationTime } = require('../utils/workoutSync');
+const { buildRatingsData } = require('../utils/trainingLoad');
+const { safelyRecordWorkoutCalories } = require('./calorieService');
+const { safelyDetectWorkoutRecords } = require('./personalRecordService');
+
+const prisma = new PrismaClient();
+
+const FINISHED_WORKOUT_MESSAGE = 'Workout was finished on the server';
+
+const TARGET_LABELS = {
+  workout: 'Workout',
+  workoutExercise: 'Workout exercise',
+  set: 'Set'
+};
+
+// The record type each operation creates, for resolving refs to it
+const CREATED_RESOURCES = {
+  create_workout: 'workout',
+  add_exercise: 'workoutExercise',
+  add_set: 'set'
+};
+
+// Mark a workout changed so the next sync delta includes it
+const touchWorkout = (prisma, workoutId) => prisma.workout.update({
+  where: { id: workoutId },
+  data: { updatedAt: new Date() }
+});
+
+// Changed on the server after the device made its change. Changes made
+// earlier in the same batch (at or after `now`) are the client's own.
+const changedOnServerSince = (record, time, now) => record.updatedAt > time && record.updatedAt < now;
+
+const applied = (resourceId) => ({ status: 'applied', resourceId });
+const conflict = (resourceId, message) => ({ status: 'conflict', resourceId, message });
+const rejected = (message) => ({ status: 'rejected', resourceId: null, message });
+
+// Server id of the operation's target, from its id or from the operation that created it
+const resolveTargetId = (operation, records) => {
+  const target = SYNC_OPERATION_TYPES[operation.type];
+  const [idField, refField] = SYNC_TARGETS[target];
+
+  if (operation[idField]) return { id: operation[idField] };
+
+  const record = records.get(operation[refField]);
+  if (!record || record.status !== 'applied' || CREATED_RESOURCES[record.type] !== target) {
+    return { error: `Referenced operation ${operation[refField]} did not create a ${target}` };
+  }
+  return { id: record.resourceId };
+};
+
+const findTarget = (prisma, target, id, userId) => {
+  if (target === 'workout') {
+    return prisma.workout.findFirst({ where: { id, userId } });
+  }
+  if (target === 'workoutExercise') {
+    return prisma.workoutExercise.findFirst({
+      where: { id, workout: { userId } },
+      include: { workout: true }
+    });
+  }
+  return prisma.workoutSet.findFirst({
+    where: { id, workoutExercise: { workout: { userId } } },
+    include: { workoutExercise: { include: { workout: true } } }
+  });
+};
+
+const targetWorkout = (target, record) => {
+  if (target === 'workout') return record;
+  if (target === 'workoutExercise') return record.workout;
+  return record.workoutExercise.workout;
+};
+
+// Make sure an offline change can still go into the workout. An auto-finish
+// is only the server's guess that a session was forgotten, so changes made on
+// the device while it was offline resume it; the client's own finish ends it.
+const prepareWorkout = async (prisma, workout) => {
+  if (workout.deletedAt) {
+    return { error: 'Workout was deleted on the server' };
+  }
+
+  if (isWorkoutEditable(workout)) {
+    return { workout };
+  }
+
+  if (!workout.autoFinished) {
+    return { error: FINISHED_WORKOUT_MESSAGE };
+  }
+
+  const resumed = await prisma.workout.update({
+    where: { id: workout.id },
+    data: { status: 'in_progress', finishedAt: null, pausedAt: null, autoFinished: false }
+  });
+  return { workout: resumed };
+};
+
+const createWorkout = async (prisma, user, operation, units, time) => {
+  const data = operation.data;
+  const exercises = data.exercises || [];
+
+  const exerciseIds = [...new Set(exercises.map(exercise => exercise.exerciseId))];
+  const found = await prisma.exercise.count({ where: { id: { in: exerciseIds } } });
+  if (found !== exerciseIds.length) {
+    return rejected('Exercise not found');
+  }
+
+  const workout = await prisma.workout.create({
+    data: {
+      userId: user.id,
+      name: data.name,
+      date: data.date ? new Date(data.date) : time,
+      notes: data.notes || null,
+      startedAt: data.startSession ? time : null,
+      ...buildRatingsData(data),
+      exercises: {
+        create: exercises.map(exercise => ({
+          exerciseId: exercise.exerciseId,
+          restTime: exercise.restTime,
+          notes: exercise.notes,
+          sets: {
+            create: extractSetsInput(exercise).map((set, index) => buildSetData(setToCanonical(set, units), index + 1))
+          }
+        }))
+      }
+    }
+  });
+
+  return applied(workout.id);
+};
+
+const applySession = async (prisma, workout, operation, time) => {
+  const { error: editError, workout: current } = await prepareWorkout(prisma, workout);
+  if (editError) return conflict(workout.id, editError);
+
+  const { error, data } = SESSION_TRANSITIONS[operation.data.action](current, time, {
+    fallbackDuration: parseFinishDuration(operation.data.duration)
+  });
+  if (error) return conflict(workout.id, error);
+
+  await prisma.workout.update({
+    where: { id: workout.id },
+    data: {
+      ...data,
+      ...buildRatingsData(operation.data),
+      ...(operation.data.notes !== undefined && { notes: operation.data.notes || null })
+    }
+  });
+  return applied(workout.id);
+};
+
+const deleteWorkout = async (prisma, workout, time, now) => {
+  if (workout.deletedAt) return applied(workout.id);
+
+  if (changedOnServerSince(workout, time, now)) {
+    return conflict(workout.id, 'Workout was changed on the server after it was deleted offline');
+  }
+
+  await prisma.workout.update({
+    where: { id: workout.id },
+    data: { deletedAt: new Date() }
+  });
+  return applied(workout.id);
+};
+
+const addExercise = async (prisma, workout, operation, units) => {
+  const { exerciseId, restTime, notes } = operation.data;
+
+  const exercise = await prisma.exercise.findUnique({ where: { id: exerciseId } });
+  if (!exercise) return rejected('Exercise not found');
+
+  const workoutExercise = await prisma.workoutExercise.create({
+    data: {
+      workoutId: workout.id,
+      exerciseId,
+      restTime,
+      notes,
+      sets: {
+        create: extractSetsInput(operation.data).map((set, index) => buildSetData(setToCanonical(set, units), index + 1))
+      }
+    }
+  });
+
+  await touchWorkout(prisma, workout.id);
+  return applied(workoutExercise.id);
+};
+
+const addSet = async (prisma, workoutExercise, operation, units) => {
+  const lastSet = await prisma.workoutSet.findFirst({
+    where: { workoutExerciseId: workoutExercise.id },
+    orderBy: { order: 'desc' }
+  });
+
+  const set = await prisma.workoutSet.create({
+    data: {
+      workoutExerciseId: workoutExercise.id,
+      ...buildSetData(setToCanonical(operation.data, units), lastSet ? lastSet.order + 1 : 1)
+    }
+  });
+
+  await touchWorkout(prisma, workoutExercise.workoutId);
+  return applied(set.id);
+};
+
+// Set edits are last-writer-wins: a set changed on the server after the
+// offline edit was made keeps the server's version
+const updateSet = async (prisma, set, operation, units, time, now) => {
+  if (changedOnServerSince(set, time, now)) {
+    return conflict(set.id, 'Set was changed on the server after this edit');
+  }
+
+  await prisma.workoutSet.update({
+    where: { id: set.id },
+    data: buildSetUpdateData(setToCanonical(operation.data, units))
+  });
+
+  await touchWorkout(prisma, set.workoutExercise.workoutId);
+  return applied(set.id);
+};
+
+const deleteSet = async (prisma, set, time, now) => {
+  if (changedOnServerSince(set, time, now)) {
+    return conflict(set.id, 'Set was changed on the server after it was deleted offline');
+  }
+
+  await prisma.workoutSet.delete({ where: { id: set.id } });
+  await prisma.workoutSet.updateMany({
+    where: {
+      workoutExerciseId: set.workoutExerciseId,
+      order: { gt: set.order }
+    },
+    data: { order: { decrement: 1 } }
+  });
+
+  await touchWorkout(prisma, set.workoutExercise.workoutId);
+  return applied(set.id);
+};
+
+const applyToWorkout = async (prisma, operation, workout, record, units, time, now) => {
+  if (operation.type === 'session') return applySession(prisma, workout, operation, time);
+  if (operation.type === 'delete_workout') return deleteWorkout(prisma, workout, time, now);
+
+  const { error: editError } = await prepareWorkout(prisma, workout);
+  if (editError) return conflict(record.id, editError);
+
+  switch (operation.type) {
+    case 'add_exercise':
+      return addExercise(prisma, workout, operation, units);
+    case 'add_set':
+      return addSet(prisma, record, operation, units);
+    case 'update_set':
+      return updateSet(prisma, record, operation, units, time, now);
+    default:
+      return deleteSet(prisma, record, time, now);
+  }
+};
+
+const applyOperation = async (prisma, user, operation, records, now) => {
+  const { units } = resolveInputUnits(operation.data || {}, user);
+  const time = operationTime(operation, now);
+
+  if (operation.type === 'create_workout') {
+    const outcome = await createWorkout(prisma, user, operation, units, time);
+    return { ...outcome, workoutId: outcome.resourceId };
+  }
+
+  const target = SYNC_OPERATION_TYPES[operation.type];
+  const { id, error } = resolveTargetId(operation, records);
+  if (error) return rejected(error);
+
+  const record = await findTarget(prisma, target, id, user.id);
+  if (!record) {
+    return rejected(`${TARGET_LABELS[target]} not found`);
+  }
+
+  const workout = targetWorkout(target, record);
+  return { ...await applyToWorkout(prisma, operation, workout, record, units, time, now), workoutId: workout.id };
+};
+
+const resultFor = (record, duplicate = false) => ({
+  idempotencyKey: record.idempotencyKey,
+  type: record.type,
+  status: record.status,
+  resourceId: record.resourceId,
+  ...(record.message && { message: record.message }),
+  ...(duplicate && { duplicate: true })
+});
+
+// Apply a validated batch in order inside one transaction. Operations whose
+// idempotency key was seen before return their earlier result untouched.
+const applySyncOperations = async (user, operations, now = new Date()) => {
+  const changedWorkoutIds = new Set();
+
+  const results = await prisma.$transaction(async (prisma) => {
+    const refKeys = operations.flatMap(operation =>
+      Object.values(SYNC_TARGETS).map(([, refField]) => operation[refField]).filter(Boolean));
+    const keys = [...new Set([...operations.map(operation => operation.idempotencyKey), ...refKeys])];
+
+    const known = await prisma.syncOperation.findMany({
+      where: { userId: user.id, idempotencyKey: { in: keys } }
+    });
+    const records = new Map(known.map(record => [record.idempotencyKey, record]));
+
+    const results = [];
+    for (const operation of operations) {
+      const existing = records.get(operation.idempotencyKey);
+      if (existing) {
+        results.push(resultFor(existing, true));
+        continue;
+      }
+
+      const outcome = await applyOperation(prisma, user, operation, records, now);
+
+      const record = await prisma.syncOperation.create({
+        data: {
+          userId: user.id,
+          idempotencyKey: operation.idempotencyKey,
+          type: operation.type,
+          status: outcome.status,
+          resourceId: outcome.resourceId,
+          message: outcome.message || null
+        }
+      });
+      records.set(record.idempotencyKey, record);
+      results.push(resultFor(record));
+
+      if (outcome.status === 'applied') {
+        changedWorkoutIds.add(outcome.workoutId);
+      }
+    }
+
+    return results;
+  }, { timeout: 60000 });
+
+  // Finished, resumed and deleted workouts update their calorie activity,
+  // and sets logged offline are checked for personal records
+  for (const workoutId of changedWorkoutIds) {
+    await safelyRecordWorkoutCalories(workoutId);
+    await safelyDetectWorkoutRecords(workoutId);
+  }
+
+  return results;
+};
+
+// Workouts changed after the position in `since` ({ updatedAt, id } from the
+// sync token), oldest change first. Without a token, the whole history
+// outside the trash.
+const getSyncDelta = async (userId, since) => {
+  const changes = await prisma.workout.findMany({
+    where: {
+      userId,
+      ...(since
+        ? {
+          OR: [
+            { updatedAt: { gt: since.updatedAt } },
+            { updatedAt: since.updatedAt, id: { gt: since.id } }
+          ]
+        }
+        : { deletedAt: null })
+    },
+    include: workoutInclude,
+    orderBy: [{ updatedAt: 'asc' }, { id: 'asc' }],
+    take: SYNC_DELTA_LIMIT + 1
+  });
+
+  const hasMore = changes.length > SYNC_DELTA_LIMIT;
+  const page = changes.slice(0, SYNC_DELTA_LIMIT);
+  const last = page[page.length - 1];
+
+  return {
+    workouts: page.filter(workout => !workout.deletedAt),
+    deletedWorkoutIds: page.filter(workout => workout.deletedAt).map(workout => workout.id),
+    syncToken: last ? encodeSyncToken(last) : null,
+    hasMore
+  };
+};
+
+module.exports = {
+  touchWorkout,
+  applySyncOperations,
+  getSyncDelta
+};
@@ -0,0 +1,335 @@
+// Parsers for activity files recorded by watches and bike computers.
+// GPX and TCX are XML, FIT is Garmin's binary format. Every parser returns
+// { name, sport, startTime, points: [{ time, latitude, longitude, elevation, heartRate, distance }] }
+// where `distance` is the device's cumulative distance in meters when it recorded one.
+
+const ACTIVITY_FORMATS = ['gpx', 'tcx', 'fit'];
+
+// Normalize the sport names used by the different formats
+const SPORTS = {
+  running: 'running',
+  run: 'running',
+  trail_running: 'running',
+  biking: 'cycling',
+  cycling: 'cycling',
+  ride: 'cycling',
+  walking: 'walking',
+  walk: 'walking',
+  hiking: 'hiking',
+  hike: 'hiking',
+  swimming: 'swimming',
+  swim: 'swimming'
+};
+
+const normalizeSport = (value) => {
+  if (!value) return null;
+  return SPORTS[String(value).trim().toLowerCase().replace(/\s+/g, '_')] || null;
+};
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return isNaN(number) ? null : number;
+};
+
+const toDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Detect the format from the file name, falling back to the content
+const detectActivityFormat = (filename, buffer) => {
+  const extension = String(filename || '').toLowerCase().split('.').pop();
+  if (ACTIVITY_FORMATS.includes(extension)) return extension;
+
+  if (buffer.length >= 12 && buffer.toString('ascii', 8, 12) === '.FIT') return 'fit';
+
+  const head = buffer.toString('utf8', 0, Math.min(buffer.length, 1024));
+  if (/<gpx[\s>]/.test(head)) return 'gpx';
+  if (/<TrainingCenterDatabase[\s>]/.test(head)) return 'tcx';
+
+  return null;
+};
+
+// --- XML helpers ---
+// The formats are simple and well known, so a couple of regular expressions
+// are enough and we avoid pulling in a full XML parser.
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Text content of the first <tag> (namespace prefixes are ignored)
+const xmlText = (xml, tag) => {
+  const match = xml.match(new RegExp(`<(?:[\\w-]+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>`));
+  return match ? decodeXml(match[1].trim()) : null;
+};
+
+const xmlAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`));
+  return match ? match[1] : null;
+};
+
+// Every <tag ...>...</tag> (or self-closing <tag ... />) as { attributes, body }
+const xmlElements = (xml, tag) => {
+  const pattern = new RegExp(`<(?:[\\w-]+:)?${tag}\\b([^>]*?)(?:/>|>([\\s\\S]*?)</(?:[\\w-]+:)?${tag}>)`, 'g');
+  const elements = [];
+  let match;
+  while ((match = pattern.exec(xml)) !== null) {
+    elements.push({ attributes: match[1] || '', body: match[2] || '' });
+  }
+  return elements;
+};
+
+const parseGpx = (buffer) => {
+  const xml = buffer.toString('utf8');
+  const track = xmlElements(xml, 'trk')[0];
+
+  const points = xmlElements(xml, 'trkpt').map(({ attributes, body }) => ({
+    time: toDate(xmlText(body, 'time')),
+    latitude: toNumber(xmlAttribute(attributes, 'lat')),
+    longitude: toNumber(xmlAttribute(attributes, 'lon')),
+    elevation: toNumber(xmlText(body, 'ele')),
+    // Garmin TrackPointExtension: <gpxtpx:hr>
+    heartRate: toNumber(xmlText(body, 'hr')),
+    distance: null
+  }));
+
+  return {
+    name: (track && xmlText(track.body, 'name')) || xmlText(xml, 'name'),
+    sport: normalizeSport(track && xmlText(track.body, 'type')),
+    startTime: toDate(xmlText(xmlText(xml, 'metadata') || '', 'time')) || (points[0] && points[0].time) || null,
+    points
+  };
+};
+
+const parseTcx = (buffer) => {
+  const xml = buffer.toString('utf8');
+  const activity = xmlElements(xml, 'Activity')[0];
+
+  if (!activity) {
+    return { name: null, sport: null, startTime: null, points: [] };
+  }
+
+  const points = xmlElements(activity.body, 'Trackpoint').map(({ body }) => {
+    const heartRate = xmlText(body, 'HeartRateBpm');
+    return {
+      time: toDate(xmlText(body, 'Time')),
+      latitude: toNumber(xmlText(body, 'LatitudeDegrees')),
+      longitude: toNumber(xmlText(body, 'LongitudeDegrees')),
+      elevation: toNumber(xmlText(body, 'AltitudeMeters')),
+      heartRate: heartRate ? toNumber(xmlText(heartRate, 'Value') || heartRate) : null,
+      distance: toNumber(xmlText(body, 'DistanceMeters'))
+    };
+  });
+
+  return {
+    name: xmlText(activity.body, 'Notes'),
+    sport: normalizeSport(xmlAttribute(activity.attributes, 'Sport')),
+    startTime: toDate(xmlText(activity.body, 'Id')) || (points[0] && points[0].time) || null,
+    points
+  };
+};
+
+// --- FIT ---
+// Only the messages we need are decoded: record (20) for the track
+// and session (18) for the sport. See the FIT SDK profile for field numbers.
+
+const FIT_EPOCH_OFFSET = 631065600; // seconds between 1970-01-01 and 1989-12-31
+const FIT_MESSAGES = { session: 18, record: 20 };
+const FIT_SPORTS = { 1: 'running', 2: 'cycling', 5: 'swimming', 11: 'walking', 17: 'hiking' };
+const SEMICIRCLES_TO_DEGREES = 180 / 2147483648;
+
+// Read a single value, returns null for the base type's "invalid" marker
+const readFitValue = (buffer, offset, baseType, size, littleEndian) => {
+  const typeNumber = baseType & 0x1f;
+
+  switch (typeNumber) {
+    case 0x00: // enum
+    case 0x02: // uint8
+    case 0x0a: { // uint8z
+      if (size !== 1) return null;
+      const value = buffer.readUInt8(offset);
+      return value === (typeNumber === 0x0a ? 0 : 0xff) ? null : value;
+    }
+    case 0x01: {
+      if (size !== 1) return null;
+      const value = buffer.readInt8(offset);
+      return value === 0x7f ? null : value;
+    }
+    case 0x03: {
+      if (size !== 2) return null;
+      const value = littleEndian ? buffer.readInt16LE(offset) : buffer.readInt16BE(offset);
+      return value === 0x7fff ? null : value;
+    }
+    case 0x04:
+    case 0x0b: {
+      if (size !== 2) return null;
+      const value = littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+      return value === (typeNumber === 0x0b ? 0 : 0xffff) ? null : value;
+    }
+    case 0x05: {
+      if (size !== 4) return null;
+      const value = littleEndian ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset);
+      return value === 0x7fffffff ? null : value;
+    }
+    case 0x06:
+    case 0x0c: {
+      if (size !== 4) return null;
+      const value = littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+      return value === (typeNumber === 0x0c ? 0 : 0xffffffff) ? null : value;
+    }
+    default:
+      return null;
+  }
+};
+
+const parseFit = (buffer) => {
+  if (buffer.length < 12 || buffer.toString('ascii', 8, 12) !== '.FIT') {
+    throw new Error('Invalid FIT file');
+  }
+
+  const headerSize = buffer.readUInt8(0);
+  const dataEnd = Math.min(headerSize + buffer.readUInt32LE(4), buffer.length);
+  const definitions = {};
+  const points = [];
+  let sport = null;
+  let lastTimestamp = null;
+  let offset = headerSize;
+
+  while (offset < dataEnd) {
+    const recordHeader = buffer.readUInt8(offset++);
+    const isCompressedTimestamp = (recordHeader & 0x80) !== 0;
+    const localType = isCompressedTimestamp ? (recordHeader >> 5) & 0x03 : recordHeader & 0x0f;
+
+    // Definition message: describes the layout of later data messages
+    if (!isCompressedTimestamp && (recordHeader & 0x40)) {
+      const littleEndian = buffer.readUInt8(offset + 1) === 0;
+      const globalNumber = littleEndian ? buffer.readUInt16LE(offset + 2) : buffer.readUInt16BE(offset + 2);
+      const fieldCount = buffer.readUInt8(offset + 4);
+      offset += 5;
+
+      const fields = [];
+      for (let i = 0; i < fieldCount; i++) {
+        fields.push({
+          number: buffer.readUInt8(offset),
+          size: buffer.readUInt8(offset + 1),
+          baseType: buffer.readUInt8(offset + 2)
+        });
+        offset += 3;
+      }
+
+      // Developer fields are skipped, only their sizes matter
+      let developerSize = 0;
+      if (recordHeader & 0x20) {
+        const developerCount = buffer.readUInt8(offset++);
+        for (let i = 0; i < developerCount; i++) {
+          developerSize += buffer.readUInt8(offset + 1);
+          offset += 3;
+        }
+      }
+
+      definitions[localType] = { globalNumber, littleEndian, fields, developerSize };
+      continue;
+    }
+
+    const definition = definitions[localType];
+    if (!definition) {
+      throw new Error('Corrupt FIT file: data message without definition');
+    }
+
+    const values = {};
+    for (const field of definition.fields) {
+      values[field.number] = readFitValue(buffer, offset, field.baseType, field.size, definition.littleEndian);
+      offset += field.size;
+    }
+    offset += definition.developerSize;
+
+    // Compressed timestamp headers carry a 5-bit offset from the last full timestamp
+    if (isCompressedTimestamp && lastTimestamp !== null) {
+      const timeOffset = recordHeader & 0x1f;
+      let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+      if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+      values[253] = timestamp;
+    }
+    if (values[253] !== undefined && values[253] !== null) {
+      lastTimestamp = values[253];
+    }
+
+    if (definition.globalNumber === FIT_MESSAGES.session && values[5] !== undefined && values[5] !== null) {
+      sport = FIT_SPORTS[values[5]] || sport;
+    }
+
+    if (definition.globalNumber === FIT_MESSAGES.record) {
+      // enhanced_altitude (78) supersedes altitude (2), both are scaled by 5 with a 500m offset
+      const rawAltitude = values[78] !== undefined && values[78] !== null ? values[78] : values[2];
+
+      points.push({
+        time: values[253] !== undefined && values[253] !== null
+          ? new Date((values[253] + FIT_EPOCH_OFFSET) * 1000)
+          : null,
+        latitude: values[0] !== undefined && values[0] !== null ? values[0] * SEMICIRCLES_TO_DEGREES : null,
+        longitude: values[1] !== undefined && values[1] !== null ? values[1] * SEMICIRCLES_TO_DEGREES : null,
+        elevation: rawAltitude !== undefined && rawAltitude !== null ? rawAltitude / 5 - 500 : null,
+        heartRate: values[3] !== undefined ? values[3] : null,
+        distance: values[5] !== undefined && values[5] !== null ? values[5] / 100 : null
+      });
+    }
+  }
+
+  return {
+    name: null,
+    sport,
+    startTime: (points.find(point => point.time) || {}).time || null,
+    points
+  };
+};
+
+const PARSERS = {
+  gpx: parseGpx,
+  tcx: parseTcx,
+  fit: parseFit
+};
+
+// Parse an activity file, returns { format, ...activity } or { error }
+const parseActivityFile = (buffer, filename, format) => {
+  const detectedFormat = format || detectActivityFormat(filename, buffer);
+
+  if (!PARSERS[detectedFormat]) {
+    return { error: `Unsupported activity file, expected one of: ${ACTIVITY_FORMATS.join(', ')}` };
+  }
+
+  let activity;
+  try {
+    activity = PARSERS[detectedFormat](buffer);
+  } catch (parseError) {
+    return { error: `Could not read ${detectedFormat.toUpperCase()} file: ${parseError.message}` };
+  }
+
+  // Drop samples without a usable time, they can't be placed on the track
+  const points = activity.points
+    .filter(point => point.time)
+    .sort((a, b) => a.time - b.time);
+
+  if (points.length < 2) {
+    return { error: 'The activity file does not contain a recorded track' };
+  }
+
+  return {
+    format: detectedFormat,
+    ...activity,
+    startTime: activity.startTime || points[0].time,
+    points
+  };
+};
+
+module.exports = {
+  ACTIVITY_FORMATS,
+  normalizeSport,
+  detectActivityFormat,
+  parseActivityFile
+};
@@ -0,0 +1,239 @@
+// Track math for imported outdoor activities: distance, moving time, elevation,
+// heart rate, splits and GeoJSON. Tracks are stored compactly as
+// [longitude, latitude, elevation, secondsFromStart, heartRate, distance] tuples.
+
+const { round } = require('./common');
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+const SPLIT_UNITS = {
+  km: 1000,
+  mi: 1609.344
+};
+
+// Slower than this between two samples counts as stopped, not moving
+const MOVING_SPEED_THRESHOLD = 0.5; // m/s
+
+// Elevation changes smaller than this are treated as GPS/barometer noise
+const ELEVATION_NOISE_METERS = 3;
+
+// Heart rate series are downsampled to at most this many samples for charts
+const MAX_SERIES_POINTS = 500;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two coordinates, in meters
+const haversineDistance = (latitude1, longitude1, latitude2, longitude2) => {
+  const deltaLatitude = toRadians(latitude2 - latitude1);
+  const deltaLongitude = toRadians(longitude2 - longitude1);
+  const a = Math.sin(deltaLatitude / 2) ** 2 +
+    Math.cos(toRadians(latitude1)) * Math.cos(toRadians(latitude2)) * Math.sin(deltaLongitude / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Convert parsed points into stored tuples with a cumulative distance.
+// The device's own distance is preferred (it uses wheel sensors and
+// footpods), otherwise distance is measured along the GPS track.
+const buildTrackPoints = (points) => {
+  const startTime = points[0].time.getTime();
+  const useDeviceDistance = points.every(point => point.distance !== null && point.distance !== undefined);
+
+  let distance = 0;
+  let previous = null;
+
+  return points.map(point => {
+    if (useDeviceDistance) {
+      distance = Math.max(distance, point.distance);
+    } else if (previous && point.latitude !== null && point.longitude !== null) {
+      distance += haversineDistance(previous.latitude, previous.longitude, point.latitude, point.longitude);
+    }
+
+    if (point.latitude !== null && point.longitude !== null) {
+      previous = point;
+    }
+
+    return [
+      round(point.longitude, 6),
+      round(point.latitude, 6),
+      round(point.elevation),
+      Math.round((point.time.getTime() - startTime) / 1000),
+      point.heartRate || null,
+      round(distance)
+    ];
+  });
+};
+
+const tupleToPoint = ([longitude, latitude, elevation, seconds, heartRate, distance]) =>
+  ({ longitude, latitude, elevation, seconds, heartRate, distance });
+
+// Elevation gain with a noise threshold: only climbs that exceed it are counted
+const elevationGainOf = (points) => {
+  let gain = 0;
+  let reference = null;
+
+  points.forEach(point => {
+    if (point.elevation === null) return;
+    if (reference === null) {
+      reference = point.elevation;
+    } else if (point.elevation - reference >= ELEVATION_NOISE_METERS) {
+      gain += point.elevation - reference;
+      reference = point.elevation;
+    } else if (point.elevation < reference) {
+      reference = point.elevation;
+    }
+  });
+
+  return round(gain);
+};
+
+// Moving time, average and max heart rate over a run of points.
+// Heart rate is weighted by the time each sample covers.
+const segmentStats = (points) => {
+  let movingSeconds = 0;
+  let heartRateSeconds = 0;
+  let heartRateTotal = 0;
+  let maxHeartRate = null;
+
+  for (let i = 1; i < points.length; i++) {
+    const seconds = points[i].seconds - points[i - 1].seconds;
+    const meters = points[i].distance - points[i - 1].distance;
+
+    if (seconds > 0 && meters / seconds >= MOVING_SPEED_THRESHOLD) {
+      movingSeconds += seconds;
+    }
+
+    if (points[i].heartRate && seconds > 0) {
+      heartRateTotal += points[i].heartRate * seconds;
+      heartRateSeconds += seconds;
+    }
+  }
+
+  points.forEach(point => {
+    if (point.heartRate) maxHeartRate = Math.max(maxHeartRate || 0, point.heartRate);
+  });
+
+  return {
+    movingSeconds,
+    avgHeartRate: heartRateSeconds > 0 ? Math.round(heartRateTotal / heartRateSeconds) : null,
+    maxHeartRate
+  };
+};
+
+// Summary of a stored track, shaped like a cardio set
+const summarizeTrack = (tuples) => {
+  const points = tuples.map(tupleToPoint);
+  const last = points[points.length - 1];
+  const { movingSeconds, avgHeartRate, maxHeartRate } = segmentStats(points);
+
+  return {
+    distance: last.distance,
+    durationSeconds: movingSeconds || last.seconds,
+    elapsedSeconds: last.seconds,
+    elevationGain: elevationGainOf(points),
+    avgHeartRate,
+    maxHeartRate
+  };
+};
+
+// Point at a given cumulative distance, interpolating time between samples
+const interpolateSeconds = (before, after, distance) => {
+  const span = after.distance - before.distance;
+  if (span <= 0) return after.seconds;
+  return before.seconds + (after.seconds - before.seconds) * (distance - before.distance) / span;
+};
+
+// Stats for the points of one split
+const buildSplit = (number, points, distance, seconds, splitLength) => {
+  const { avgHeartRate } = segmentStats(points);
+  const first = points.find(point => point.elevation !== null);
+  const last = [...points].reverse().find(point => point.elevation !== null);
+
+  return {
+    split: number,
+    distance: round(distance),
+    durationSeconds: Math.round(seconds),
+    // Pace per full unit, so partial splits compare with whole ones
+    paceSeconds: distance > 0 ? Math.round(seconds * splitLength / distance) : null,
+    elevationGain: elevationGainOf(points),
+    elevationChange: first && last ? round(last.elevation - first.elevation) : null,
+    avgHeartRate
+  };
+};
+
+// Per-kilometer or per-mile splits; the last split is usually partial
+const computeSplits = (tuples, unit = 'km') => {
+  const splitLength = SPLIT_UNITS[unit];
+  const points = tuples.map(tupleToPoint);
+  const splits = [];
+
+  let splitStart = { seconds: 0, distance: 0, index: 0 };
+
+  for (let i = 1; i < points.length; i++) {
+    while (points[i].distance >= splitStart.distance + splitLength) {
+      const boundary = splitStart.distance + splitLength;
+      const seconds = interpolateSeconds(points[i - 1], points[i], boundary);
+      splits.push(buildSplit(splits.length + 1, points.slice(splitStart.index, i + 1), splitLength, seconds - splitStart.seconds, splitLength));
+      splitStart = { seconds, distance: boundary, index: i };
+    }
+  }
+
+  const last = points[points.length - 1];
+  const remaining = last.distance - splitStart.distance;
+  if (remaining > 0 && last.seconds > splitStart.seconds) {
+    splits.push(buildSplit(splits.length + 1, points.slice(splitStart.index), remaining, last.seconds - splitStart.seconds, splitLength));
+  }
+
+  return splits;
+};
+
+// Downsampled [{ seconds, heartRate }] series for charts
+const heartRateSeries = (tuples) => {
+  const samples = tuples
+    .map(tupleToPoint)
+    .filter(point => point.heartRate)
+    .map(point => ({ seconds: point.seconds, heartRate: point.heartRate }));
+
+  if (samples.length <= MAX_SERIES_POINTS) return samples;
+
+  const step = samples.length / MAX_SERIES_POINTS;
+  return Array.from({ length: MAX_SERIES_POINTS }, (_, i) => samples[Math.floor(i * step)]);
+};
+
+// GeoJSON Feature for a track. Per-point times and heart rates go in
+// `coordinateProperties`, the convention used by most GPX/GeoJSON tools.
+const trackToGeoJson = (track, properties = {}) => {
+  const points = track.points.map(tupleToPoint).filter(point => point.latitude !== null && point.longitude !== null);
+  // Point seconds count from the first recorded point
+  const startTime = new Date(track.startTime).getTime();
+
+  return {
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: points.map(point => point.elevation !== null
+        ? [point.longitude, point.latitude, point.elevation]
+        : [point.longitude, point.latitude])
+    },
+    properties: {
+      ...properties,
+      sport: track.sport,
+      format: track.format,
+      startTime: track.startTime,
+      coordinateProperties: {
+        times: points.map(point => new Date(startTime + point.seconds * 1000).toISOString()),
+        heartRates: points.map(point => point.heartRate),
+        distances: points.map(point => point.distance)
+      }
+    }
+  };
+};
+
+module.exports = {
+  SPLIT_UNITS,
+  haversineDistance,
+  buildTrackPoints,
+  summarizeTrack,
+  computeSplits,
+  heartRateSeries,
+  trackToGeoJson
+};
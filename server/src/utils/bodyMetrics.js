@@ -0,0 +1,309 @@
+// Body metrics logged as UserStats rows: body weight (kg), body fat (%) and
+// tape measurements (cm, keyed by site in the `measurements` JSON). Trends
+// are built per metric from the entries that have a value for it.
+
+const { toKilograms, fromKilograms, toCentimeters, fromCentimeters } = require('./units');
+const { DAY_MS, isValidDate } = require('./common');
+
+// Limbs can be logged as one value or per side
+const MEASUREMENT_SITES = [
+  'neck', 'shoulders', 'chest', 'waist', 'hips',
+  'arms', 'forearms', 'thighs', 'calves',
+  'leftArm', 'rightArm', 'leftForearm', 'rightForearm',
+  'leftThigh', 'rightThigh', 'leftCalf', 'rightCalf'
+];
+
+// Metrics a trend can be asked for
+const BODY_METRICS = ['weight', 'bodyFat', ...MEASUREMENT_SITES];
+
+const DEFAULT_AVERAGE_DAYS = 7;
+
+// Share of the gap between the trend and a day's weight the trend moves by.
+// Water and food swings of a kilo or two barely move it; a real change shows
+// up over a week or two.
+const WEIGHT_SMOOTHING = 0.1;
+
+// The weekly rate is the slope of the trend over this many recent days
+const RATE_WINDOW_DAYS = 28;
+
+// Weekly change, as a share of body weight, above which loss or gain is
+// unlikely to be mostly fat or muscle
+const MAX_LOSS_RATE = 0.01;
+const MAX_GAIN_RATE = 0.005;
+
+// Within this many kg of the goal counts as reached
+const GOAL_TOLERANCE = 0.25;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const isPositiveNumber = (value) => !isNaN(Number(value)) && Number(value) > 0;
+
+// Validate a body metrics payload, returns an error message or null.
+// `partial` is used for updates, where an entry may change a single field;
+// a new entry needs at least one value.
+const validateBodyStats = (payload, partial = false) => {
+  const { date, weight, bodyFat, measurements } = payload;
+
+  if (date !== undefined && !isValidDate(date)) {
+    return 'Date must be a valid date';
+  }
+
+  if (!isEmpty(weight) && !isPositiveNumber(weight)) {
+    return 'Weight must be a positive number';
+  }
+
+  if (!isEmpty(bodyFat) && (isNaN(Number(bodyFat)) || Number(bodyFat) < 1 || Number(bodyFat) > 75)) {
+    return 'Body fat must be a percentage from 1 to 75';
+  }
+
+  if (measurements !== undefined && measurements !== null) {
+    if (typeof measurements !== 'object' || Array.isArray(measurements)) {
+      return 'Measurements must be an object of site: value';
+    }
+
+    for (const [site, value] of Object.entries(measurements)) {
+      if (!MEASUREMENT_SITES.includes(site)) {
+        return `Measurement sites must be among: ${MEASUREMENT_SITES.join(', ')}`;
+      }
+      if (value !== null && !isPositiveNumber(value)) {
+        return `Measurement ${site} must be a positive number`;
+      }
+    }
+  }
+
+  const hasValue = !isEmpty(weight) || !isEmpty(bodyFat) ||
+    (measurements && Object.values(measurements).some(value => value !== null));
+  if (!partial && !hasValue) {
+    return 'Log at least a weight, body fat or one measurement';
+  }
+
+  return null;
+};
+
+// UserStats columns for a validated payload, in kg and cm. Measurements are
+// merged into `currentMeasurements`; a null site removes it.
+const buildBodyStatsData = (payload, units, currentMeasurements = null) => {
+  const data = {};
+
+  if (payload.date !== undefined) data.date = new Date(payload.date);
+  if (payload.weight !== undefined) data.weight = isEmpty(payload.weight) ? null : toKilograms(Number(payload.weight), units.weightUnit);
+  if (payload.bodyFat !== undefined) data.bodyFat = isEmpty(payload.bodyFat) ? null : Number(payload.bodyFat);
+  if (payload.notes !== undefined) data.notes = payload.notes || null;
+
+  // Values written in the user's units are canonical from now on
+  if (payload.weight !== undefined || payload.measurements !== undefined) data.legacyUnits = false;
+
+  if (payload.measurements !== undefined) {
+    const measurements = { ...(payload.measurements === null ? {} : currentMeasurements || {}) };
+    Object.entries(payload.measurements || {}).forEach(([site, value]) => {
+      if (value === null) {
+        delete measurements[site];
+      } else {
+        measurements[site] = toCentimeters(Number(value), units.lengthUnit);
+      }
+    });
+    data.measurements = measurements;
+  }
+
+  return data;
+};
+
+// Stored entry -> viewer's units
+const bodyStatsForViewer = (stats, preferences) => ({
+  ...stats,
+  weight: fromKilograms(stats.weight, preferences.weightUnit),
+  measurements: stats.measurements && Object.fromEntries(
+    Object.entries(stats.measurements).map(([site, value]) => [site, fromCentimeters(value, preferences.lengthUnit)])
+  )
+});
+
+// Value of a metric in an entry (kg, % or cm), or null
+const metricValue = (stats, metric) => {
+  if (metric === 'weight' || metric === 'bodyFat') return stats[metric];
+  const value = stats.measurements && stats.measurements[metric];
+  return typeof value === 'number' ? value : null;
+};
+
+// Convert a metric value for display
+const metricForViewer = (metric, value, preferences) => {
+  if (metric === 'weight') return fromKilograms(value, preferences.weightUnit);
+  if (metric === 'bodyFat') return value === null ? null : Math.round(value * 10) / 10;
+  return fromCentimeters(value, preferences.lengthUnit);
+};
+
+const metricUnit = (metric, preferences) => {
+  if (metric === 'weight') return preferences.weightUnit;
+  if (metric === 'bodyFat') return '%';
+  return preferences.lengthUnit;
+};
+
+// Least-squares slope of [{ date, value }] per week, null with fewer than
+// two entries on different days
+const ratePerWeek = (points) => {
+  if (points.length < 2) return null;
+
+  const values = points.map(point => ({ x: new Date(point.date).getTime() / DAY_MS, y: point.value }));
+  const meanX = values.reduce((sum, value) => sum + value.x, 0) / values.length;
+  const meanY = values.reduce((sum, value) => sum + value.y, 0) / values.length;
+  const spread = values.reduce((sum, value) => sum + (value.x - meanX) ** 2, 0);
+  if (spread === 0) return null;
+
+  return values.reduce((sum, value) => sum + (value.x - meanX) * (value.y - meanY), 0) / spread * 7;
+};
+
+// Value on a date: the latest entry on or before it, else the first after it
+const valueOn = (points, date) => {
+  const time = new Date(date).getTime();
+  const before = points.filter(point => new Date(point.date).getTime() <= time);
+  return before.length > 0 ? before[before.length - 1] : points[0] || null;
+};
+
+// Trend of one metric from stored entries sorted oldest first: each entry
+// with the trailing `averageDays`-day moving average, the weekly rate of
+// change over the entries and, with `since`, the change from that date.
+// Values stay in kg, % and cm.
+const buildMetricTrend = (entries, metric, { averageDays = DEFAULT_AVERAGE_DAYS, since } = {}) => {
+  const points = entries
+    .map(stats => ({ id: stats.id, date: stats.date, value: metricValue(stats, metric) }))
+    .filter(point => point.value !== null);
+
+  const series = points.map(point => {
+    const time = new Date(point.date).getTime();
+    const window = points.filter(other => {
+      const otherTime = new Date(other.date).getTime();
+      return otherTime <= time && otherTime > time - averageDays * DAY_MS;
+    });
+
+    return {
+      ...point,
+      movingAverage: window.reduce((sum, other) => sum + other.value, 0) / window.length
+    };
+  });
+
+  const latest = series[series.length - 1] || null;
+  const baseline = since && latest ? valueOn(series, since) : null;
+
+  return {
+    series,
+    latest,
+    ratePerWeek: ratePerWeek(points),
+    change: baseline && {
+      since: baseline.date,
+      from: baseline.value,
+      to: latest.value,
+      change: latest.value - baseline.value
+    }
+  };
+};
+
+// Exponentially smoothed trend weight from stored entries sorted oldest
+// first. Several weigh-ins on one day are averaged; across a gap of n days
+// the trend moves as it would over n daily weigh-ins of the same weight.
+// Returns the daily points with their trend and the weekly rate of the trend
+// over the last RATE_WINDOW_DAYS, in kg.
+const buildWeightTrend = (entries, smoothing = WEIGHT_SMOOTHING) => {
+  const byDay = {};
+  entries.filter(entry => entry.weight !== null).forEach(entry => {
+    const day = new Date(entry.date).toISOString().split('T')[0];
+    if (!byDay[day]) byDay[day] = [];
+    byDay[day].push(entry.weight);
+  });
+
+  let trend = null;
+  let previousDay = null;
+  const points = Object.keys(byDay).sort().map(day => {
+    const weight = byDay[day].reduce((sum, value) => sum + value, 0) / byDay[day].length;
+    const date = new Date(`${day}T00:00:00Z`);
+
+    if (trend === null) {
+      trend = weight;
+    } else {
+      const gapDays = Math.max(1, Math.round((date - previousDay) / DAY_MS));
+      trend += (1 - (1 - smoothing) ** gapDays) * (weight - trend);
+    }
+    previousDay = date;
+
+    return { date: day, weight, trend };
+  });
+
+  const latest = points[points.length - 1] || null;
+  const recent = latest
+    ? points.filter(point => new Date(point.date) > new Date(new Date(latest.date).getTime() - RATE_WINDOW_DAYS * DAY_MS))
+    : [];
+
+  return {
+    points,
+    latest,
+    ratePerWeek: ratePerWeek(recent.map(point => ({ date: point.date, value: point.trend })))
+  };
+};
+
+// When the trend reaches `goalWeight` at its current weekly rate.
+// Returns { status, ... }: 'reached', 'on_track' with the projected date and
+// weeks to go, 'off_track' when the trend is moving away from the goal or
+// flat, or 'no_data'. Recomputed from the trend on every request, so it
+// follows new weigh-ins.
+const projectGoal = (trend, goalWeight) => {
+  if (!trend.latest) return { status: 'no_data' };
+
+  const remaining = goalWeight - trend.latest.trend;
+  if (Math.abs(remaining) <= GOAL_TOLERANCE) {
+    return { status: 'reached', remaining };
+  }
+
+  if (trend.ratePerWeek === null || trend.ratePerWeek === 0 || Math.sign(trend.ratePerWeek) !== Math.sign(remaining)) {
+    return { status: 'off_track', remaining };
+  }
+
+  const weeks = remaining / trend.ratePerWeek;
+  return {
+    status: 'on_track',
+    remaining,
+    weeks,
+    projectedDate: new Date(new Date(trend.latest.date).getTime() + weeks * 7 * DAY_MS)
+  };
+};
+
+// Warnings for a weekly rate of change faster than is realistic
+const weightRateWarnings = (trend) => {
+  if (!trend.latest || trend.ratePerWeek === null) return [];
+
+  const share = trend.ratePerWeek / trend.latest.trend;
+  const percent = Math.round(Math.abs(share) * 1000) / 10;
+
+  if (share < -MAX_LOSS_RATE) {
+    return [{
+      type: 'rapid_loss',
+      message: `Losing ${percent}% of body weight per week; above ${MAX_LOSS_RATE * 100}% a week much of it is water and muscle`
+    }];
+  }
+
+  if (share > MAX_GAIN_RATE) {
+    return [{
+      type: 'rapid_gain',
+      message: `Gaining ${percent}% of body weight per week; above ${MAX_GAIN_RATE * 100}% a week most of it is likely fat`
+    }];
+  }
+
+  return [];
+};
+
+module.exports = {
+  MEASUREMENT_SITES,
+  BODY_METRICS,
+  DEFAULT_AVERAGE_DAYS,
+  WEIGHT_SMOOTHING,
+  RATE_WINDOW_DAYS,
+  MAX_LOSS_RATE,
+  MAX_GAIN_RATE,
+  validateBodyStats,
+  buildBodyStatsData,
+  bodyStatsForViewer,
+  metricValue,
+  metricForViewer,
+  metricUnit,
+  buildMetricTrend,
+  buildWeightTrend,
+  projectGoal,
+  weightRateWarnings
+};
@@ -0,0 +1,63 @@
+// Load math for bodyweight exercises. For these the set's `weight` is not the
+// whole load: it is added load (weight belt, vest) or, for assisted variations,
+// the assistance from a machine or band. The body weight comes from the user's
+// latest UserStats entry at the time of the workout.
+
+// 'external'            barbell, dumbbell, machine: load = weight
+// 'bodyweight'          push-ups: load = body weight share (+ any added weight)
+// 'weighted_bodyweight' weighted pull-ups: load = body weight share + added weight
+// 'assisted'            assisted pull-ups: load = body weight share - assistance
+const LOAD_TYPES = ['external', 'bodyweight', 'weighted_bodyweight', 'assisted'];
+
+const usesBodyWeight = (loadType) => Boolean(loadType) && loadType !== 'external';
+
+// Load actually moved in one set, in kg
+const effectiveLoad = (set, load = {}) => {
+  const weight = set.weight || 0;
+
+  if (!usesBodyWeight(load.loadType)) return weight;
+
+  const factor = load.bodyweightFactor !== undefined && load.bodyweightFactor !== null ? load.bodyweightFactor : 1;
+  const bodyLoad = (load.bodyWeight || 0) * factor;
+
+  if (load.loadType === 'assisted') {
+    return Math.max(0, bodyLoad - weight);
+  }
+
+  return bodyLoad + weight;
+};
+
+// Body weight on a date from a [{ date, weight }] history sorted oldest first.
+// Uses the latest entry on or before the date, or the first one logged after it
+// for workouts done before the user ever weighed in.
+const bodyWeightOn = (history, date) => {
+  if (!history || history.length === 0) return null;
+
+  const time = new Date(date).getTime();
+  let match = null;
+
+  for (const entry of history) {
+    if (new Date(entry.date).getTime() <= time) {
+      match = entry;
+    } else {
+      break;
+    }
+  }
+
+  return (match || history[0]).weight;
+};
+
+// Load settings for an exercise performed on a date
+const loadContext = (exercise, history, date) => ({
+  loadType: exercise.loadType || 'external',
+  bodyweightFactor: exercise.bodyweightFactor,
+  bodyWeight: usesBodyWeight(exercise.loadType) ? bodyWeightOn(history, date) : null
+});
+
+module.exports = {
+  LOAD_TYPES,
+  usesBodyWeight,
+  effectiveLoad,
+  bodyWeightOn,
+  loadContext
+};
@@ -0,0 +1,160 @@
+// Calorie estimation for completed workouts. Strength and bodyweight work uses
+// MET values (Compendium of Physical Activities); cardio uses heart rate when
+// it was recorded and speed- or MET-based estimates otherwise.
+
+const { isWorkingSet } = require('./workoutSets');
+const { isCardioSet, speedKmh } = require('./cardio');
+const { normalizeName } = require('./exerciseMatcher');
+
+// Used when an exercise has no MET value of its own
+const CATEGORY_METS = {
+  strength: 5.0,
+  core: 3.8,
+  cardio: 7.0,
+  flexibility: 2.5
+};
+
+const GENERAL_MET = 4.0;
+
+// Time per logged set including rest, for workouts without a duration
+const SECONDS_PER_SET = 150;
+
+// Assumed when the user never logged a body weight
+const DEFAULT_BODY_WEIGHT = 70;
+
+// Heart-rate estimates need an age; profiles don't store one
+const DEFAULT_AGE = 35;
+
+// MET by speed (km/h) for cardio where distance and time are known: [minimum speed, MET]
+const SPEED_METS = {
+  running: [[0, 6.0], [8, 8.3], [9.7, 9.8], [10.8, 10.5], [11.3, 11.0], [12.1, 11.8], [12.9, 12.3], [13.8, 12.8], [14.5, 14.5], [16.1, 16.0], [17.7, 19.0]],
+  cycling: [[0, 4.0], [16, 6.8], [19.3, 8.0], [22.5, 10.0], [25.7, 12.0], [30.6, 15.8]],
+  walking: [[0, 2.0], [3.2, 2.8], [4.0, 3.0], [4.8, 3.5], [5.6, 4.3], [6.4, 5.0], [7.2, 7.0]]
+};
+
+const metForSpeed = (exercise, speed) => {
+  const table = SPEED_METS[normalizeName(exercise.name)];
+  if (!table || !speed) return null;
+
+  return table.reduce((met, [minimum, value]) => (speed >= minimum ? value : met), table[0][1]);
+};
+
+const exerciseMet = (exercise) =>
+  exercise.metValue || CATEGORY_METS[(exercise.category || '').toLowerCase()] || GENERAL_MET;
+
+// kcal for `minutes` at a MET value
+const metCalories = (met, bodyWeight, minutes) => met * 3.5 * bodyWeight / 200 * minutes;
+
+// kcal for `minutes` at an average heart rate (Keytel et al. 2005), averaging
+// the male and female equations since profiles don't record sex
+const heartRateCalories = (avgHeartRate, bodyWeight, minutes, age = DEFAULT_AGE) => {
+  const male = -55.0969 + 0.6309 * avgHeartRate + 0.1988 * bodyWeight + 0.2017 * age;
+  const female = -20.4022 + 0.4472 * avgHeartRate - 0.1263 * bodyWeight + 0.074 * age;
+  return Math.max(0, ((male + female) / 2) / 4.184 * minutes);
+};
+
+const completedSets = (sets = []) => sets.filter(set => set.completed !== false);
+
+// Calories for the cardio sets of one exercise, set by set
+const cardioCalories = (exercise, sets, bodyWeight) => {
+  let calories = 0;
+  let seconds = 0;
+  const methods = new Set();
+
+  sets.forEach(set => {
+    const minutes = (set.durationSeconds || 0) / 60;
+    if (!minutes) return;
+
+    if (set.avgHeartRate) {
+      calories += heartRateCalories(set.avgHeartRate, bodyWeight, minutes);
+      methods.add('heart_rate');
+    } else {
+      const met = metForSpeed(exercise, speedKmh(set.distance, set.durationSeconds)) || exerciseMet(exercise);
+      calories += metCalories(met, bodyWeight, minutes);
+      methods.add('met');
+    }
+    seconds += set.durationSeconds;
+  });
+
+  return { calories, seconds, method: methods.size > 1 ? 'mixed' : [...methods][0] || 'met' };
+};
+
+// Estimate the calories of a completed workout. `workout` includes
+// exercises with their `exercise` and `sets`; `bodyWeight` is in kg.
+// Timed cardio sets count their own duration; the rest of the session is
+// shared between the other exercises by number of logged sets.
+const estimateWorkoutCalories = (workout, bodyWeight) => {
+  const weight = bodyWeight || DEFAULT_BODY_WEIGHT;
+  const exercises = (workout.exercises || []).map(workoutExercise => {
+    const sets = completedSets(workoutExercise.sets);
+    const timedSets = sets.filter(set => isCardioSet(set) && set.durationSeconds);
+
+    return {
+      workoutExercise,
+      timedSets,
+      setCount: sets.filter(set => !timedSets.includes(set) && (isWorkingSet(set) || set.setType === 'warmup')).length
+    };
+  });
+
+  const cardioSeconds = exercises.reduce((sum, entry) =>
+    sum + entry.timedSets.reduce((total, set) => total + set.durationSeconds, 0), 0);
+  const totalSets = exercises.reduce((sum, entry) => sum + entry.setCount, 0);
+
+  // Minutes left for set-based work
+  const sessionSeconds = workout.duration ? workout.duration * 60 : null;
+  const setSeconds = sessionSeconds !== null
+    ? Math.max(0, sessionSeconds - cardioSeconds)
+    : totalSets * SECONDS_PER_SET;
+
+  const breakdown = exercises.map(({ workoutExercise, timedSets, setCount }) => {
+    const { exercise } = workoutExercise;
+    const cardio = cardioCalories(exercise, timedSets, weight);
+    const seconds = totalSets > 0 ? setSeconds * setCount / totalSets : 0;
+    const met = exerciseMet(exercise);
+    const calories = cardio.calories + metCalories(met, weight, seconds / 60);
+
+    return {
+      exerciseId: exercise.id,
+      name: exercise.name,
+      minutes: Math.round((cardio.seconds + seconds) / 60 * 10) / 10,
+      met,
+      method: timedSets.length > 0 ? cardio.method : 'met',
+      calories: Math.round(calories)
+    };
+  }).filter(entry => entry.minutes > 0);
+
+  // A timed session with nothing logged still counts as general training
+  if (breakdown.length === 0 && sessionSeconds) {
+    breakdown.push({
+      exerciseId: null,
+      name: 'General training',
+      minutes: workout.duration,
+      met: GENERAL_MET,
+      method: 'met',
+      calories: Math.round(metCalories(GENERAL_MET, weight, workout.duration))
+    });
+  }
+
+  const methods = new Set(breakdown.map(entry => entry.method));
+
+  return {
+    calories: breakdown.reduce((sum, entry) => sum + entry.calories, 0),
+    durationMinutes: sessionSeconds !== null
+      ? workout.duration
+      : Math.round(breakdown.reduce((sum, entry) => sum + entry.minutes, 0)),
+    bodyWeight: weight,
+    bodyWeightEstimated: !bodyWeight,
+    method: methods.size > 1 ? 'mixed' : [...methods][0] || 'met',
+    exercises: breakdown
+  };
+};
+
+module.exports = {
+  CATEGORY_METS,
+  GENERAL_MET,
+  SECONDS_PER_SET,
+  DEFAULT_BODY_WEIGHT,
+  metCalories,
+  heartRateCalories,
+  estimateWorkoutCalories
+};
@@ -0,0 +1,124 @@
+// Cardio and endurance helpers. Distances are stored in meters and times in
+// seconds; each set row of a cardio exercise is one interval or segment.
+
+// Race distances tracked for best efforts, in meters
+const STANDARD_DISTANCES = [
+  { key: '1k', label: '1 km', meters: 1000 },
+  { key: '5k', label: '5 km', meters: 5000 },
+  { key: '10k', label: '10 km', meters: 10000 },
+  { key: 'half_marathon', label: 'Half marathon', meters: 21097.5 },
+  { key: 'marathon', label: 'Marathon', meters: 42195 }
+];
+
+// An effort counts for a standard distance when it is within this fraction of it
+const DISTANCE_TOLERANCE = 0.05;
+
+const isCardioSet = (set) =>
+  (set.distance !== null && set.distance !== undefined) ||
+  (set.durationSeconds !== null && set.durationSeconds !== undefined);
+
+// Seconds per kilometer, or null when distance or time is missing
+const paceSecondsPerKm = (distance, durationSeconds) =>
+  distance > 0 && durationSeconds > 0 ? Math.round(durationSeconds / (distance / 1000)) : null;
+
+// Kilometers per hour
+const speedKmh = (distance, durationSeconds) =>
+  distance > 0 && durationSeconds > 0
+    ? Math.round((distance / 1000) / (durationSeconds / 3600) * 100) / 100
+    : null;
+
+// "m:ss" for paces and "h:mm:ss" for longer durations
+const formatDuration = (seconds) => {
+  if (seconds === null || seconds === undefined) return null;
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = Math.round(seconds % 60);
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+};
+
+// Totals for the completed cardio sets of an exercise or workout.
+// Average heart rate is weighted by segment duration.
+const summarizeCardioSets = (sets) => {
+  const completed = sets.filter(set => set.completed !== false && isCardioSet(set));
+
+  let distance = 0;
+  let durationSeconds = 0;
+  let elevationGain = 0;
+  let maxHeartRate = null;
+  let heartRateSeconds = 0;
+  let heartRateTotal = 0;
+
+  completed.forEach(set => {
+    distance += set.distance || 0;
+    durationSeconds += set.durationSeconds || 0;
+    elevationGain += set.elevationGain || 0;
+
+    if (set.maxHeartRate) {
+      maxHeartRate = Math.max(maxHeartRate || 0, set.maxHeartRate);
+    }
+
+    if (set.avgHeartRate) {
+      const weight = set.durationSeconds || 1;
+      heartRateTotal += set.avgHeartRate * weight;
+      heartRateSeconds += weight;
+    }
+  });
+
+  return {
+    segments: completed.length,
+    distance,
+    durationSeconds,
+    elevationGain,
+    avgHeartRate: heartRateSeconds > 0 ? Math.round(heartRateTotal / heartRateSeconds) : null,
+    maxHeartRate,
+    paceSecondsPerKm: paceSecondsPerKm(distance, durationSeconds),
+    speedKmh: speedKmh(distance, durationSeconds)
+  };
+};
+
+// Standard distance matching a total distance, if any
+const matchStandardDistance = (distance) => STANDARD_DISTANCES.find(standard =>
+  Math.abs(distance - standard.meters) <= standard.meters * DISTANCE_TOLERANCE
+) || null;
+
+// Best (fastest) effort per standard distance from a list of
+// { distance, durationSeconds, date, workoutId } efforts.
+// Time is normalized to the exact standard distance so 5.1 km and 4.95 km runs compare fairly.
+const bestEfforts = (efforts) => {
+  const best = {};
+
+  efforts.forEach(effort => {
+    const standard = matchStandardDistance(effort.distance);
+    if (!standard || !(effort.durationSeconds > 0)) return;
+
+    const pace = paceSecondsPerKm(effort.distance, effort.durationSeconds);
+    if (!best[standard.key] || pace < best[standard.key].paceSecondsPerKm) {
+      best[standard.key] = {
+        key: standard.key,
+        label: standard.label,
+        paceSecondsPerKm: pace,
+        pace: formatDuration(pace),
+        estimatedTimeSeconds: Math.round(pace * standard.meters / 1000),
+        actualDistance: effort.distance,
+        actualDurationSeconds: effort.durationSeconds,
+        date: effort.date,
+        workoutId: effort.workoutId
+      };
+    }
+  });
+
+  return STANDARD_DISTANCES.map(standard => best[standard.key]).filter(Boolean);
+};
+
+module.exports = {
+  STANDARD_DISTANCES,
+  DISTANCE_TOLERANCE,
+  isCardioSet,
+  paceSecondsPerKm,
+  speedKmh,
+  formatDuration,
+  summarizeCardioSets,
+  matchStandardDistance,
+  bestEfforts
+};
@@ -0,0 +1,15 @@
+// Small helpers shared by the utils and routes
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidDate = (value) => !isNaN(new Date(value).getTime());
+
+// Round to `decimals` places; null and undefined are passed through
+const round = (value, decimals = 1) =>
+  value === null || value === undefined ? value : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+module.exports = {
+  DAY_MS,
+  isValidDate,
+  round
+};
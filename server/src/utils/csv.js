@@ -0,0 +1,95 @@
+// Minimal RFC 4180 CSV reader/writer (quoted fields, escaped quotes, CRLF)
+
+// Guess the delimiter from the header line; some exports use semicolons
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0] || '';
+  const candidates = [',', ';', '\t'];
+
+  return candidates.reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  , ',');
+};
+
+// Parse CSV text into an array of row arrays
+const parseRows = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text into objects keyed by the (trimmed) header names
+const parse = (text) => {
+  const [header = [], ...rows] = parseRows(text);
+  const columns = header.map(name => name.trim());
+
+  return {
+    columns,
+    records: rows.map(row =>
+      columns.reduce((record, column, index) => {
+        record[column] = row[index] !== undefined ? row[index].trim() : '';
+        return record;
+      }, {})
+    )
+  };
+};
+
+// Text starting with one of these runs as a formula when the file is opened
+// in a spreadsheet, so such cells are written with a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Serialize one row of values into a CSV line (with trailing newline)
+const formatRow = (values) => values.map(escapeField).join(',') + '\r\n';
+
+module.exports = {
+  detectDelimiter,
+  parseRows,
+  parse,
+  formatRow
+};
@@ -0,0 +1,112 @@
+// Supersets, circuits and giant sets: exercises performed back to back in rounds.
+// Create payloads tag exercises with a client-side `groupKey` that points at an
+// entry in `groups`, e.g.
+//   groups: [{ key: 'A', type: 'superset', rounds: 3, restTime: 90 }]
+//   exercises: [{ exerciseId, groupKey: 'A' }, { exerciseId, groupKey: 'A' }]
+
+const GROUP_TYPES = ['superset', 'circuit', 'giant_set'];
+
+// Minimum and maximum number of exercises per group type
+const GROUP_SIZE = {
+  superset: { min: 2, max: 2 },
+  circuit: { min: 2, max: Infinity },
+  giant_set: { min: 3, max: Infinity }
+};
+
+// Validate group settings (type, rounds, rest), returns an error message or null
+const validateGroupSettings = (group) => {
+  if (group.type !== undefined && !GROUP_TYPES.includes(group.type)) {
+    return `Group type must be one of: ${GROUP_TYPES.join(', ')}`;
+  }
+
+  if (group.rounds !== undefined && (!Number.isInteger(Number(group.rounds)) || Number(group.rounds) < 1)) {
+    return 'Group rounds must be a positive integer';
+  }
+
+  if (group.restTime !== undefined && group.restTime !== null && (isNaN(parseInt(group.restTime)) || parseInt(group.restTime) < 0)) {
+    return 'Group rest time must be a non-negative number of seconds';
+  }
+
+  return null;
+};
+
+const validateGroupSize = (type, size) => {
+  const { min, max } = GROUP_SIZE[type];
+
+  if (size < min || size > max) {
+    const label = type.replace('_', ' ');
+    return max === min
+      ? `A ${label} needs exactly ${min} exercises`
+      : `A ${label} needs at least ${min} exercises`;
+  }
+
+  return null;
+};
+
+// Validate `groups` against the `exercises` that reference them by groupKey
+const validateGroupsInput = (groups = [], exercises = []) => {
+  if (!Array.isArray(groups)) {
+    return 'Groups must be an array';
+  }
+
+  const keys = new Set();
+
+  for (const group of groups) {
+    if (!group || group.key === undefined || group.key === null) {
+      return 'Each group needs a key';
+    }
+    if (keys.has(group.key)) {
+      return `Duplicate group key: ${group.key}`;
+    }
+    keys.add(group.key);
+
+    if (!group.type) {
+      return 'Each group needs a type';
+    }
+
+    const settingsError = validateGroupSettings(group);
+    if (settingsError) return settingsError;
+
+    const size = exercises.filter(exercise => exercise.groupKey === group.key).length;
+    const sizeError = validateGroupSize(group.type, size);
+    if (sizeError) return sizeError;
+  }
+
+  const unknownKey = exercises.find(exercise =>
+    exercise.groupKey !== undefined && exercise.groupKey !== null && !keys.has(exercise.groupKey)
+  );
+  if (unknownKey) {
+    return `Unknown group key: ${unknownKey.groupKey}`;
+  }
+
+  return null;
+};
+
+// Columns shared by workout and template groups
+const buildGroupData = (group) => ({
+  type: group.type,
+  rounds: group.rounds !== undefined ? parseInt(group.rounds) : 1,
+  restTime: group.restTime !== undefined && group.restTime !== null ? parseInt(group.restTime) : null,
+  notes: group.notes || null
+});
+
+// Position of each exercise inside its group, keyed by index in `exercises`
+const groupPositions = (exercises) => {
+  const counters = {};
+
+  return exercises.map(exercise => {
+    if (exercise.groupKey === undefined || exercise.groupKey === null) return null;
+    counters[exercise.groupKey] = (counters[exercise.groupKey] || 0) + 1;
+    return counters[exercise.groupKey];
+  });
+};
+
+module.exports = {
+  GROUP_TYPES,
+  GROUP_SIZE,
+  validateGroupSettings,
+  validateGroupSize,
+  validateGroupsInput,
+  buildGroupData,
+  groupPositions
+};
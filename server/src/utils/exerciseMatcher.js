@@ -0,0 +1,122 @@
+// Fuzzy matching of exercise names from other apps onto our Exercise rows
+
+// Scores at or above this are matched automatically, below it the user confirms
+const AUTO_MATCH_SCORE = 0.85;
+const SUGGESTION_SCORE = 0.4;
+
+// Equipment/plural noise that other apps put in their exercise names
+const STOP_WORDS = new Set(['barbell', 'bb', 'dumbbell', 'db', 'machine', 'cable', 'the', 'a', 'with']);
+
+const normalizeName = (name) => (name || '')
+  .toLowerCase()
+  .replace(/[()[\]]/g, ' ')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+const tokenize = (name) => normalizeName(name)
+  .split(' ')
+  .filter(Boolean)
+  // crude singularization so "Pull-ups" matches "Pull Up"
+  .map(token => (token.length > 3 && token.endsWith('s') ? token.slice(0, -1) : token));
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+// Similarity between two names in [0, 1]
+const scoreNames = (a, b) => {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  const joinedA = tokensA.join(' ');
+  const joinedB = tokensB.join(' ');
+
+  if (!joinedA || !joinedB) return 0;
+  if (joinedA === joinedB) return 1;
+
+  const editScore = 1 - levenshtein(joinedA, joinedB) / Math.max(joinedA.length, joinedB.length);
+
+  // Token overlap ignoring equipment words, so "Bench Press (Barbell)" ~ "Bench Press"
+  const coreA = new Set(tokensA.filter(token => !STOP_WORDS.has(token)));
+  const coreB = new Set(tokensB.filter(token => !STOP_WORDS.has(token)));
+  const shared = [...coreA].filter(token => coreB.has(token)).length;
+  const union = new Set([...coreA, ...coreB]).size;
+  const tokenScore = union > 0 ? shared / union : 0;
+
+  // An exact match on the core words is nearly as good as an exact name match
+  const coreScore = shared === coreA.size && shared === coreB.size && shared > 0 ? 0.95 : tokenScore;
+
+  return Math.max(editScore, coreScore);
+};
+
+// Rank exercises for a name, best first
+const rankExercises = (name, exercises, limit = 3) => exercises
+  .map(exercise => ({
+    exerciseId: exercise.id,
+    exerciseName: exercise.name,
+    score: Math.round(scoreNames(name, exercise.name) * 100) / 100
+  }))
+  .filter(candidate => candidate.score >= SUGGESTION_SCORE)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit);
+
+// Resolve each imported name to an exercise. `mappings` holds user confirmations:
+// { "CSV name": exerciseId } to map, or { "CSV name": null } to skip that exercise.
+const matchExerciseNames = (names, exercises, mappings = {}) => {
+  const exerciseIds = new Set(exercises.map(exercise => exercise.id));
+  const matched = [];
+  const skipped = [];
+  const unmatched = [];
+
+  for (const name of names) {
+    if (Object.prototype.hasOwnProperty.call(mappings, name)) {
+      const exerciseId = mappings[name];
+
+      if (exerciseId === null) {
+        skipped.push({ name });
+      } else if (exerciseIds.has(exerciseId)) {
+        const exercise = exercises.find(e => e.id === exerciseId);
+        matched.push({ name, exerciseId, exerciseName: exercise.name, score: 1, confirmed: true });
+      } else {
+        unmatched.push({ name, suggestions: rankExercises(name, exercises), error: 'Mapped exercise does not exist' });
+      }
+      continue;
+    }
+
+    const suggestions = rankExercises(name, exercises);
+    const best = suggestions[0];
+
+    if (best && best.score >= AUTO_MATCH_SCORE) {
+      matched.push({ name, ...best, confirmed: false });
+    } else {
+      unmatched.push({ name, suggestions });
+    }
+  }
+
+  return { matched, skipped, unmatched };
+};
+
+module.exports = {
+  AUTO_MATCH_SCORE,
+  normalizeName,
+  scoreNames,
+  rankExercises,
+  matchExerciseNames
+};
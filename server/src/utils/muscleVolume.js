@@ -0,0 +1,147 @@
+// Weekly hard sets per muscle group and volume landmarks. A hard set is a
+// working set with reps; the first muscle group of an exercise is its
+// primary mover and gets a full set, the others get a partial one. The
+// landmarks are weekly set counts: MEV (minimum effective volume), MAV (top
+// of the most productive range) and MRV (maximum recoverable volume).
+// Muscle groups are matched case-insensitively. Weeks start on Sunday (UTC).
+
+const { isWorkingSet } = require('./workoutSets');
+const { dayKey, calendarRange, addDays } = require('./trainingCalendar');
+const { round } = require('./common');
+
+const SECONDARY_SET_WEIGHT = 0.5;
+
+// Typical landmarks for trained lifters; users set their own
+const DEFAULT_LANDMARKS = { mev: 8, mav: 16, mrv: 22 };
+const MUSCLE_LANDMARKS = {
+  chest: { mev: 8, mav: 16, mrv: 22 },
+  back: { mev: 10, mav: 18, mrv: 25 },
+  shoulders: { mev: 8, mav: 16, mrv: 22 },
+  biceps: { mev: 8, mav: 17, mrv: 26 },
+  triceps: { mev: 6, mav: 12, mrv: 18 },
+  quadriceps: { mev: 8, mav: 15, mrv: 20 },
+  hamstrings: { mev: 6, mav: 13, mrv: 20 },
+  glutes: { mev: 0, mav: 8, mrv: 16 },
+  calves: { mev: 8, mav: 14, mrv: 20 },
+  core: { mev: 0, mav: 16, mrv: 25 }
+};
+
+const muscleKey = (muscleGroup) => String(muscleGroup).trim().toLowerCase();
+
+// Landmarks of a muscle group: the user's own, else the default.
+// `userLandmarks` is keyed by muscleKey: { muscleGroup, mev, mav, mrv }.
+const landmarksFor = (muscleGroup, userLandmarks = {}) => {
+  const { mev, mav, mrv } = userLandmarks[muscleKey(muscleGroup)] ||
+    MUSCLE_LANDMARKS[muscleKey(muscleGroup)] ||
+    DEFAULT_LANDMARKS;
+  return { mev, mav, mrv };
+};
+
+// Validate a { mev, mav, mrv } payload, returns an error message or null
+const validateLandmarks = ({ mev, mav, mrv }) => {
+  const values = [mev, mav, mrv].map(Number);
+  if ([mev, mav, mrv].some(value => value === undefined || value === null || value === '') ||
+      values.some(value => !Number.isInteger(value) || value < 0 || value > 60)) {
+    return 'mev, mav and mrv must be whole numbers of sets from 0 to 60';
+  }
+
+  if (!(values[0] <= values[1] && values[1] <= values[2])) {
+    return 'Landmarks must satisfy mev <= mav <= mrv';
+  }
+
+  return null;
+};
+
+// Where a weekly set count sits against the landmarks
+const volumeStatus = (sets, { mev, mav, mrv }) => {
+  if (sets < mev) return 'under';
+  if (sets > mrv) return 'over';
+  if (sets > mav) return 'high';
+  return 'productive';
+};
+
+const isHardSet = (set) => isWorkingSet(set) && set.reps > 0;
+
+// Weighted hard sets per muscle group per week over the `weeks` calendar
+// weeks up to `now`. `entries` are performed workout exercises with their
+// exercise's muscleGroups, their sets and the workout date. Each muscle is
+// flagged from the last completed week, with the change from the week before.
+// Muscles the user set landmarks for are listed even when not trained.
+const buildMuscleVolume = (entries, weeks, userLandmarks = {}, now = new Date()) => {
+  const currentWeek = calendarRange('week', now).start;
+  const weekStarts = Array.from({ length: weeks }, (_, index) => dayKey(addDays(currentWeek, -(weeks - 1 - index) * 7)));
+
+  const muscles = {};
+  const addMuscle = (muscleGroup) => {
+    const key = muscleKey(muscleGroup);
+    if (!muscles[key]) {
+      muscles[key] = {
+        muscleGroup,
+        weekly: weekStarts.map(start => ({ week: start, sets: 0, primarySets: 0, secondarySets: 0 }))
+      };
+    }
+    return muscles[key];
+  };
+
+  Object.values(userLandmarks).forEach(landmark => addMuscle(landmark.muscleGroup));
+
+  entries.forEach(entry => {
+    const muscleGroups = Array.isArray(entry.exercise.muscleGroups) ? entry.exercise.muscleGroups : [];
+    const hardSets = entry.sets.filter(isHardSet).length;
+    if (hardSets === 0) return;
+
+    const week = dayKey(calendarRange('week', entry.date).start);
+    const index = weekStarts.indexOf(week);
+    if (index === -1) return;
+
+    muscleGroups.forEach((muscleGroup, position) => {
+      const bucket = addMuscle(muscleGroup).weekly[index];
+      if (position === 0) {
+        bucket.primarySets += hardSets;
+        bucket.sets += hardSets;
+      } else {
+        bucket.secondarySets += hardSets;
+        bucket.sets += hardSets * SECONDARY_SET_WEIGHT;
+      }
+    });
+  });
+
+  return Object.values(muscles)
+    .map(({ muscleGroup, weekly }) => {
+      const landmarks = landmarksFor(muscleGroup, userLandmarks);
+      const rows = weekly.map((week, index) => ({
+        ...week,
+        sets: round(week.sets),
+        inProgress: index === weekly.length - 1,
+        status: volumeStatus(week.sets, landmarks)
+      }));
+
+      const lastComplete = rows.length > 1 ? rows[rows.length - 2] : null;
+      const before = rows.length > 2 ? rows[rows.length - 3] : null;
+      const change = lastComplete && before ? round(lastComplete.sets - before.sets) : null;
+
+      return {
+        muscleGroup,
+        landmarks,
+        customLandmarks: Boolean(userLandmarks[muscleKey(muscleGroup)]),
+        currentWeek: rows[rows.length - 1],
+        lastWeek: lastComplete,
+        status: lastComplete ? lastComplete.status : rows[rows.length - 1].status,
+        change,
+        trend: change === null ? null : change > 0 ? 'up' : change < 0 ? 'down' : 'flat',
+        weekly: rows
+      };
+    })
+    .sort((a, b) => (b.lastWeek ? b.lastWeek.sets : 0) - (a.lastWeek ? a.lastWeek.sets : 0));
+};
+
+module.exports = {
+  SECONDARY_SET_WEIGHT,
+  DEFAULT_LANDMARKS,
+  MUSCLE_LANDMARKS,
+  muscleKey,
+  landmarksFor,
+  validateLandmarks,
+  volumeStatus,
+  buildMuscleVolume
+};
@@ -0,0 +1,59 @@
+// Estimated one-rep max (e1RM) from the load and reps of a set. The formulas
+// agree around 10 reps and drift apart beyond that: Brzycki runs low on
+// high-rep sets, Epley runs high, Lombardi sits in between.
+
+const { DAY_MS } = require('./common');
+
+const ONE_REP_MAX_FORMULAS = {
+  epley: (load, reps) => load * (1 + reps / 30),
+  brzycki: (load, reps) => (reps < 37 ? load * 36 / (37 - reps) : 0),
+  lombardi: (load, reps) => load * reps ** 0.1
+};
+
+const DEFAULT_ONE_REP_MAX_FORMULA = 'epley';
+
+// Validate a formula name, returns an error message or null
+const validateOneRepMaxFormula = (formula) => {
+  if (formula === undefined || Object.prototype.hasOwnProperty.call(ONE_REP_MAX_FORMULAS, formula)) return null;
+  return `Formula must be one of: ${Object.keys(ONE_REP_MAX_FORMULAS).join(', ')}`;
+};
+
+// e1RM of `reps` at `load`; a single is its own max
+const estimateOneRepMax = (load, reps, formula = DEFAULT_ONE_REP_MAX_FORMULA) => {
+  if (!(load > 0) || !(reps > 0)) return 0;
+  return reps === 1 ? load : ONE_REP_MAX_FORMULAS[formula](load, reps);
+};
+
+// Least-squares line through dated e1RM values ({ date, estimatedOneRepMax }),
+// as the change per week and the fitted values at the first and last date.
+// Null with fewer than two sessions on different days.
+const oneRepMaxTrend = (points) => {
+  const values = points
+    .filter(point => point.estimatedOneRepMax > 0)
+    .map(point => ({ date: new Date(point.date), x: new Date(point.date).getTime() / DAY_MS, y: point.estimatedOneRepMax }));
+  if (values.length < 2) return null;
+
+  const meanX = values.reduce((sum, value) => sum + value.x, 0) / values.length;
+  const meanY = values.reduce((sum, value) => sum + value.y, 0) / values.length;
+  const spread = values.reduce((sum, value) => sum + (value.x - meanX) ** 2, 0);
+  if (spread === 0) return null;
+
+  const slope = values.reduce((sum, value) => sum + (value.x - meanX) * (value.y - meanY), 0) / spread;
+  const fitted = (x) => Math.round((meanY + slope * (x - meanX)) * 10) / 10;
+  const first = values.reduce((min, value) => (value.x < min.x ? value : min));
+  const last = values.reduce((max, value) => (value.x > max.x ? value : max));
+
+  return {
+    changePerWeek: Math.round(slope * 7 * 100) / 100,
+    start: { date: first.date, estimatedOneRepMax: fitted(first.x) },
+    end: { date: last.date, estimatedOneRepMax: fitted(last.x) }
+  };
+};
+
+module.exports = {
+  ONE_REP_MAX_FORMULAS,
+  DEFAULT_ONE_REP_MAX_FORMULA,
+  validateOneRepMaxFormula,
+  estimateOneRepMax,
+  oneRepMaxTrend
+};
@@ -0,0 +1,187 @@
+// Personal records (PRs) of one workout exercise against the user's earlier
+// history of the same exercise. Weight, reps and e1RM records belong to a
+// single set; the volume record is the session's total for the exercise.
+// An exercise's first session only sets the baseline, it is not a record.
+
+const { effectiveLoad } = require('./bodyweight');
+const { isWorkingSet, setVolume, bestOneRepMaxSet } = require('./workoutSets');
+const { DEFAULT_ONE_REP_MAX_FORMULA } = require('./oneRepMax');
+const { fromKilograms } = require('./units');
+const { round } = require('./common');
+
+const RECORD_TYPES = {
+  weight: 'heaviest weight',
+  reps: 'most reps',
+  volume: 'session volume',
+  e1rm: 'estimated 1RM'
+};
+
+// Rep counts of the rep-max table (the heaviest weight done for at least that many reps)
+const REP_MAX_COUNTS = [1, 3, 5, 8, 10, 12];
+
+// Cells of the rep-max table set this recently are flagged as changed
+const RECENT_RECORD_DAYS = 30;
+
+// Records are compared in kg to two decimals so float noise is never a PR
+const RECORD_DECIMALS = 2;
+
+// The working set with the highest value, or null when none is above zero
+const bestSetBy = (sets, valueOf) => sets.reduce((best, set) => {
+  const value = valueOf(set);
+  return value > 0 && (!best || value > best.value) ? { value, set } : best;
+}, null);
+
+// Best value of each record type in one session, keyed by type. Weight only
+// counts sets with at least one rep; e1RM uses the default formula so every
+// record is measured the same way.
+const sessionBests = (sets = [], load) => {
+  const workingSets = sets.filter(isWorkingSet);
+  const oneRepMax = bestOneRepMaxSet(workingSets, load, DEFAULT_ONE_REP_MAX_FORMULA);
+  const volume = workingSets.reduce((sum, set) => sum + setVolume(set, load), 0);
+
+  return {
+    weight: bestSetBy(workingSets, set => (set.reps > 0 ? effectiveLoad(set, load) : 0)),
+    reps: bestSetBy(workingSets, set => set.reps || 0),
+    volume: volume > 0 ? { value: volume, set: null } : null,
+    e1rm: oneRepMax && { value: oneRepMax.estimatedOneRepMax, set: oneRepMax.set }
+  };
+};
+
+// Highest value of each record type over earlier sessions, or null for a
+// type the history has no value for
+const historyBests = (sessions) => {
+  const bests = Object.fromEntries(Object.keys(RECORD_TYPES).map(type => [type, null]));
+
+  sessions.forEach(({ sets, load }) => {
+    const session = sessionBests(sets, load);
+    Object.keys(RECORD_TYPES).forEach(type => {
+      if (session[type] && (bests[type] === null || session[type].value > bests[type])) {
+        bests[type] = session[type].value;
+      }
+    });
+  });
+
+  return bests;
+};
+
+// Records a session sets over the history bests:
+// [{ type, value, previousValue, set }]
+const findRecords = (current, previous) => Object.keys(RECORD_TYPES)
+  .filter(type => current[type] && previous[type] !== null &&
+    round(current[type].value, RECORD_DECIMALS) > round(previous[type], RECORD_DECIMALS))
+  .map(type => ({
+    type,
+    value: round(current[type].value, RECORD_DECIMALS),
+    previousValue: round(previous[type], RECORD_DECIMALS),
+    set: current[type].set
+  }));
+
+// A record value as text in the viewer's weight unit, e.g. "100 kg" or "12 reps"
+const formatRecordValue = (type, value, weightUnit) =>
+  type === 'reps' ? `${value} reps` : `${fromKilograms(value, weightUnit)} ${weightUnit}`;
+
+// Content and achievementData of the achievement post drafted for a record.
+// `exercise`, `weight` and `reps` are what the activity feed reads.
+const buildRecordPost = (record, exerciseName, weightUnit) => {
+  const label = RECORD_TYPES[record.type];
+  const value = formatRecordValue(record.type, record.value, weightUnit);
+
+  return {
+    content: `New PR! ${exerciseName}: ${label} of ${value} 💪`,
+    achievementData: {
+      type: 'personal_record',
+      recordType: record.type,
+      label,
+      exercise: exerciseName,
+      exerciseId: record.exerciseId,
+      value: record.type === 'reps' ? record.value : fromKilograms(record.value, weightUnit),
+      previousValue: record.type === 'reps' ? record.previousValue : fromKilograms(record.previousValue, weightUnit),
+      weight: fromKilograms(record.weight, weightUnit),
+      reps: record.reps,
+      unit: weightUnit,
+      workoutId: record.workoutId,
+      achievedAt: record.achievedAt
+    }
+  };
+};
+
+// Rep-max table of an exercise: for each rep count, the heaviest effective
+// load done for at least that many reps. A set of 100 kg x 5 also counts as a
+// 3-rep max of 100 kg. `entries` are the performed sessions oldest first
+// ({ date, workoutId, workoutName, sets, load }); a tie keeps the earlier
+// session. Cells set on or after `since` are marked as changed, with the
+// weight they replaced.
+const buildRepMaxTable = (entries, counts = REP_MAX_COUNTS, since) => {
+  const records = {};
+  const previous = {};
+
+  entries.forEach(entry => {
+    const sets = entry.sets
+      .filter(set => isWorkingSet(set) && set.reps > 0)
+      .map(set => ({ set, weight: effectiveLoad(set, entry.load) }))
+      .filter(({ weight }) => weight > 0);
+
+    counts.forEach(count => {
+      const best = sets
+        .filter(({ set }) => set.reps >= count)
+        .reduce((max, candidate) => (!max || candidate.weight > max.weight ? candidate : max), null);
+      if (!best) return;
+
+      const cell = {
+        weight: best.weight,
+        setReps: best.set.reps,
+        date: entry.date,
+        workoutId: entry.workoutId,
+        workoutName: entry.workoutName
+      };
+      if (!records[count] || best.weight > records[count].weight) records[count] = cell;
+      if (since && new Date(entry.date) < since && (!previous[count] || best.weight > previous[count].weight)) {
+        previous[count] = cell;
+      }
+    });
+  });
+
+  return counts.map(count => {
+    const record = records[count];
+    if (!record) {
+      return { reps: count, weight: null, setReps: null, date: null, workoutId: null, workoutName: null, previousWeight: null, changed: false };
+    }
+
+    const changed = Boolean(since) && new Date(record.date) >= since;
+    return {
+      reps: count,
+      ...record,
+      previousWeight: changed && previous[count] ? previous[count].weight : null,
+      changed
+    };
+  });
+};
+
+// A PR event with its values in the viewer's weight unit
+const recordForViewer = (record, preferences) => {
+  const { postDraft, ...rest } = record;
+  const convert = (value) => (record.type === 'reps' ? value : fromKilograms(value, preferences.weightUnit));
+
+  return {
+    ...rest,
+    label: RECORD_TYPES[record.type],
+    value: convert(record.value),
+    previousValue: convert(record.previousValue),
+    weight: fromKilograms(record.weight, preferences.weightUnit),
+    shared: Boolean(record.postId),
+    ...(postDraft && !record.postId && { postDraft })
+  };
+};
+
+module.exports = {
+  RECORD_TYPES,
+  REP_MAX_COUNTS,
+  RECENT_RECORD_DAYS,
+  sessionBests,
+  historyBests,
+  findRecords,
+  formatRecordValue,
+  buildRecordPost,
+  buildRepMaxTable,
+  recordForViewer
+};
@@ -0,0 +1,63 @@
+// Progress photo metadata: poses, validation and pairing photos from two
+// dates for a side-by-side comparison.
+
+const { DAY_MS, isValidDate } = require('./common');
+
+const PHOTO_POSES = ['front', 'side', 'back'];
+
+// Image types accepted for upload; every photo is stored as JPEG
+const PHOTO_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+
+// Validate photo fields, returns an error message or null.
+// `partial` is used for updates, where every field is optional.
+const validatePhotoInput = (payload, partial = false) => {
+  if (!partial && !payload.date) {
+    return 'date is required';
+  }
+
+  // new Date(null) is the epoch, so null is not a date here
+  if (payload.date !== undefined && (payload.date === null || !isValidDate(payload.date))) {
+    return 'date must be a valid date';
+  }
+
+  if (payload.statsId !== undefined && payload.statsId !== null && typeof payload.statsId !== 'string') {
+    return 'statsId must be a string';
+  }
+
+  if ((!partial || payload.pose !== undefined) && !PHOTO_POSES.includes(payload.pose)) {
+    return `pose must be one of: ${PHOTO_POSES.join(', ')}`;
+  }
+
+  return null;
+};
+
+// The photo closest to `date`, or null
+const closestPhoto = (photos, date) => photos.reduce((best, photo) => {
+  const distance = Math.abs(new Date(photo.date) - new Date(date));
+  return !best || distance < best.distance ? { photo, distance } : best;
+}, null);
+
+// Pair the photos closest to `from` and `to` for each pose.
+// Returns [{ pose, before, after, daysApart }]; a side is null when the pose
+// has no photo, and a pose is left out when both sides would be the same photo.
+const pairPhotos = (photos, from, to, poses = PHOTO_POSES) => poses
+  .map(pose => {
+    const posePhotos = photos.filter(photo => photo.pose === pose);
+    const before = closestPhoto(posePhotos, from);
+    const after = closestPhoto(posePhotos, to);
+
+    return {
+      pose,
+      before: before ? before.photo : null,
+      after: after ? after.photo : null,
+      daysApart: before && after ? Math.round(Math.abs(new Date(after.photo.date) - new Date(before.photo.date)) / DAY_MS) : null
+    };
+  })
+  .filter(pair => (pair.before || pair.after) && !(pair.before && pair.after && pair.before.id === pair.after.id));
+
+module.exports = {
+  PHOTO_POSES,
+  PHOTO_MIME_TYPES,
+  validatePhotoInput,
+  pairPhotos
+};
@@ -0,0 +1,12 @@
+// Parsing of query string parameters shared by the routes
+
+// Comma-separated query values as a list, null when not given
+const listParam = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const items = String(value).split(',').map(item => item.trim()).filter(Boolean);
+  return items.length > 0 ? items : null;
+};
+
+module.exports = {
+  listParam
+};
@@ -8,25 +8,33 @@ const exercises = [
     name: 'Bench Press',
     category: 'Strength',
     muscleGroups: ['Chest', 'Triceps', 'Shoulders'],
-    instructions: 'Lie flat on bench, grip bar with hands slightly wider than shoulders, lower to chest, press up'
+    instructions: 'Lie flat on bench, grip bar with hands slightly wider than shoulders, lower to chest, press up',
+    metValue: 6.0
   },
   {
     name: 'Push-ups',
     category: 'Strength',
     muscleGroups: ['Chest', 'Triceps', 'Shoulders'],
-    instructions: 'Start in plank position, lower body to ground, push back up'
+    instructions: 'Start in plank position, lower body to ground, push back up',
+    metValue: 3.8,
+    loadType: 'bodyweight',
+    bodyweightFactor: 0.64
   },
   {
     name: 'Incline Dumbbell Press',
     category: 'Strength',
     muscleGroups: ['Chest', 'Triceps', 'Shoulders'],
-    instructions: 'Lie on inclined bench, press dumbbells from chest level upward'
+    instructions: 'Lie on inclined bench, press dumbbells from chest level upward',
+    metValue: 5.0
   },
   {
     name: 'Chest Dips',
     category: 'Strength',
     muscleGroups: ['Chest', 'Triceps'],
-    instructions: 'Support body on parallel bars, lower body by bending arms, push back up'
+    instructions: 'Support body on parallel bars, lower body by bending arms, push back up',
+    metValue: 5.0,
+    loadType: 'weighted_bodyweight',
+    bodyweightFactor: 0.95
   },
 
   // Back Exercises
@@ -34,25 +42,40 @@ const exercises = [
     name: 'Pull-ups',
     category: 'Strength',
     muscleGroups: ['Back', 'Biceps'],
-    instructions: 'Hang from bar with overhand grip, pull body up until chin over bar'
+    instructions: 'Hang from bar with overhand grip, pull body up until chin over bar',
+    metValue: 5.0,
+    loadType: 'weighted_bodyweight',
+    bodyweightFactor: 1
+  },
+  {
+    name: 'Assisted Pull-ups',
+    category: 'Strength',
+    muscleGroups: ['Back', 'Biceps'],
+    instructions: 'Kneel or stand on the assist platform or band, pull body up until chin over bar',
+    metValue: 4.0,
+    loadType: 'assisted',
+    bodyweightFactor: 1
   },
   {
     name: 'Bent-over Row',
     category: 'Strength',
     muscleGroups: ['Back', 'Biceps'],
-    instructions: 'Bend over with straight back, pull weight to lower chest'
+    instructions: 'Bend over with straight back, pull weight to lower chest',
+    metValue: 5.0
   },
   {
     name: 'Lat Pulldown',
     category: 'Strength',
     muscleGroups: ['Back', 'Biceps'],
-    instructions: 'Sit at machine, pull bar down to upper chest'
+    instructions: 'Sit at machine, pull bar down to upper chest',
+    metValue: 3.5
   },
   {
     name: 'Deadlift',
     category: 'Strength',
     muscleGroups: ['Back', 'Glutes', 'Hamstrings'],
-    instructions: 'Stand with feet hip-width apart, bend to grip bar, lift by extending hips and knees'
+    instructions: 'Stand with feet hip-width apart, bend to grip bar, lift by extending hips and knees',
+    metValue: 6.0
   },
 
   // Leg Exercises
@@ -60,25 +83,29 @@ const exercises = [
     name: 'Squat',
     category: 'Strength',
     muscleGroups: ['Quadriceps', 'Glutes', 'Hamstrings'],
-    instructions: 'Stand with feet shoulder-width apart, lower body by bending knees, return to standing'
+    instructions: 'Stand with feet shoulder-width apart, lower body by bending knees, return to standing',
+    metValue: 6.0
   },
   {
     name: 'Lunges',
     category: 'Strength',
     muscleGroups: ['Quadriceps', 'Glutes', 'Hamstrings'],
-    instructions: 'Step forward into lunge position, lower back knee toward ground, push back to standing'
+    instructions: 'Step forward into lunge position, lower back knee toward ground, push back to standing',
+    metValue: 5.0
   },
   {
     name: 'Leg Press',
     category: 'Strength',
     muscleGroups: ['Quadriceps', 'Glutes'],
-    instructions: 'Sit in leg press machine, push weight away with legs'
+    instructions: 'Sit in leg press machine, push weight away with legs',
+    metValue: 5.0
   },
   {
     name: 'Calf Raises',
     category: 'Strength',
     muscleGroups: ['Calves'],
-    instructions: 'Stand on balls of feet, raise heels as high as possible, lower slowly'
+    instructions: 'Stand on balls of feet, raise heels as high as possible, lower slowly',
+    metValue: 3.5
   },
 
   // Shoulder Exercises
@@ -86,19 +113,22 @@ const exercises = [
     name: 'Overhead Press',
     category: 'Strength',
     muscleGroups: ['Shoulders', 'Triceps'],
-    instructions: 'Stand with feet hip-width apart, press weight overhead'
+    instructions: 'Stand with feet hip-width apart, press weight overhead',
+    metValue: 5.0
   },
   {
     name: 'Lateral Raises',
     category: 'Strength',
     muscleGroups: ['Shoulders'],
-    instructions: 'Hold dumbbells at sides, raise arms out to shoulder height'
+    instructions: 'Hold dumbbells at sides, raise arms out to shoulder height',
+    metValue: 3.5
   },
   {
     name: 'Rear Delt Flyes',
     category: 'Strength',
     muscleGroups: ['Shoulders', 'Back'],
-    instructions: 'Bend forward, raise arms out to sides squeezing shoulder blades'
+    instructions: 'Bend forward, raise arms out to sides squeezing shoulder blades',
+    metValue: 3.5
   },
 
   // Arm Exercises
@@ -106,19 +136,24 @@ const exercises = [
     name: 'Bicep Curls',
     category: 'Strength',
     muscleGroups: ['Biceps'],
-    instructions: 'Hold dumbbells at sides, curl weight up by bending elbow'
+    instructions: 'Hold dumbbells at sides, curl weight up by bending elbow',
+    metValue: 3.5
   },
   {
     name: 'Tricep Dips',
     category: 'Strength',
     muscleGroups: ['Triceps'],
-    instructions: 'Support body on bench/chair, lower body by bending arms, push back up'
+    instructions: 'Support body on bench/chair, lower body by bending arms, push back up',
+    metValue: 3.8,
+    loadType: 'bodyweight',
+    bodyweightFactor: 0.7
   },
   {
     name: 'Hammer Curls',
     category: 'Strength',
     muscleGroups: ['Biceps', 'Forearms'],
-    instructions: 'Hold dumbbells with neutral grip, curl weight up'
+    instructions: 'Hold dumbbells with neutral grip, curl weight up',
+    metValue: 3.5
   },
 
   // Core Exercises
@@ -126,19 +161,22 @@ const exercises = [
     name: 'Plank',
     category: 'Core',
     muscleGroups: ['Core', 'Shoulders'],
-    instructions: 'Hold body in straight line supported by forearms and toes'
+    instructions: 'Hold body in straight line supported by forearms and toes',
+    metValue: 3.0
   },
   {
     name: 'Crunches',
     category: 'Core',
     muscleGroups: ['Core'],
-    instructions: 'Lie on back, lift shoulders off ground by contracting abs'
+    instructions: 'Lie on back, lift shoulders off ground by contracting abs',
+    metValue: 2.8
   },
   {
     name: 'Russian Twists',
     category: 'Core',
     muscleGroups: ['Core', 'Obliques'],
-    instructions: 'Sit with knees bent, lean back slightly, rotate torso side to side'
+    instructions: 'Sit with knees bent, lean back slightly, rotate torso side to side',
+    metValue: 3.8
   },
 
   // Cardio Exercises
@@ -146,25 +184,50 @@ const exercises = [
     name: 'Running',
     category: 'Cardio',
     muscleGroups: ['Legs', 'Core'],
-    instructions: 'Maintain steady pace, focus on breathing and form'
+    instructions: 'Maintain steady pace, focus on breathing and form',
+    metValue: 9.8
   },
   {
     name: 'Cycling',
     category: 'Cardio',
     muscleGroups: ['Legs', 'Core'],
-    instructions: 'Pedal at consistent pace, adjust resistance as needed'
+    instructions: 'Pedal at consistent pace, adjust resistance as needed',
+    metValue: 7.5
+  },
+  {
+    name: 'Walking',
+    category: 'Cardio',
+    muscleGroups: ['Legs'],
+    instructions: 'Walk at a brisk, steady pace with an upright posture',
+    metValue: 3.5
+  },
+  {
+    name: 'Hiking',
+    category: 'Cardio',
+    muscleGroups: ['Legs', 'Core'],
+    instructions: 'Keep a steady pace on uneven terrain, shorten your stride on climbs',
+    metValue: 6.0
+  },
+  {
+    name: 'Swimming',
+    category: 'Cardio',
+    muscleGroups: ['Full Body'],
+    instructions: 'Swim continuous laps at a moderate effort, breathe rhythmically',
+    metValue: 5.8
   },
   {
     name: 'Jump Rope',
     category: 'Cardio',
     muscleGroups: ['Legs', 'Core', 'Shoulders'],
-    instructions: 'Jump over rope with both feet, maintain rhythm'
+    instructions: 'Jump over rope with both feet, maintain rhythm',
+    metValue: 11.8
   },
   {
     name: 'Burpees',
     category: 'Cardio',
     muscleGroups: ['Full Body'],
-    instructions: 'Squat down, jump back to plank, do push-up, jump forward, jump up'
+    instructions: 'Squat down, jump back to plank, do push-up, jump forward, jump up',
+    metValue: 8.0
   }
 ];
 
@@ -1,4 +1,5 @@
 const { PrismaClient } = require('@prisma/client');
+const { buildSetData, setsFromLegacyArrays } = require('./workoutSets');
 
 const prisma = new PrismaClient();
 
@@ -74,7 +75,9 @@ async function seedSampleWorkouts(userId) {
           date: workoutData.date,
           duration: workoutData.duration,
           notes: workoutData.notes,
-          userId: workoutData.userId
+          userId: workoutData.userId,
+          status: 'completed',
+          finishedAt: workoutData.date
         }
       });
 
@@ -84,10 +87,10 @@ async function seedSampleWorkouts(userId) {
           data: {
             workoutId: workout.id,
             exerciseId: exerciseData.exerciseId,
-            sets: exerciseData.sets,
-            reps: exerciseData.reps,
-            weight: exerciseData.weight,
-            restTime: exerciseData.restTime
+            restTime: exerciseData.restTime,
+            sets: {
+              create: setsFromLegacyArrays(exerciseData).map((set, index) => buildSetData(set, index + 1))
+            }
           }
         });
       }
@@ -0,0 +1,167 @@
+// Workout streaks, counted on calendar days in the user's own timezone so a
+// late session is not pushed into the next day by the server clock.
+// Two kinds of streak:
+// - daily: consecutive training days, with up to `streakRestDays` days off
+//   in between that don't break it. Its length counts training days.
+// - weekly: consecutive weeks with at least `weeklyWorkoutGoal` training
+//   days. The week in progress never breaks it. Weeks start on Sunday like
+//   the training calendar.
+
+const { dayKey, addDays, localDayKey } = require('./trainingCalendar');
+const { DAY_MS } = require('./common');
+
+const STREAK_TYPES = ['daily', 'weekly'];
+
+// Rest days a daily streak tolerates in a row
+const MAX_REST_DAYS = 6;
+
+const DEFAULT_STREAK_SETTINGS = {
+  timezone: 'UTC',
+  streakType: 'daily',
+  streakRestDays: 0,
+  weeklyWorkoutGoal: 3
+};
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || timezone === '') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// The user's streak settings, defaults for those not set
+const getStreakSettings = (user) => {
+  const settings = Object.fromEntries(
+    Object.entries(DEFAULT_STREAK_SETTINGS).map(([field, fallback]) => [
+      field,
+      user && user[field] !== undefined && user[field] !== null ? user[field] : fallback
+    ])
+  );
+
+  if (!isValidTimezone(settings.timezone)) settings.timezone = DEFAULT_STREAK_SETTINGS.timezone;
+  return settings;
+};
+
+// Validate streak settings in a payload, returns an error message or null
+const validateStreakSettings = ({ timezone, streakType, streakRestDays, weeklyWorkoutGoal }) => {
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    return 'timezone must be an IANA timezone such as Europe/Berlin';
+  }
+
+  if (streakType !== undefined && !STREAK_TYPES.includes(streakType)) {
+    return `streakType must be one of: ${STREAK_TYPES.join(', ')}`;
+  }
+
+  if (streakRestDays !== undefined &&
+    (!Number.isInteger(streakRestDays) || streakRestDays < 0 || streakRestDays > MAX_REST_DAYS)) {
+    return `streakRestDays must be a whole number from 0 to ${MAX_REST_DAYS}`;
+  }
+
+  if (weeklyWorkoutGoal !== undefined &&
+    (!Number.isInteger(weeklyWorkoutGoal) || weeklyWorkoutGoal < 1 || weeklyWorkoutGoal > 7)) {
+    return 'weeklyWorkoutGoal must be a whole number from 1 to 7';
+  }
+
+  return null;
+};
+
+const keyDate = (day) => new Date(`${day}T00:00:00Z`);
+
+const shiftDay = (day, days) => dayKey(addDays(keyDate(day), days));
+
+const daysBetween = (from, to) => Math.round((keyDate(to) - keyDate(from)) / DAY_MS);
+
+const weekStart = (day) => shiftDay(day, -keyDate(day).getUTCDay());
+
+// Group sorted keys into runs, starting a new run when `continues` is false
+const buildRuns = (keys, continues) => keys.reduce((runs, key) => {
+  const last = runs[runs.length - 1];
+  if (last && continues(last.end, key)) {
+    last.end = key;
+    last.length += 1;
+  } else {
+    runs.push({ start: key, end: key, length: 1 });
+  }
+  return runs;
+}, []);
+
+// Each streak that was the longest so far when it was set, oldest first
+const recordHistory = (runs) => runs.reduce((records, run) => {
+  const best = records[records.length - 1];
+  return !best || run.length > best.length ? [...records, run] : records;
+}, []);
+
+// Streak from workout dates. Returns the current streak, the longest one and
+// the history of longest streaks; lengths are in days (daily) or weeks
+// (weekly) as given by `unit`. Workouts dated after today are ignored.
+const buildStreak = (dates, user, now = new Date()) => {
+  const settings = getStreakSettings(user);
+  const today = localDayKey(now, settings.timezone);
+
+  const days = [...new Set(dates.map(date => localDayKey(date, settings.timezone)))]
+    .filter(day => day <= today)
+    .sort();
+
+  const result = {
+    type: settings.streakType,
+    unit: settings.streakType === 'weekly' ? 'weeks' : 'days',
+    timezone: settings.timezone,
+    today,
+    lastActiveDate: days[days.length - 1] || null
+  };
+
+  let runs;
+  let isCurrent;
+
+  if (settings.streakType === 'weekly') {
+    const daysPerWeek = {};
+    days.forEach(day => {
+      const week = weekStart(day);
+      daysPerWeek[week] = (daysPerWeek[week] || 0) + 1;
+    });
+
+    const goalWeeks = Object.keys(daysPerWeek)
+      .filter(week => daysPerWeek[week] >= settings.weeklyWorkoutGoal)
+      .sort();
+
+    const thisWeek = weekStart(today);
+    runs = buildRuns(goalWeeks, (previous, week) => daysBetween(previous, week) === 7)
+      .map(run => ({ ...run, end: shiftDay(run.end, 6) }));
+    isCurrent = (run) => daysBetween(weekStart(run.end), thisWeek) <= 7;
+
+    Object.assign(result, {
+      weeklyWorkoutGoal: settings.weeklyWorkoutGoal,
+      thisWeek: { start: thisWeek, trainingDays: daysPerWeek[thisWeek] || 0 }
+    });
+  } else {
+    runs = buildRuns(days, (previous, day) => daysBetween(previous, day) - 1 <= settings.streakRestDays);
+    isCurrent = (run) => daysBetween(run.end, today) - 1 <= settings.streakRestDays;
+
+    result.streakRestDays = settings.streakRestDays;
+  }
+
+  const lastRun = runs[runs.length - 1];
+  const currentRun = lastRun && isCurrent(lastRun) ? lastRun : null;
+  const history = recordHistory(runs);
+
+  return {
+    ...result,
+    current: currentRun ? currentRun.length : 0,
+    currentStart: currentRun ? currentRun.start : null,
+    longest: history[history.length - 1] || null,
+    history
+  };
+};
+
+module.exports = {
+  STREAK_TYPES,
+  MAX_REST_DAYS,
+  DEFAULT_STREAK_SETTINGS,
+  isValidTimezone,
+  getStreakSettings,
+  validateStreakSettings,
+  buildStreak
+};
@@ -0,0 +1,170 @@
+// Training calendar and recurring schedule helpers. Days are UTC calendar
+// days (YYYY-MM-DD), weeks start on Sunday like the frequency analytics.
+
+const { DAY_MS, isValidDate } = require('./common');
+
+const CALENDAR_VIEWS = ['day', 'week', 'month'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const dayKey = (date) => new Date(date).toISOString().split('T')[0];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+// Formatters are costly to build, keep one per timezone
+const formatters = new Map();
+
+// YYYY-MM-DD of `date` in `timezone`
+const localDayKey = (date, timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }));
+  }
+  return formatters.get(timezone).format(new Date(date));
+};
+
+// The calendar day it is in `timezone`, as a UTC day like the other days here
+const localToday = (timezone, now = new Date()) => new Date(`${localDayKey(now, timezone)}T00:00:00Z`);
+
+// [start, end) of the day, week or month containing `date`
+const calendarRange = (view, date) => {
+  const day = startOfDay(date);
+
+  if (view === 'day') {
+    return { start: day, end: addDays(day, 1) };
+  }
+
+  if (view === 'week') {
+    const start = addDays(day, -day.getUTCDay());
+    return { start, end: addDays(start, 7) };
+  }
+
+  const start = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1));
+  const end = new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth() + 1, 1));
+  return { start, end };
+};
+
+// Validate a schedule payload, returns an error message or null.
+// `partial` is used for updates where every field is optional.
+const validateScheduleInput = (schedule, partial = false) => {
+  if (!partial && !schedule.templateId) {
+    return 'templateId is required';
+  }
+
+  if (!partial || schedule.weekdays !== undefined) {
+    if (!Array.isArray(schedule.weekdays) || schedule.weekdays.length === 0) {
+      return 'weekdays must be a non-empty array of days (0 = Sunday ... 6 = Saturday)';
+    }
+    if (schedule.weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'weekdays must contain whole numbers from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+
+  if (schedule.time !== undefined && schedule.time !== null && !TIME_PATTERN.test(schedule.time)) {
+    return 'time must be formatted as HH:mm';
+  }
+
+  for (const field of ['startDate', 'endDate']) {
+    if (schedule[field] !== undefined && schedule[field] !== null && !isValidDate(schedule[field])) {
+      return `${field} must be a valid date`;
+    }
+  }
+
+  if (schedule.startDate && schedule.endDate && new Date(schedule.endDate) < new Date(schedule.startDate)) {
+    return 'endDate must be after startDate';
+  }
+
+  return null;
+};
+
+// Planned start of a session on a day, at the schedule's time if it has one
+const sessionStart = (day, time) => {
+  const start = startOfDay(day);
+  if (time) {
+    const [, hours, minutes] = time.match(TIME_PATTERN);
+    start.setUTCHours(Number(hours), Number(minutes));
+  }
+  return start;
+};
+
+// Session starts of a schedule on the days in [from, to)
+const scheduledDates = (schedule, from, to) => {
+  const weekdays = new Set(schedule.weekdays);
+  const first = startOfDay(Math.max(new Date(from).getTime(), startOfDay(schedule.startDate).getTime()));
+  const last = schedule.endDate
+    ? Math.min(new Date(to).getTime(), addDays(startOfDay(schedule.endDate), 1).getTime())
+    : new Date(to).getTime();
+
+  const dates = [];
+  for (let day = first; day.getTime() < last; day = addDays(day, 1)) {
+    if (weekdays.has(day.getUTCDay())) {
+      dates.push(sessionStart(day, schedule.time));
+    }
+  }
+  return dates;
+};
+
+// Share of planned sessions that were done, from workouts that carry a
+// `scheduledFor` date that has passed. Sessions still planned for today don't count yet.
+const computeAdherence = (plannedWorkouts) => {
+  const completed = plannedWorkouts.filter(workout => workout.status === 'completed').length;
+  const missed = plannedWorkouts.filter(workout => ['skipped', 'abandoned'].includes(workout.status)).length;
+  const due = completed + missed;
+
+  return {
+    planned: due,
+    completed,
+    missed,
+    rate: due > 0 ? Math.round(completed / due * 100) : null
+  };
+};
+
+// Days of a calendar range with their workouts and the sessions schedules
+// will plan later (`upcoming`), plus per-status totals
+const buildCalendar = (range, workouts, upcoming = []) => {
+  const days = {};
+  for (let day = range.start; day < range.end; day = addDays(day, 1)) {
+    days[dayKey(day)] = { date: dayKey(day), workouts: [], upcoming: [] };
+  }
+
+  workouts.forEach(workout => {
+    const day = days[dayKey(workout.date)];
+    if (day) day.workouts.push(workout);
+  });
+
+  upcoming.forEach(session => {
+    const day = days[dayKey(session.date)];
+    if (day) day.upcoming.push(session);
+  });
+
+  const totals = { planned: upcoming.length, in_progress: 0, paused: 0, completed: 0, abandoned: 0, skipped: 0 };
+  workouts.forEach(workout => {
+    totals[workout.status] = (totals[workout.status] || 0) + 1;
+  });
+
+  return { days: Object.values(days), totals };
+};
+
+module.exports = {
+  CALENDAR_VIEWS,
+  dayKey,
+  startOfDay,
+  addDays,
+  localDayKey,
+  localToday,
+  calendarRange,
+  validateScheduleInput,
+  scheduledDates,
+  computeAdherence,
+  buildCalendar
+};
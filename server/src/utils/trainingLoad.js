@@ -0,0 +1,206 @@
+// Session ratings and training load (Foster's session-RPE method). A
+// session's load is its RPE on the CR-10 scale times its duration in
+// minutes; monotony is the mean daily load of a week over its standard
+// deviation, and strain is the week's load times its monotony. Rest days
+// count as zero load. Days are UTC days, weeks start on Sunday.
+
+const { dayKey, startOfDay, addDays } = require('./trainingCalendar');
+const { round } = require('./common');
+
+// Ratings recorded with a workout: [minimum, maximum, whole numbers only]
+const SESSION_RATINGS = {
+  sessionRpe: [0, 10, false],      // how hard the whole session was (CR-10)
+  preWorkoutEnergy: [1, 5, true],  // energy before training
+  postWorkoutMood: [1, 5, true],   // mood after training
+  soreness: [1, 5, true]           // muscle soreness
+};
+
+// Monotony above this goes with a higher risk of illness and overreaching
+const HIGH_MONOTONY = 2.0;
+
+// A week's strain this much above the recent weekly average is flagged
+const STRAIN_SPIKE_FACTOR = 1.5;
+
+// Completed weeks the current strain is compared with
+const STRAIN_BASELINE_WEEKS = 4;
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Validate the ratings in a payload, returns an error message or null.
+// Ratings that are left out are not checked; null clears one.
+const validateSessionRatings = (payload) => {
+  for (const [field, [minimum, maximum, whole]] of Object.entries(SESSION_RATINGS)) {
+    const value = payload[field];
+    if (isEmpty(value)) continue;
+
+    const number = Number(value);
+    if (isNaN(number) || number < minimum || number > maximum || (whole && !Number.isInteger(number))) {
+      return `${field} must be ${whole ? 'a whole number' : 'a number'} from ${minimum} to ${maximum}`;
+    }
+  }
+  return null;
+};
+
+// Workout columns for the ratings present in a validated payload
+const buildRatingsData = (payload) => {
+  const data = {};
+  for (const field of Object.keys(SESSION_RATINGS)) {
+    if (payload[field] !== undefined) {
+      data[field] = isEmpty(payload[field]) ? null : Number(payload[field]);
+    }
+  }
+  return data;
+};
+
+// sRPE x minutes, null when the session has no RPE or duration
+const sessionLoad = (workout) =>
+  workout.sessionRpe !== null && workout.sessionRpe !== undefined && workout.duration
+    ? Math.round(workout.sessionRpe * workout.duration)
+    : null;
+
+const average = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? round(present.reduce((sum, value) => sum + value, 0) / present.length) : null;
+};
+
+// Load, monotony and strain over a run of daily loads
+const loadMetrics = (dailyLoads) => {
+  const load = dailyLoads.reduce((sum, value) => sum + value, 0);
+  const mean = dailyLoads.length > 0 ? load / dailyLoads.length : 0;
+  const variance = dailyLoads.length > 0
+    ? dailyLoads.reduce((sum, value) => sum + (value - mean) ** 2, 0) / dailyLoads.length
+    : 0;
+  const deviation = Math.sqrt(variance);
+
+  // The same load every day (including none at all) has no meaningful monotony
+  const monotony = deviation > 0 ? mean / deviation : null;
+
+  return {
+    load,
+    monotony: round(monotony, 2),
+    strain: monotony !== null ? Math.round(load * monotony) : null
+  };
+};
+
+// Ratings averaged over a set of sessions
+const ratingAverages = (sessions) => ({
+  averageRpe: average(sessions.map(session => session.sessionRpe)),
+  averageEnergy: average(sessions.map(session => session.preWorkoutEnergy)),
+  averageMood: average(sessions.map(session => session.postWorkoutMood)),
+  averageSoreness: average(sessions.map(session => session.soreness))
+});
+
+const sundayOf = (date) => {
+  const day = startOfDay(date);
+  return addDays(day, -day.getUTCDay());
+};
+
+// Session loads, daily loads, weekly metrics and the rolling last 7 days for
+// the `weeks` calendar weeks up to `now`. `workouts` are the performed
+// sessions in that period with date, duration and ratings.
+const buildTrainingLoad = (workouts, weeks, now = new Date()) => {
+  const today = startOfDay(now);
+  const start = addDays(sundayOf(today), -(weeks - 1) * 7);
+
+  const sessions = workouts.map(workout => ({
+    workoutId: workout.id,
+    name: workout.name,
+    date: workout.date,
+    duration: workout.duration,
+    sessionRpe: workout.sessionRpe,
+    preWorkoutEnergy: workout.preWorkoutEnergy,
+    postWorkoutMood: workout.postWorkoutMood,
+    soreness: workout.soreness,
+    load: sessionLoad(workout)
+  }));
+
+  const loadByDay = {};
+  sessions.forEach(session => {
+    const key = dayKey(session.date);
+    loadByDay[key] = (loadByDay[key] || 0) + (session.load || 0);
+  });
+
+  const daily = [];
+  for (let day = start; day <= today; day = addDays(day, 1)) {
+    daily.push({ date: dayKey(day), load: loadByDay[dayKey(day)] || 0 });
+  }
+
+  const weekly = [];
+  for (let index = 0; index < daily.length; index += 7) {
+    const days = daily.slice(index, index + 7);
+    const weekStart = days[0].date;
+    const weekEnd = dayKey(addDays(weekStart, 7));
+    const weekSessions = sessions.filter(session => dayKey(session.date) >= weekStart && dayKey(session.date) < weekEnd);
+
+    weekly.push({
+      week: weekStart,
+      inProgress: days.length < 7,
+      sessions: weekSessions.length,
+      unratedSessions: weekSessions.filter(session => session.load === null).length,
+      ...loadMetrics(days.map(day => day.load)),
+      ...ratingAverages(weekSessions)
+    });
+  }
+
+  // Rolling last 7 days, so the current picture doesn't depend on the weekday
+  const lastWeekStart = dayKey(addDays(today, -6));
+  const recentSessions = sessions.filter(session => dayKey(session.date) >= lastWeekStart);
+  const current = {
+    from: lastWeekStart,
+    sessions: recentSessions.length,
+    ...loadMetrics(daily.slice(-7).map(day => day.load)),
+    ...ratingAverages(recentSessions)
+  };
+
+  return {
+    sessions,
+    daily,
+    weekly,
+    current,
+    warnings: loadWarnings(current, weekly.filter(week => !week.inProgress).slice(-STRAIN_BASELINE_WEEKS))
+  };
+};
+
+// Signs of overreaching in the last 7 days
+const loadWarnings = (current, previousWeeks) => {
+  const warnings = [];
+
+  if (current.monotony !== null && current.monotony > HIGH_MONOTONY) {
+    warnings.push({
+      type: 'high_monotony',
+      message: `Training monotony is ${current.monotony}; vary hard and easy days to keep it under ${HIGH_MONOTONY}`
+    });
+  }
+
+  const baseline = previousWeeks.map(week => week.strain).filter(strain => strain !== null);
+  if (current.strain !== null && baseline.length > 0) {
+    const averageStrain = baseline.reduce((sum, strain) => sum + strain, 0) / baseline.length;
+    if (averageStrain > 0 && current.strain > averageStrain * STRAIN_SPIKE_FACTOR) {
+      warnings.push({
+        type: 'strain_spike',
+        message: `Strain is ${Math.round(current.strain / averageStrain * 100)}% of the recent weekly average`
+      });
+    }
+  }
+
+  if ((current.averageMood !== null && current.averageMood <= 2) ||
+      (current.averageSoreness !== null && current.averageSoreness >= 4)) {
+    warnings.push({
+      type: 'poor_wellness',
+      message: 'Low mood or high soreness this week; consider a lighter session'
+    });
+  }
+
+  return warnings;
+};
+
+module.exports = {
+  SESSION_RATINGS,
+  HIGH_MONOTONY,
+  STRAIN_SPIKE_FACTOR,
+  validateSessionRatings,
+  buildRatingsData,
+  sessionLoad,
+  loadMetrics,
+  buildTrainingLoad
+};
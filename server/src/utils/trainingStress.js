@@ -0,0 +1,173 @@
+// Fitness-fatigue (Banister impulse-response) model and acute:chronic
+// workload ratio. Fitness and fatigue are exponentially weighted averages of
+// daily training load, fitness over a long time constant and fatigue over a
+// short one, so both read as load per day. Form, the readiness estimate, is
+// fitness times its gain minus fatigue times its gain: positive when fresh,
+// negative when carrying fatigue. Rest days count as zero load. Days are UTC days.
+
+const { dayKey, startOfDay, addDays } = require('./trainingCalendar');
+const { sessionLoad } = require('./trainingLoad');
+const { round } = require('./common');
+
+// Where a day's load comes from: sRPE x minutes, or lifted volume in kg
+const STRESS_SOURCES = ['srpe', 'volume'];
+
+// Model constants a user can change: [default, minimum, maximum]
+const BANISTER_SETTINGS = {
+  fitnessDecayDays: [42, 1, 120], // time constant of fitness
+  fatigueDecayDays: [7, 1, 60],   // time constant of fatigue
+  fitnessGain: [1, 0.01, 10],
+  fatigueGain: [1, 0.01, 10]
+};
+
+const ACUTE_DAYS = 7;
+const CHRONIC_DAYS = 28;
+
+// Ratios outside this band go with a higher injury risk (too much, too soon)
+// or with losing fitness
+const ACWR_HIGH = 1.5;
+const ACWR_LOW = 0.8;
+
+// Form below this share of fitness (negative) means fatigue is piling up
+// faster than a normal training block
+const DEEP_FATIGUE_RATIO = 0.3;
+
+// The user's model constants, defaults for those not set
+const getBanisterSettings = (user) => Object.fromEntries(
+  Object.entries(BANISTER_SETTINGS).map(([field, [fallback]]) => [
+    field,
+    user && user[field] !== undefined && user[field] !== null ? user[field] : fallback
+  ])
+);
+
+// Validate model constants in a payload against the user's current ones,
+// returns an error message or null. null resets a constant to its default.
+// Fatigue has to fade faster than fitness for form to mean anything.
+const validateBanisterSettings = (payload, user) => {
+  for (const [field, [, minimum, maximum]] of Object.entries(BANISTER_SETTINGS)) {
+    const value = payload[field];
+    if (value === undefined || value === null) continue;
+
+    const number = Number(value);
+    if (value === '' || isNaN(number) || number < minimum || number > maximum) {
+      return `${field} must be a number from ${minimum} to ${maximum}`;
+    }
+  }
+
+  const settings = getBanisterSettings({ ...user, ...payload });
+  if (Number(settings.fatigueDecayDays) >= Number(settings.fitnessDecayDays)) {
+    return 'fatigueDecayDays must be shorter than fitnessDecayDays';
+  }
+
+  return null;
+};
+
+// Days of history needed before `from` for fitness to have built up; older
+// loads have decayed below 5% of their impulse
+const warmUpDays = (settings) =>
+  Math.max(Math.ceil(settings.fitnessDecayDays * 3), CHRONIC_DAYS);
+
+// Load of one session for the chosen source; `volume` is the session's
+// lifted volume in kg worked out by the caller
+const sessionStress = (workout, source) =>
+  (source === 'volume' ? Math.round(workout.volume || 0) : sessionLoad(workout) || 0);
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+// Daily fitness, fatigue, form and ACWR from `from` to `to`. `workouts`
+// reach back warmUpDays before `from` and carry what sessionStress needs.
+const buildTrainingStress = (workouts, { from, to, source, settings }) => {
+  const start = addDays(startOfDay(from), -warmUpDays(settings));
+  const end = startOfDay(to);
+
+  const loadByDay = {};
+  workouts.forEach(workout => {
+    const key = dayKey(workout.date);
+    loadByDay[key] = (loadByDay[key] || 0) + sessionStress(workout, source);
+  });
+
+  const fitnessDecay = Math.exp(-1 / settings.fitnessDecayDays);
+  const fatigueDecay = Math.exp(-1 / settings.fatigueDecayDays);
+  const firstKey = dayKey(from);
+
+  let fitness = 0;
+  let fatigue = 0;
+  const loads = [];
+  const daily = [];
+
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    const key = dayKey(day);
+    const load = loadByDay[key] || 0;
+
+    fitness = fitness * fitnessDecay + load * (1 - fitnessDecay);
+    fatigue = fatigue * fatigueDecay + load * (1 - fatigueDecay);
+    loads.push(load);
+
+    if (key < firstKey) continue;
+
+    const acuteLoad = mean(loads.slice(-ACUTE_DAYS));
+    const chronicLoad = mean(loads.slice(-CHRONIC_DAYS));
+    const acwr = chronicLoad > 0 ? acuteLoad / chronicLoad : null;
+
+    daily.push({
+      date: key,
+      load,
+      fitness: round(fitness * settings.fitnessGain),
+      fatigue: round(fatigue * settings.fatigueGain),
+      form: round(fitness * settings.fitnessGain - fatigue * settings.fatigueGain),
+      acuteLoad: round(acuteLoad),
+      chronicLoad: round(chronicLoad),
+      acwr: round(acwr, 2),
+      acwrSpike: acwr !== null && acwr > ACWR_HIGH
+    });
+  }
+
+  const current = daily[daily.length - 1] || null;
+
+  return {
+    daily,
+    current,
+    spikeDays: daily.filter(day => day.acwrSpike).map(day => day.date),
+    warnings: stressWarnings(current)
+  };
+};
+
+const stressWarnings = (current) => {
+  const warnings = [];
+  if (!current) return warnings;
+
+  if (current.acwr !== null && current.acwr > ACWR_HIGH) {
+    warnings.push({
+      type: 'acwr_spike',
+      message: `Acute:chronic workload ratio is ${current.acwr}; load has risen faster than your body is used to (keep it under ${ACWR_HIGH})`
+    });
+  } else if (current.acwr !== null && current.acwr < ACWR_LOW) {
+    warnings.push({
+      type: 'acwr_low',
+      message: `Acute:chronic workload ratio is ${current.acwr}; training has dropped well below your usual load`
+    });
+  }
+
+  if (current.fitness > 0 && current.form < -DEEP_FATIGUE_RATIO * current.fitness) {
+    warnings.push({
+      type: 'deep_fatigue',
+      message: 'Fatigue is well above fitness; a lighter day or rest will help you recover'
+    });
+  }
+
+  return warnings;
+};
+
+module.exports = {
+  STRESS_SOURCES,
+  BANISTER_SETTINGS,
+  ACUTE_DAYS,
+  CHRONIC_DAYS,
+  ACWR_HIGH,
+  ACWR_LOW,
+  DEEP_FATIGUE_RATIO,
+  getBanisterSettings,
+  validateBanisterSettings,
+  warmUpDays,
+  buildTrainingStress
+};
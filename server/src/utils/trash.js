@@ -0,0 +1,22 @@
+// Soft delete. Deleted workouts, templates, posts and comments get a
+// `deletedAt` timestamp and stay restorable from the trash for a while
+// before they are purged for good.
+
+const { DAY_MS } = require('./common');
+
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+
+const TRASH_TYPES = ['workout', 'template', 'post', 'comment'];
+
+// When an item trashed at `deletedAt` is purged
+const trashExpiresAt = (deletedAt) => new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS);
+
+// Items trashed before this moment are due for purging
+const purgeCutoff = (now = new Date()) => new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_TYPES,
+  trashExpiresAt,
+  purgeCutoff
+};
@@ -0,0 +1,192 @@
+// Unit preferences and conversions. Everything is stored canonically
+// (kilograms, meters, centimeters); writes say which unit they are in
+// and responses are converted to the viewer's preferred units.
+
+const { formatDuration } = require('./cardio');
+const { round } = require('./common');
+
+// Factor to the canonical unit
+const WEIGHT_UNITS = { kg: 1, lb: 0.45359237 };
+const DISTANCE_UNITS = { m: 1, km: 1000, mi: 1609.344 };
+const LENGTH_UNITS = { cm: 1, in: 2.54 };
+const ELEVATION_UNITS = { m: 1, ft: 0.3048 };
+
+// Preferences users can pick; distance input additionally accepts meters
+const UNIT_PREFERENCES = {
+  weightUnit: ['kg', 'lb'],
+  distanceUnit: ['km', 'mi'],
+  lengthUnit: ['cm', 'in']
+};
+
+const DEFAULT_UNITS = { weightUnit: 'kg', distanceUnit: 'km', lengthUnit: 'cm' };
+
+const convert = (value, factor) =>
+  value === null || value === undefined || value === '' || isNaN(Number(value)) ? value : Number(value) * factor;
+
+// Elevation follows the distance preference: feet for miles, meters otherwise
+const elevationUnitFor = (distanceUnit) => (distanceUnit === 'mi' ? 'ft' : 'm');
+
+// A user's preferences, filling in defaults for anything unset
+const getUnitPreferences = (user) => ({
+  weightUnit: (user && user.weightUnit) || DEFAULT_UNITS.weightUnit,
+  distanceUnit: (user && user.distanceUnit) || DEFAULT_UNITS.distanceUnit,
+  lengthUnit: (user && user.lengthUnit) || DEFAULT_UNITS.lengthUnit
+});
+
+// Validate a preference update, returns an error message or null
+const validateUnitPreferences = (preferences) => {
+  for (const [key, allowed] of Object.entries(UNIT_PREFERENCES)) {
+    if (preferences[key] !== undefined && !allowed.includes(preferences[key])) {
+      return `${key} must be one of: ${allowed.join(', ')}`;
+    }
+  }
+  return null;
+};
+
+// Units a write is expressed in: explicit `weightUnit`/`distanceUnit`/`lengthUnit`
+// in the payload, falling back to the user's preferences
+// Returns { units } or { error }
+const resolveInputUnits = (payload, user) => {
+  const preferences = getUnitPreferences(user);
+  const units = {
+    weightUnit: payload.weightUnit || preferences.weightUnit,
+    distanceUnit: payload.distanceUnit || preferences.distanceUnit,
+    lengthUnit: payload.lengthUnit || preferences.lengthUnit
+  };
+
+  if (!WEIGHT_UNITS[units.weightUnit]) {
+    return { error: `weightUnit must be one of: ${Object.keys(WEIGHT_UNITS).join(', ')}` };
+  }
+  if (!DISTANCE_UNITS[units.distanceUnit]) {
+    return { error: `distanceUnit must be one of: ${Object.keys(DISTANCE_UNITS).join(', ')}` };
+  }
+  if (!LENGTH_UNITS[units.lengthUnit]) {
+    return { error: `lengthUnit must be one of: ${Object.keys(LENGTH_UNITS).join(', ')}` };
+  }
+
+  return { units };
+};
+
+const toKilograms = (value, unit) => convert(value, WEIGHT_UNITS[unit] || 1);
+const fromKilograms = (value, unit) => round(convert(value, 1 / (WEIGHT_UNITS[unit] || 1)), 2);
+
+const toMeters = (value, unit) => convert(value, DISTANCE_UNITS[unit] || 1);
+const fromMeters = (value, unit) => round(convert(value, 1 / (DISTANCE_UNITS[unit] || 1)), 3);
+
+const toCentimeters = (value, unit) => convert(value, LENGTH_UNITS[unit] || 1);
+const fromCentimeters = (value, unit) => round(convert(value, 1 / (LENGTH_UNITS[unit] || 1)), 1);
+
+const toElevationMeters = (value, distanceUnit) => convert(value, ELEVATION_UNITS[elevationUnitFor(distanceUnit)]);
+const fromElevationMeters = (value, distanceUnit) =>
+  round(convert(value, 1 / ELEVATION_UNITS[elevationUnitFor(distanceUnit)]), 1);
+
+// Pace is stored per kilometer
+const paceForUnit = (paceSecondsPerKm, distanceUnit) =>
+  paceSecondsPerKm === null || paceSecondsPerKm === undefined
+    ? paceSecondsPerKm
+    : Math.round(paceSecondsPerKm * DISTANCE_UNITS[distanceUnit] / 1000);
+
+// Cardio summaries and records (see utils/cardio.js) -> viewer's units.
+// Pace per km becomes `paceSeconds` per viewer distance unit, km/h becomes `speed`.
+const cardioForViewer = (summary, preferences) => {
+  if (!summary) return summary;
+
+  const { distanceUnit } = preferences;
+  const { paceSecondsPerKm, speedKmh, ...rest } = summary;
+  const result = { ...rest };
+
+  ['distance', 'actualDistance'].forEach(key => {
+    if (typeof summary[key] === 'number') result[key] = fromMeters(summary[key], distanceUnit);
+  });
+
+  if (summary.elevationGain !== undefined) {
+    result.elevationGain = fromElevationMeters(summary.elevationGain, distanceUnit);
+  }
+
+  if (paceSecondsPerKm !== undefined) {
+    result.paceSeconds = paceForUnit(paceSecondsPerKm, distanceUnit);
+    result.pace = formatDuration(result.paceSeconds);
+  }
+
+  if (speedKmh !== undefined) {
+    result.speed = speedKmh === null ? null : round(speedKmh * 1000 / DISTANCE_UNITS[distanceUnit], 2);
+  }
+
+  return result;
+};
+
+// Convert a set payload to canonical units. A set may override the
+// request's units with its own `weightUnit` / `distanceUnit`.
+const setToCanonical = (set, units) => {
+  const weightUnit = set.weightUnit || units.weightUnit;
+  const distanceUnit = set.distanceUnit || units.distanceUnit;
+  const { weightUnit: _weightUnit, distanceUnit: _distanceUnit, ...rest } = set;
+
+  return {
+    ...rest,
+    ...(set.weight !== undefined && { weight: toKilograms(set.weight, weightUnit) }),
+    ...(set.distance !== undefined && { distance: toMeters(set.distance, distanceUnit) }),
+    ...(set.elevationGain !== undefined && { elevationGain: toElevationMeters(set.elevationGain, distanceUnit) })
+  };
+};
+
+// Template weights are a number or an array of numbers per set; strings
+// such as "75%" (of 1RM) are relative and left untouched
+const templateWeightToCanonical = (weight, unit) => {
+  if (Array.isArray(weight)) return weight.map(value => templateWeightToCanonical(value, unit));
+  return typeof weight === 'number' ? toKilograms(weight, unit) : weight;
+};
+
+// Stored set -> viewer's units
+const setForViewer = (set, preferences) => ({
+  ...set,
+  weight: fromKilograms(set.weight, preferences.weightUnit),
+  ...(set.distance !== undefined && { distance: fromMeters(set.distance, preferences.distanceUnit) }),
+  ...(set.elevationGain !== undefined && { elevationGain: fromElevationMeters(set.elevationGain, preferences.distanceUnit) })
+});
+
+const workoutExerciseForViewer = (workoutExercise, preferences) => ({
+  ...workoutExercise,
+  ...(workoutExercise.sets && { sets: workoutExercise.sets.map(set => setForViewer(set, preferences)) })
+});
+
+const workoutForViewer = (workout, preferences) => ({
+  ...workout,
+  ...(workout.exercises && {
+    exercises: workout.exercises.map(workoutExercise => workoutExerciseForViewer(workoutExercise, preferences))
+  })
+});
+
+// Units block included in responses so clients know how to label values
+const unitsMeta = (preferences) => ({
+  ...preferences,
+  elevationUnit: elevationUnitFor(preferences.distanceUnit)
+});
+
+module.exports = {
+  WEIGHT_UNITS,
+  DISTANCE_UNITS,
+  LENGTH_UNITS,
+  UNIT_PREFERENCES,
+  DEFAULT_UNITS,
+  elevationUnitFor,
+  getUnitPreferences,
+  validateUnitPreferences,
+  resolveInputUnits,
+  toKilograms,
+  fromKilograms,
+  toMeters,
+  fromMeters,
+  toCentimeters,
+  fromCentimeters,
+  toElevationMeters,
+  fromElevationMeters,
+  paceForUnit,
+  setToCanonical,
+  templateWeightToCanonical,
+  setForViewer,
+  workoutExerciseForViewer,
+  workoutForViewer,
+  cardioForViewer,
+  unitsMeta
+};
@@ -0,0 +1,99 @@
+// Repeating a previous workout: the new workout copies the source's exercises,
+// groups and sets as prescribed (not yet completed) sets, optionally bumped by
+// a progression increment.
+
+const { isWorkingSet } = require('./workoutSets');
+const { toKilograms } = require('./units');
+
+// Fields copied from each source set; rpe, rir and heart rate describe how the
+// set felt last time and are left for the lifter to fill in again
+const CLONED_SET_FIELDS = ['setType', 'reps', 'weight', 'distance', 'durationSeconds', 'notes'];
+
+const isEmpty = (value) => value === undefined || value === null;
+const isIncrement = (value) => isEmpty(value) || !isNaN(Number(value));
+const isWholeIncrement = (value) => isEmpty(value) || Number.isInteger(Number(value));
+
+const validateIncrement = (increment, label) => {
+  if (!increment || typeof increment !== 'object') {
+    return `${label} must be an object`;
+  }
+  if (!isIncrement(increment.weight)) {
+    return `${label} weight must be a number`;
+  }
+  if (!isWholeIncrement(increment.reps)) {
+    return `${label} reps must be a whole number`;
+  }
+  return null;
+};
+
+// Validate a progression payload, returns an error message or null.
+// { weight, reps } apply to every exercise; `exercises` overrides them per exerciseId:
+// { weight: 2.5, reps: 0, exercises: { <exerciseId>: { weight: 5 } } }
+const validateProgression = (progression) => {
+  if (progression === undefined || progression === null) return null;
+
+  const error = validateIncrement(progression, 'Progression');
+  if (error) return error;
+
+  if (progression.exercises !== undefined) {
+    if (!progression.exercises || typeof progression.exercises !== 'object' || Array.isArray(progression.exercises)) {
+      return 'Progression exercises must map exercise ids to increments';
+    }
+
+    for (const [exerciseId, increment] of Object.entries(progression.exercises)) {
+      const exerciseError = validateIncrement(increment, `Progression for exercise ${exerciseId}`);
+      if (exerciseError) return exerciseError;
+    }
+  }
+
+  return null;
+};
+
+// Increment for one exercise, weight converted to kg
+const progressionFor = (progression, exerciseId, weightUnit) => {
+  if (!progression) return { weight: 0, reps: 0 };
+
+  const override = (progression.exercises && progression.exercises[exerciseId]) || {};
+  const weight = override.weight !== undefined ? override.weight : progression.weight;
+  const reps = override.reps !== undefined ? override.reps : progression.reps;
+
+  return {
+    weight: weight ? toKilograms(Number(weight), weightUnit) : 0,
+    reps: reps ? Number(reps) : 0
+  };
+};
+
+// Prescribed sets for the new workout from the sets done last time.
+// Sets skipped last time are dropped unless none were completed. Progression
+// only touches working sets; for assisted exercises progress means less assistance.
+const cloneSets = (sets, exercise, increment) => {
+  const completed = sets.filter(set => set.completed !== false);
+  const source = completed.length > 0 ? completed : sets;
+
+  return source.map(set => {
+    const clone = Object.fromEntries(CLONED_SET_FIELDS.map(field => [field, set[field]]));
+
+    if (isWorkingSet(set)) {
+      if (increment.weight && clone.weight !== null && clone.weight !== undefined) {
+        clone.weight = exercise.loadType === 'assisted'
+          ? Math.max(0, clone.weight - increment.weight)
+          : clone.weight + increment.weight;
+      } else if (increment.weight && exercise.loadType === 'weighted_bodyweight') {
+        // First added load on a bodyweight movement
+        clone.weight = increment.weight;
+      }
+
+      if (increment.reps && clone.reps !== null && clone.reps !== undefined) {
+        clone.reps = Math.max(1, clone.reps + increment.reps);
+      }
+    }
+
+    return { ...clone, completed: false };
+  });
+};
+
+module.exports = {
+  validateProgression,
+  progressionFor,
+  cloneSets
+};
@@ -0,0 +1,189 @@
+// Serializers for workout history exports (CSV, JSON, iCalendar)
+
+const { formatRow } = require('./csv');
+const { isCardioSet, formatDuration } = require('./cardio');
+
+const EXPORT_FORMATS = ['csv', 'json', 'ics'];
+
+// Identifies our JSON export so it can be imported on another instance
+const JSON_EXPORT_FORMAT = 'jojo-workouts';
+const JSON_EXPORT_VERSION = 1;
+
+// Exports always use the canonical storage units
+const EXPORT_UNITS = { weight: 'kg', distance: 'm', elevation: 'm' };
+
+const CSV_COLUMNS = [
+  'workout_id',
+  'workout_name',
+  'date',
+  'duration_minutes',
+  'status',
+  'workout_notes',
+  'exercise_name',
+  'exercise_order',
+  'exercise_notes',
+  'set_order',
+  'set_type',
+  'weight_kg',
+  'reps',
+  'rpe',
+  'rir',
+  'distance_m',
+  'duration_seconds',
+  'elevation_gain_m',
+  'avg_heart_rate',
+  'max_heart_rate',
+  'completed',
+  'set_notes'
+];
+
+const csvHeader = () => formatRow(CSV_COLUMNS);
+
+// One CSV row per set; exercises without sets still get a row
+const workoutToCsv = (workout) => workout.exercises.map((workoutExercise, exerciseIndex) => {
+  const base = [
+    workout.id,
+    workout.name,
+    workout.date,
+    workout.duration,
+    workout.status,
+    workout.notes,
+    workoutExercise.exercise.name,
+    exerciseIndex + 1,
+    workoutExercise.notes
+  ];
+
+  if (workoutExercise.sets.length === 0) {
+    return formatRow(base.concat(Array(CSV_COLUMNS.length - base.length).fill(null)));
+  }
+
+  return workoutExercise.sets.map(set => formatRow(base.concat([
+    set.order,
+    set.setType,
+    set.weight,
+    set.reps,
+    set.rpe,
+    set.rir,
+    set.distance,
+    set.durationSeconds,
+    set.elevationGain,
+    set.avgHeartRate,
+    set.maxHeartRate,
+    set.completed,
+    set.notes
+  ]))).join('');
+}).join('');
+
+// Portable representation: exercises are referenced by name, not by id
+const workoutToJson = (workout) => ({
+  name: workout.name,
+  date: workout.date,
+  duration: workout.duration,
+  notes: workout.notes,
+  status: workout.status,
+  exercises: workout.exercises.map(workoutExercise => ({
+    exercise: workoutExercise.exercise.name,
+    restTime: workoutExercise.restTime,
+    notes: workoutExercise.notes,
+    group: workoutExercise.group ? {
+      key: workoutExercise.group.id,
+      type: workoutExercise.group.type,
+      rounds: workoutExercise.group.rounds,
+      restTime: workoutExercise.group.restTime,
+      notes: workoutExercise.group.notes
+    } : null,
+    sets: workoutExercise.sets.map(set => ({
+      setType: set.setType,
+      reps: set.reps,
+      weight: set.weight,
+      rpe: set.rpe,
+      rir: set.rir,
+      distance: set.distance,
+      durationSeconds: set.durationSeconds,
+      elevationGain: set.elevationGain,
+      avgHeartRate: set.avgHeartRate,
+      maxHeartRate: set.maxHeartRate,
+      completed: set.completed,
+      notes: set.notes
+    }))
+  }))
+});
+
+const jsonHeader = (user) => `{"format":"${JSON_EXPORT_FORMAT}","version":${JSON_EXPORT_VERSION},` +
+  `"exportedAt":${JSON.stringify(new Date())},"user":${JSON.stringify(user.username)},` +
+  `"units":${JSON.stringify(EXPORT_UNITS)},"workouts":[`;
+
+const jsonFooter = () => ']}';
+
+// iCalendar text escaping (RFC 5545 section 3.3.11)
+const escapeIcsText = (text) => String(text || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 characters
+const foldIcsLine = (line) => {
+  const parts = [];
+  for (let i = 0; i < line.length; i += 74) {
+    parts.push((i === 0 ? '' : ' ') + line.slice(i, i + 74));
+  }
+  return parts.join('\r\n') + '\r\n';
+};
+
+const formatIcsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const icsHeader = () => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//JoJo Fitness Tracker//Workout History//EN',
+  'CALSCALE:GREGORIAN',
+  'X-WR-CALNAME:Workouts'
+].map(foldIcsLine).join('');
+
+const icsFooter = () => foldIcsLine('END:VCALENDAR');
+
+// One VEVENT per session; sessions without a duration default to an hour
+const workoutToIcs = (workout) => {
+  const start = new Date(workout.startedAt || workout.date);
+  const end = workout.finishedAt && workout.startedAt
+    ? new Date(workout.finishedAt)
+    : new Date(start.getTime() + (workout.duration || 60) * 60 * 1000);
+
+  const description = workout.exercises.map(workoutExercise => {
+    const sets = workoutExercise.sets
+      .filter(set => set.setType !== 'warmup')
+      .map(set => isCardioSet(set)
+        ? [set.distance && `${Math.round(set.distance) / 1000}km`, formatDuration(set.durationSeconds)].filter(Boolean).join(' in ')
+        : `${set.weight || 0}kg x ${set.reps || 0}`)
+      .join(', ');
+    return `${workoutExercise.exercise.name}${sets ? `: ${sets}` : ''}`;
+  }).concat(workout.notes ? ['', workout.notes] : []).join('\n');
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${workout.id}@jojo-fitness-tracker`,
+    `DTSTAMP:${formatIcsDate(new Date())}`,
+    `DTSTART:${formatIcsDate(start)}`,
+    `DTEND:${formatIcsDate(end)}`,
+    `SUMMARY:${escapeIcsText(workout.name)}`,
+    `DESCRIPTION:${escapeIcsText(description)}`,
+    'CATEGORIES:Workout',
+    'END:VEVENT'
+  ].map(foldIcsLine).join('');
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  JSON_EXPORT_FORMAT,
+  JSON_EXPORT_VERSION,
+  EXPORT_UNITS,
+  csvHeader,
+  workoutToCsv,
+  workoutToJson,
+  jsonHeader,
+  jsonFooter,
+  icsHeader,
+  icsFooter,
+  workoutToIcs
+};
@@ -0,0 +1,300 @@
+// Parsers for workout history exports from other apps (Strong, Hevy, FitNotes)
+// and for our own JSON export, so history can move between instances.
+// Every parser returns the same normalized shape:
+// [{ name, date, duration, notes, exercises: [{ name, notes, sets: [{ setType, reps, weight, rpe, distance, durationSeconds, notes }] }] }]
+// Sets carry `weightUnit` / `distanceUnit` when the export says which unit it uses;
+// otherwise the importer's units apply (see utils/units.js)
+
+const csv = require('./csv');
+const { JSON_EXPORT_FORMAT } = require('./workoutExport');
+
+const IMPORT_SOURCES = ['strong', 'hevy', 'fitnotes', 'json'];
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(String(value).replace(',', '.'));
+  return isNaN(number) ? null : number;
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Strong durations look like "1h 5m", "45m" or "50s"
+const parseStrongDuration = (value) => {
+  if (!value) return null;
+  const hours = parseInt((value.match(/(\d+)\s*h/) || [])[1] || 0);
+  const minutes = parseInt((value.match(/(\d+)\s*m/) || [])[1] || 0);
+  const total = hours * 60 + minutes;
+  return total > 0 ? total : null;
+};
+
+// FitNotes cardio times look like "00:25:30"
+const parseClockDuration = (value) => {
+  if (!value || !String(value).includes(':')) return toNumber(value);
+  return String(value).split(':').reduce((total, part) => total * 60 + (parseInt(part) || 0), 0) || null;
+};
+
+const METERS_PER_UNIT = { m: 1, km: 1000, mi: 1609.344, mile: 1609.344, miles: 1609.344, ft: 0.3048, yd: 0.9144 };
+
+const toMeters = (value, unit = 'km') => {
+  const number = toNumber(value);
+  if (number === null) return null;
+  return Math.round(number * (METERS_PER_UNIT[String(unit).trim().toLowerCase()] || 1000) * 10) / 10;
+};
+
+const STRONG_SET_TYPES = { W: 'warmup', D: 'drop', F: 'failure' };
+const HEVY_SET_TYPES = { warmup: 'warmup', dropset: 'drop', failure: 'failure', normal: 'working' };
+
+// Detect the exporting app from the CSV header
+const detectSource = (columns) => {
+  if (columns.includes('Workout Name') && columns.includes('Exercise Name')) return 'strong';
+  if (columns.includes('exercise_title') && columns.includes('start_time')) return 'hevy';
+  if (columns.includes('Exercise') && columns.includes('Category')) return 'fitnotes';
+  return null;
+};
+
+// Group flat set rows into workouts -> exercises -> sets, preserving order
+const groupRows = (rows) => {
+  const workouts = new Map();
+
+  for (const row of rows) {
+    if (!row.date || !row.exerciseName) continue;
+
+    if (!workouts.has(row.workoutKey)) {
+      workouts.set(row.workoutKey, {
+        name: row.workoutName,
+        date: row.date,
+        duration: row.duration,
+        notes: row.workoutNotes || null,
+        exercises: []
+      });
+    }
+
+    const workout = workouts.get(row.workoutKey);
+    let exercise = workout.exercises[workout.exercises.length - 1];
+
+    // A new exercise block starts whenever the exercise name changes
+    if (!exercise || exercise.name !== row.exerciseName) {
+      exercise = { name: row.exerciseName, notes: row.exerciseNotes || null, sets: [] };
+      workout.exercises.push(exercise);
+    }
+
+    if (row.set) {
+      exercise.sets.push(row.set);
+    }
+  }
+
+  return [...workouts.values()];
+};
+
+const parseStrong = (records) => groupRows(records.map(record => {
+  const date = parseDate(record['Date']);
+  const setOrder = (record['Set Order'] || '').trim().toUpperCase();
+  const reps = toNumber(record['Reps']);
+  const weight = toNumber(record['Weight']);
+  // Strong exports weight and distance in the user's units without saying which.
+  // Strength rows carry a 0 distance and 0 seconds, which would make them cardio sets
+  const distance = toNumber(record['Distance']) || null;
+  const durationSeconds = toNumber(record['Seconds']) || null;
+  const hasSet = reps !== null || weight !== null || distance !== null || durationSeconds !== null;
+
+  return {
+    workoutKey: `${record['Date']}|${record['Workout Name']}`,
+    workoutName: record['Workout Name'] || 'Imported workout',
+    workoutNotes: record['Workout Notes'],
+    date,
+    duration: parseStrongDuration(record['Duration']),
+    exerciseName: record['Exercise Name'],
+    exerciseNotes: record['Notes'],
+    set: hasSet ? {
+      setType: STRONG_SET_TYPES[setOrder] || 'working',
+      reps,
+      weight,
+      rpe: toNumber(record['RPE']),
+      distance,
+      durationSeconds
+    } : null
+  };
+}));
+
+const parseHevy = (records) => groupRows(records.map(record => {
+  const date = parseDate(record['start_time']);
+  const endTime = parseDate(record['end_time']);
+  const reps = toNumber(record['reps']);
+  const weightUnit = record['weight_kg'] !== undefined ? 'kg' : 'lb';
+  const weight = toNumber(weightUnit === 'kg' ? record['weight_kg'] : record['weight_lbs']);
+  const distance = record['distance_km'] !== undefined
+    ? toMeters(record['distance_km'], 'km')
+    : toMeters(record['distance_miles'], 'mi');
+  const durationSeconds = toNumber(record['duration_seconds']);
+  const hasSet = reps !== null || weight !== null || distance !== null || durationSeconds !== null;
+
+  return {
+    workoutKey: `${record['start_time']}|${record['title']}`,
+    workoutName: record['title'] || 'Imported workout',
+    workoutNotes: record['description'],
+    date,
+    duration: date && endTime ? Math.round((endTime - date) / 60000) || null : null,
+    exerciseName: record['exercise_title'],
+    exerciseNotes: record['exercise_notes'],
+    set: hasSet ? {
+      setType: HEVY_SET_TYPES[record['set_type']] || 'working',
+      reps,
+      weight,
+      rpe: toNumber(record['rpe']),
+      distance,
+      durationSeconds,
+      weightUnit,
+      distanceUnit: 'm'
+    } : null
+  };
+}));
+
+// FitNotes has no workout names, so one workout per day is named after its categories
+const parseFitNotes = (records) => {
+  const categoriesByDate = {};
+  records.forEach(record => {
+    categoriesByDate[record['Date']] = categoriesByDate[record['Date']] || new Set();
+    if (record['Category']) categoriesByDate[record['Date']].add(record['Category']);
+  });
+
+  const weightColumn = ['Weight (kgs)', 'Weight (lbs)', 'Weight'].find(column =>
+    records.length > 0 && records[0][column] !== undefined
+  );
+  const weightUnit = { 'Weight (kgs)': 'kg', 'Weight (lbs)': 'lb' }[weightColumn];
+
+  return groupRows(records.map(record => {
+    const reps = toNumber(record['Reps']);
+    const weight = weightColumn ? toNumber(record[weightColumn]) : null;
+    const distance = toMeters(record['Distance'], record['Distance Unit'] || 'km');
+    const durationSeconds = parseClockDuration(record['Time']);
+    const categories = [...(categoriesByDate[record['Date']] || [])];
+
+    return {
+      workoutKey: record['Date'],
+      workoutName: categories.length > 0 ? categories.join(' & ') : 'Imported workout',
+      date: parseDate(record['Date']),
+      duration: null,
+      exerciseName: record['Exercise'],
+      set: reps !== null || weight !== null || distance !== null || durationSeconds !== null ? {
+        setType: 'working',
+        reps,
+        weight,
+        distance,
+        durationSeconds,
+        ...(weightUnit && { weightUnit }),
+        distanceUnit: 'm',
+        notes: record['Comment'] || null
+      } : null
+    };
+  }));
+};
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Shape of the workouts in a JSON export, returns an error message or null
+const validateJsonWorkouts = (workouts) => {
+  for (const [index, workout] of workouts.entries()) {
+    if (!isObject(workout)) {
+      return `Workout ${index + 1} must be an object`;
+    }
+
+    if (workout.exercises !== undefined && !Array.isArray(workout.exercises)) {
+      return `Workout ${index + 1}: exercises must be an array`;
+    }
+
+    if ((workout.exercises || []).some(exercise => !isObject(exercise))) {
+      return `Workout ${index + 1}: every exercise must be an object`;
+    }
+  }
+
+  return null;
+};
+
+// Our own JSON export (see utils/workoutExport.js), checked by validateJsonWorkouts
+const parseJsonExport = (data) => {
+  return data.workouts.map(workout => {
+    const exercises = workout.exercises || [];
+    const groups = {};
+    exercises.forEach(exercise => {
+      if (exercise.group && exercise.group.key) groups[exercise.group.key] = exercise.group;
+    });
+
+    return {
+      name: workout.name || 'Imported workout',
+      date: parseDate(workout.date),
+      duration: toNumber(workout.duration),
+      notes: workout.notes || null,
+      groups: Object.values(groups),
+      exercises: exercises.map(exercise => ({
+        name: exercise.exercise,
+        restTime: toNumber(exercise.restTime),
+        notes: exercise.notes || null,
+        groupKey: exercise.group ? exercise.group.key : null,
+        // Our exports are always in kg and meters
+        sets: Array.isArray(exercise.sets)
+          ? exercise.sets.map(set => ({ ...set, weightUnit: 'kg', distanceUnit: 'm' }))
+          : []
+      }))
+    };
+  });
+};
+
+const PARSERS = {
+  strong: parseStrong,
+  hevy: parseHevy,
+  fitnotes: parseFitNotes
+};
+
+// Parse an export into normalized workouts, returns { source, workouts } or { error }
+const parseWorkoutExport = (text, source) => {
+  if (source === 'json' || (!source && text.trim().startsWith('{'))) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (parseError) {
+      return { error: 'Invalid JSON export file' };
+    }
+
+    if (!data || data.format !== JSON_EXPORT_FORMAT || !Array.isArray(data.workouts)) {
+      return { error: `JSON imports must be a ${JSON_EXPORT_FORMAT} export` };
+    }
+
+    const shapeError = validateJsonWorkouts(data.workouts);
+    if (shapeError) {
+      return { error: `Invalid JSON export file: ${shapeError}` };
+    }
+
+    const workouts = parseJsonExport(data);
+
+    return { source: 'json', workouts: workouts.filter(workout => workout.date) };
+  }
+
+  const { columns, records } = csv.parse(text);
+  const detectedSource = source || detectSource(columns);
+
+  if (!detectedSource) {
+    return { error: 'Unrecognized CSV format, expected a Strong, Hevy or FitNotes export' };
+  }
+
+  if (!PARSERS[detectedSource]) {
+    return { error: `Source must be one of: ${IMPORT_SOURCES.join(', ')}` };
+  }
+
+  const workouts = PARSERS[detectedSource](records).filter(workout => workout.date);
+
+  return { source: detectedSource, workouts };
+};
+
+// Key used to detect workouts that were already logged or imported
+const workoutDuplicateKey = (workout) =>
+  `${new Date(workout.date).toISOString().split('T')[0]}|${(workout.name || '').trim().toLowerCase()}`;
+
+module.exports = {
+  IMPORT_SOURCES,
+  detectSource,
+  parseWorkoutExport,
+  workoutDuplicateKey
+};
@@ -0,0 +1,149 @@
+// Workout history search for GET /api/workouts: filters, sorting and cursor
+// pagination. The cursor is the id of the last workout on the previous page,
+// so deep pages cost the same as the first one.
+
+const { SESSION_STATUSES, countedWorkoutWhere } = require('./workoutSession');
+const { addDays } = require('./trainingCalendar');
+const { listParam } = require('./queryParams');
+const { isValidDate } = require('./common');
+
+const WORKOUT_SORTS = ['date', 'duration', 'name', 'createdAt'];
+const SORT_ORDERS = ['asc', 'desc'];
+
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 100;
+
+const isWholeNumber = (value) => /^\d+$/.test(String(value));
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value));
+
+// Validate search query parameters, returns an error message or null
+const validateWorkoutSearch = (query) => {
+  const { status, from, to, minDuration, maxDuration, sort, order, limit, page } = query;
+
+  if (status && !SESSION_STATUSES.includes(status)) {
+    return `Status must be one of: ${SESSION_STATUSES.join(', ')}`;
+  }
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    return 'from and to must be valid dates';
+  }
+
+  if (from && to && new Date(to) < new Date(from)) {
+    return 'to must be after from';
+  }
+
+  for (const [field, value] of [['minDuration', minDuration], ['maxDuration', maxDuration]]) {
+    if (value !== undefined && value !== '' && !isWholeNumber(value)) {
+      return `${field} must be a whole number of minutes`;
+    }
+  }
+
+  if (minDuration && maxDuration && Number(maxDuration) < Number(minDuration)) {
+    return 'maxDuration must be at least minDuration';
+  }
+
+  if (sort && !WORKOUT_SORTS.includes(sort)) {
+    return `Sort must be one of: ${WORKOUT_SORTS.join(', ')}`;
+  }
+
+  if (order && !SORT_ORDERS.includes(order)) {
+    return `Order must be one of: ${SORT_ORDERS.join(', ')}`;
+  }
+
+  if (limit !== undefined && (!isWholeNumber(limit) || Number(limit) < 1 || Number(limit) > MAX_PAGE_SIZE)) {
+    return `limit must be between 1 and ${MAX_PAGE_SIZE}`;
+  }
+
+  if (page !== undefined && (!isWholeNumber(page) || Number(page) < 1)) {
+    return 'page must be a positive whole number';
+  }
+
+  return null;
+};
+
+// Ids of the exercises that train any of the muscle groups (case-insensitive)
+const exercisesInMuscleGroups = (exercises, muscleGroups) => {
+  const wanted = muscleGroups.map(group => group.toLowerCase());
+  return exercises
+    .filter(exercise => Array.isArray(exercise.muscleGroups) &&
+      exercise.muscleGroups.some(group => wanted.includes(String(group).toLowerCase())))
+    .map(exercise => exercise.id);
+};
+
+// Prisma where clause for a validated search. `muscleGroupExerciseIds` are the
+// exercises matching the muscleGroup filter, resolved by the caller.
+// Planned and skipped workouts are only included when asked for with `status`.
+const buildWorkoutSearchWhere = (userId, query, muscleGroupExerciseIds = null) => {
+  const { status, from, to, templateId, minDuration, maxDuration, q } = query;
+  const exerciseIds = listParam(query.exerciseId);
+  const templateIds = listParam(templateId);
+  const text = q ? String(q).trim() : '';
+
+  const exerciseFilters = [exerciseIds, muscleGroupExerciseIds]
+    .filter(Boolean)
+    .map(ids => ({ exercises: { some: { exerciseId: { in: ids } } } }));
+
+  return {
+    userId,
+    ...(status ? { status, deletedAt: null } : countedWorkoutWhere),
+    ...((from || to) && {
+      date: {
+        ...(from && { gte: new Date(from) }),
+        // A date-only `to` includes that whole day
+        ...(to && (isDateOnly(to) ? { lt: addDays(new Date(to), 1) } : { lte: new Date(to) }))
+      }
+    }),
+    ...(templateIds && { templateId: { in: templateIds } }),
+    ...((minDuration || maxDuration) && {
+      duration: {
+        ...(minDuration && { gte: Number(minDuration) }),
+        ...(maxDuration && { lte: Number(maxDuration) })
+      }
+    }),
+    ...(text && {
+      OR: [
+        { name: { contains: text } },
+        { notes: { contains: text } }
+      ]
+    }),
+    ...(exerciseFilters.length > 0 && { AND: exerciseFilters })
+  };
+};
+
+// Sort with the id as tie-breaker so the cursor position is stable.
+// Workouts without a duration sort last either way.
+const buildWorkoutOrderBy = (sort = 'date', order = 'desc') => [
+  { [sort]: sort === 'duration' ? { sort: order, nulls: 'last' } : order },
+  { id: order }
+];
+
+// Where clause for the workouts after `cursorWorkout` in a duration sort.
+// Prisma's id cursor can't step past NULL durations, so the (duration, id)
+// keyset is spelled out, with the workouts without a duration last.
+const durationCursorWhere = (cursorWorkout, order = 'desc') => {
+  const after = order === 'desc' ? 'lt' : 'gt';
+
+  if (cursorWorkout.duration === null) {
+    return { duration: null, id: { [after]: cursorWorkout.id } };
+  }
+
+  return {
+    OR: [
+      { duration: { [after]: cursorWorkout.duration } },
+      { duration: cursorWorkout.duration, id: { [after]: cursorWorkout.id } },
+      { duration: null }
+    ]
+  };
+};
+
+module.exports = {
+  WORKOUT_SORTS,
+  SORT_ORDERS,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  validateWorkoutSearch,
+  exercisesInMuscleGroups,
+  buildWorkoutSearchWhere,
+  buildWorkoutOrderBy,
+  durationCursorWhere
+};
@@ -0,0 +1,188 @@
+// Workout session lifecycle: start, pause, resume, finish, abandon, skip and reopen.
+// Each transition is a pure function returning either { error } or { data } to
+// write onto the Workout row, so the routes and the auto-finish job share the rules.
+
+const SESSION_STATUSES = ['planned', 'in_progress', 'paused', 'completed', 'abandoned', 'skipped'];
+
+// Sets and exercises can only be edited while the session is open or still planned
+const EDITABLE_STATUSES = ['planned', 'in_progress', 'paused'];
+
+// Planned and skipped workouts were never trained and trashed ones are
+// deleted: history, stats and leaderboards leave them out with this filter
+const UNPERFORMED_STATUSES = ['planned', 'skipped'];
+const countedWorkoutWhere = { status: { notIn: UNPERFORMED_STATUSES }, deletedAt: null };
+
+const isWorkoutEditable = (workout) => EDITABLE_STATUSES.includes(workout.status);
+
+const secondsBetween = (from, to) => Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+
+// Seconds actually spent training, excluding paused time
+const getActiveSeconds = (workout, now = new Date()) => {
+  if (!workout.startedAt) return 0;
+
+  const end = workout.finishedAt || workout.pausedAt || now;
+  return Math.max(0, secondsBetween(workout.startedAt, end) - (workout.pausedSeconds || 0));
+};
+
+const startSession = (workout, now) => {
+  if (!isWorkoutEditable(workout)) {
+    return { error: 'Workout is already finished' };
+  }
+  if (workout.startedAt) {
+    return { error: 'Workout session has already started' };
+  }
+
+  // A planned workout moves to the day it is actually done
+  return {
+    data: {
+      status: 'in_progress',
+      startedAt: now,
+      ...(workout.status === 'planned' && { date: now })
+    }
+  };
+};
+
+const pauseSession = (workout, now) => {
+  if (workout.status !== 'in_progress' || !workout.startedAt) {
+    return { error: 'Only a running session can be paused' };
+  }
+
+  return {
+    data: {
+      status: 'paused',
+      pausedAt: now
+    }
+  };
+};
+
+const resumeSession = (workout, now) => {
+  if (workout.status !== 'paused') {
+    return { error: 'Only a paused session can be resumed' };
+  }
+
+  return {
+    data: {
+      status: 'in_progress',
+      pausedAt: null,
+      pausedSeconds: (workout.pausedSeconds || 0) + secondsBetween(workout.pausedAt, now)
+    }
+  };
+};
+
+// Validate the duration (minutes) sent when finishing, returns an error message or null
+const validateFinishDuration = (duration) => {
+  if (duration === undefined || duration === null || duration === '') return null;
+  return isNaN(Number(duration)) || Number(duration) < 0
+    ? 'Duration must be a non-negative number of minutes'
+    : null;
+};
+
+// A validated finish duration as whole minutes, null when not given
+const parseFinishDuration = (duration) =>
+  (duration === undefined || duration === null || duration === '' ? null : Math.round(Number(duration)));
+
+// `fallbackDuration` (minutes) is used for workouts logged without a running clock
+const finishSession = (workout, now, { fallbackDuration = null, autoFinished = false } = {}) => {
+  if (!isWorkoutEditable(workout)) {
+    return { error: 'Workout is already finished' };
+  }
+
+  const pausedSeconds = workout.status === 'paused' && workout.pausedAt
+    ? (workout.pausedSeconds || 0) + secondsBetween(workout.pausedAt, now)
+    : (workout.pausedSeconds || 0);
+
+  const duration = workout.startedAt
+    ? Math.round(getActiveSeconds({ ...workout, pausedSeconds, pausedAt: null, finishedAt: now }) / 60)
+    : fallbackDuration;
+
+  return {
+    data: {
+      status: 'completed',
+      pausedAt: null,
+      pausedSeconds,
+      finishedAt: now,
+      duration,
+      autoFinished
+    }
+  };
+};
+
+const abandonSession = (workout, now) => {
+  if (!isWorkoutEditable(workout)) {
+    return { error: 'Workout is already finished' };
+  }
+  if (workout.status === 'planned') {
+    return { error: 'A planned workout is skipped, not abandoned' };
+  }
+
+  return {
+    data: {
+      status: 'abandoned',
+      pausedAt: null,
+      finishedAt: now
+    }
+  };
+};
+
+const skipSession = (workout) => {
+  if (workout.status !== 'planned') {
+    return { error: 'Only a planned workout can be skipped' };
+  }
+
+  return {
+    data: {
+      status: 'skipped'
+    }
+  };
+};
+
+// Reopening puts a timed session back in the paused state; the time between
+// finishing and resuming is then counted as paused rather than active.
+// A skipped workout goes back to planned.
+const reopenSession = (workout) => {
+  if (isWorkoutEditable(workout)) {
+    return { error: 'Workout is not finished' };
+  }
+
+  if (workout.status === 'skipped') {
+    return { data: { status: 'planned' } };
+  }
+
+  return {
+    data: {
+      status: workout.startedAt ? 'paused' : 'in_progress',
+      pausedAt: workout.startedAt ? workout.finishedAt : null,
+      finishedAt: null,
+      autoFinished: false
+    }
+  };
+};
+
+const SESSION_TRANSITIONS = {
+  start: startSession,
+  pause: pauseSession,
+  resume: resumeSession,
+  finish: finishSession,
+  abandon: abandonSession,
+  skip: skipSession,
+  reopen: reopenSession
+};
+
+module.exports = {
+  SESSION_STATUSES,
+  EDITABLE_STATUSES,
+  UNPERFORMED_STATUSES,
+  countedWorkoutWhere,
+  SESSION_TRANSITIONS,
+  isWorkoutEditable,
+  getActiveSeconds,
+  validateFinishDuration,
+  parseFinishDuration,
+  startSession,
+  pauseSession,
+  resumeSession,
+  finishSession,
+  abandonSession,
+  skipSession,
+  reopenSession
+};
@@ -0,0 +1,217 @@
+// Helpers for per-set workout logging (WorkoutSet rows)
+
+const { effectiveLoad } = require('./bodyweight');
+const { estimateOneRepMax } = require('./oneRepMax');
+
+// 'recovery' and 'cooldown' are used for the easy segments of cardio intervals
+const SET_TYPES = ['warmup', 'working', 'drop', 'failure', 'recovery', 'cooldown'];
+
+// Prisma include used whenever a workout exercise is returned to the client
+const workoutExerciseInclude = {
+  exercise: true,
+  sets: {
+    orderBy: {
+      order: 'asc'
+    }
+  }
+};
+
+// Prisma include for a full workout: exercises with their sets, plus exercise groups
+const workoutInclude = {
+  exercises: {
+    include: workoutExerciseInclude
+  },
+  groups: true
+};
+
+const isNumberOrEmpty = (value) => value === undefined || value === null || !isNaN(Number(value));
+
+const isEmpty = (value) => value === undefined || value === null;
+
+// Optional numeric field within [min, max]
+const isOptionalInRange = (value, min, max = Infinity) =>
+  isEmpty(value) || (!isNaN(Number(value)) && Number(value) >= min && Number(value) <= max);
+
+// Validate a single set payload, returns an error message or null
+const validateSetInput = (set) => {
+  if (!set || typeof set !== 'object') {
+    return 'Each set must be an object';
+  }
+
+  if (set.setType !== undefined && !SET_TYPES.includes(set.setType)) {
+    return `Set type must be one of: ${SET_TYPES.join(', ')}`;
+  }
+
+  if (!isNumberOrEmpty(set.reps) || (set.reps !== undefined && set.reps !== null && Number(set.reps) < 0)) {
+    return 'Reps must be a non-negative number';
+  }
+
+  if (!isNumberOrEmpty(set.weight)) {
+    return 'Weight must be a number';
+  }
+
+  if (!isNumberOrEmpty(set.rpe) || (set.rpe !== undefined && set.rpe !== null && (Number(set.rpe) < 1 || Number(set.rpe) > 10))) {
+    return 'RPE must be between 1 and 10';
+  }
+
+  if (!isNumberOrEmpty(set.rir) || (set.rir !== undefined && set.rir !== null && Number(set.rir) < 0)) {
+    return 'RIR must be a non-negative number';
+  }
+
+  // Cardio fields
+  if (!isOptionalInRange(set.distance, 0)) {
+    return 'Distance must be a non-negative number of meters';
+  }
+
+  if (!isOptionalInRange(set.durationSeconds, 0)) {
+    return 'Duration must be a non-negative number of seconds';
+  }
+
+  if (!isOptionalInRange(set.elevationGain, 0)) {
+    return 'Elevation gain must be a non-negative number of meters';
+  }
+
+  if (!isOptionalInRange(set.avgHeartRate, 20, 250) || !isOptionalInRange(set.maxHeartRate, 20, 250)) {
+    return 'Heart rate must be between 20 and 250 bpm';
+  }
+
+  return null;
+};
+
+// Validate a list of sets, returns the first error message or null
+const validateSetsInput = (sets) => {
+  if (!Array.isArray(sets)) {
+    return 'Sets must be an array';
+  }
+
+  for (const set of sets) {
+    const error = validateSetInput(set);
+    if (error) return error;
+  }
+
+  return null;
+};
+
+const toNullableInt = (value) => (value === undefined || value === null || value === '' ? null : Math.round(Number(value)));
+const toNullableFloat = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Map a validated set payload onto WorkoutSet columns
+const buildSetData = (set, order) => ({
+  order,
+  setType: set.setType || 'working',
+  reps: toNullableInt(set.reps),
+  weight: toNullableFloat(set.weight),
+  rpe: toNullableFloat(set.rpe),
+  rir: toNullableInt(set.rir),
+  distance: toNullableFloat(set.distance),
+  durationSeconds: toNullableInt(set.durationSeconds),
+  elevationGain: toNullableFloat(set.elevationGain),
+  avgHeartRate: toNullableInt(set.avgHeartRate),
+  maxHeartRate: toNullableInt(set.maxHeartRate),
+  completed: set.completed !== undefined ? Boolean(set.completed) : true,
+  notes: set.notes || null
+});
+
+// Only the fields present in the payload, for partial set updates
+const buildSetUpdateData = (set) => {
+  const data = {};
+
+  if (set.setType !== undefined) data.setType = set.setType;
+  if (set.reps !== undefined) data.reps = toNullableInt(set.reps);
+  if (set.weight !== undefined) {
+    data.weight = toNullableFloat(set.weight);
+    // A weight written in the user's units is canonical from now on
+    data.legacyUnits = false;
+  }
+  if (set.rpe !== undefined) data.rpe = toNullableFloat(set.rpe);
+  if (set.rir !== undefined) data.rir = toNullableInt(set.rir);
+  if (set.distance !== undefined) data.distance = toNullableFloat(set.distance);
+  if (set.durationSeconds !== undefined) data.durationSeconds = toNullableInt(set.durationSeconds);
+  if (set.elevationGain !== undefined) data.elevationGain = toNullableFloat(set.elevationGain);
+  if (set.avgHeartRate !== undefined) data.avgHeartRate = toNullableInt(set.avgHeartRate);
+  if (set.maxHeartRate !== undefined) data.maxHeartRate = toNullableInt(set.maxHeartRate);
+  if (set.completed !== undefined) data.completed = Boolean(set.completed);
+  if (set.notes !== undefined) data.notes = set.notes || null;
+
+  return data;
+};
+
+// A legacy weight entry as a number; numeric strings such as "60" count,
+// relative ones such as "75%" (of 1RM) don't
+const legacyWeight = (value) =>
+  (value === undefined || value === null || value === '' || isNaN(Number(value)) ? null : Number(value));
+
+// Convert the legacy { sets, reps: [], weight: [] } payload into set objects.
+// Without a set count there is one set, as before sets were logged one by one.
+const setsFromLegacyArrays = ({ sets, reps, weight }) => {
+  const repsArray = Array.isArray(reps) ? reps : (reps !== undefined && reps !== null ? [reps] : []);
+  const weightArray = Array.isArray(weight) ? weight : (weight !== undefined && weight !== null ? [weight] : []);
+  const count = Math.max(parseInt(sets) || 1, repsArray.length, weightArray.length);
+
+  return Array.from({ length: count }, (_, index) => ({
+    setType: 'working',
+    // Template reps can be ranges like "8-12", use the lower bound
+    reps: repsArray[index] !== undefined ? parseInt(repsArray[index]) || 0 : null,
+    weight: legacyWeight(weightArray[index])
+  }));
+};
+
+// Accept either the new `sets: [{...}]` payload or the legacy parallel arrays
+const extractSetsInput = (payload) => {
+  if (Array.isArray(payload.sets)) {
+    return payload.sets;
+  }
+  return setsFromLegacyArrays(payload);
+};
+
+// Warm-ups, easy cardio segments and sets that were never completed don't count towards progress
+const isWorkingSet = (set) =>
+  !['warmup', 'recovery', 'cooldown'].includes(set.setType) && set.completed !== false;
+
+// `load` describes bodyweight exercises (see utils/bodyweight.js); without it
+// the set's weight is the whole load
+const setVolume = (set, load) => effectiveLoad(set, load) * (set.reps || 0);
+
+// e1RM of one set from its effective load (see utils/oneRepMax.js)
+const setOneRepMax = (set, load, formula) =>
+  isWorkingSet(set) ? estimateOneRepMax(effectiveLoad(set, load), set.reps, formula) : 0;
+
+// The working set with the highest e1RM, or null when no set gives one
+const bestOneRepMaxSet = (sets = [], load, formula) => sets.reduce((best, set) => {
+  const estimate = setOneRepMax(set, load, formula);
+  return estimate > 0 && (!best || estimate > best.estimatedOneRepMax)
+    ? { set, estimatedOneRepMax: estimate }
+    : best;
+}, null);
+
+// Aggregate metrics over the working sets of one workout exercise.
+// maxWeight is the heaviest effective load, so it includes body weight where relevant.
+const summarizeSets = (sets = [], load, formula) => {
+  const workingSets = sets.filter(isWorkingSet);
+  const best = bestOneRepMaxSet(workingSets, load, formula);
+
+  return {
+    workingSets: workingSets.length,
+    maxWeight: workingSets.reduce((max, set) => Math.max(max, effectiveLoad(set, load)), 0),
+    maxReps: workingSets.reduce((max, set) => Math.max(max, set.reps || 0), 0),
+    totalVolume: workingSets.reduce((sum, set) => sum + setVolume(set, load), 0),
+    estimatedOneRepMax: best ? best.estimatedOneRepMax : 0
+  };
+};
+
+module.exports = {
+  SET_TYPES,
+  workoutExerciseInclude,
+  workoutInclude,
+  validateSetInput,
+  validateSetsInput,
+  buildSetData,
+  buildSetUpdateData,
+  setsFromLegacyArrays,
+  extractSetsInput,
+  isWorkingSet,
+  setVolume,
+  setOneRepMax,
+  bestOneRepMaxSet,
+  summarizeSets
+};
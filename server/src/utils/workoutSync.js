@@ -0,0 +1,145 @@
+// Offline sync. Clients queue operations while offline and replay them in
+// one batch; each carries a client-generated idempotency key so a replayed
+// batch never applies the same change twice. Operations can point at
+// records created earlier (in the same or a previous batch) through the
+// idempotency key of the operation that created them (`workoutRef`,
+// `workoutExerciseRef`, `setRef`) instead of a server id.
+
+const { SESSION_TRANSITIONS, validateFinishDuration } = require('./workoutSession');
+const { validateSetInput, validateSetsInput, extractSetsInput } = require('./workoutSets');
+const { validateSessionRatings } = require('./trainingLoad');
+const { isValidDate } = require('./common');
+
+const MAX_SYNC_OPERATIONS = parseInt(process.env.SYNC_MAX_OPERATIONS) || 500;
+
+// Workouts returned per sync response; `hasMore` asks the client to sync again
+const SYNC_DELTA_LIMIT = 100;
+
+// The record each operation type targets: [id field, ref field]
+const SYNC_TARGETS = {
+  workout: ['workoutId', 'workoutRef'],
+  workoutExercise: ['workoutExerciseId', 'workoutExerciseRef'],
+  set: ['setId', 'setRef']
+};
+
+const SYNC_OPERATION_TYPES = {
+  create_workout: null,
+  delete_workout: 'workout',
+  session: 'workout',
+  add_exercise: 'workout',
+  add_set: 'workoutExercise',
+  update_set: 'set',
+  delete_set: 'set'
+};
+
+// Session actions a client can replay; reopening is left to the online API
+const SYNC_SESSION_ACTIONS = Object.keys(SESSION_TRANSITIONS).filter(action => action !== 'reopen');
+
+const validateOperation = (operation) => {
+  if (!operation || typeof operation !== 'object') {
+    return 'must be an object';
+  }
+
+  if (typeof operation.idempotencyKey !== 'string' || !operation.idempotencyKey.trim() || operation.idempotencyKey.length > 200) {
+    return 'needs an idempotencyKey of at most 200 characters';
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(SYNC_OPERATION_TYPES, operation.type)) {
+    return `type must be one of: ${Object.keys(SYNC_OPERATION_TYPES).join(', ')}`;
+  }
+
+  if (operation.occurredAt !== undefined && !isValidDate(operation.occurredAt)) {
+    return 'occurredAt must be a valid date';
+  }
+
+  const target = SYNC_OPERATION_TYPES[operation.type];
+  if (target) {
+    const [idField, refField] = SYNC_TARGETS[target];
+    if (!operation[idField] && !operation[refField]) {
+      return `needs ${idField} or ${refField}`;
+    }
+  }
+
+  const data = operation.data || {};
+
+  switch (operation.type) {
+    case 'create_workout': {
+      if (!data.name) return 'needs a workout name';
+      if (data.date !== undefined && !isValidDate(data.date)) return 'date must be a valid date';
+      const ratingsError = validateSessionRatings(data);
+      if (ratingsError) return ratingsError;
+      for (const exercise of data.exercises || []) {
+        if (!exercise.exerciseId) return 'each exercise needs an exerciseId';
+        const setError = validateSetsInput(extractSetsInput(exercise));
+        if (setError) return setError;
+      }
+      return null;
+    }
+    case 'session':
+      if (!SYNC_SESSION_ACTIONS.includes(data.action)) {
+        return `action must be one of: ${SYNC_SESSION_ACTIONS.join(', ')}`;
+      }
+      return (data.action === 'finish' && validateFinishDuration(data.duration)) || validateSessionRatings(data);
+    case 'add_exercise':
+      if (!data.exerciseId) return 'needs an exerciseId';
+      return validateSetsInput(extractSetsInput(data));
+    case 'add_set':
+    case 'update_set':
+      return validateSetInput(data);
+    default:
+      return null;
+  }
+};
+
+// Validate a sync batch, returns an error message or null
+const validateSyncOperations = (operations) => {
+  if (!Array.isArray(operations)) {
+    return 'operations must be an array';
+  }
+
+  if (operations.length > MAX_SYNC_OPERATIONS) {
+    return `A sync batch can hold at most ${MAX_SYNC_OPERATIONS} operations`;
+  }
+
+  for (const [index, operation] of operations.entries()) {
+    const error = validateOperation(operation);
+    if (error) return `Operation ${index} ${error}`;
+  }
+
+  return null;
+};
+
+// The sync token is the position of the last change a client has seen:
+// the workout's updatedAt plus its id to break ties
+const encodeSyncToken = (workout) =>
+  Buffer.from(JSON.stringify({ t: new Date(workout.updatedAt).toISOString(), id: workout.id })).toString('base64url');
+
+// Returns { updatedAt, id }, or null when the token is malformed
+const decodeSyncToken = (token) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (!isValidDate(t) || typeof id !== 'string') return null;
+    return { updatedAt: new Date(t), id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// When the change was made on the device; never later than the server's clock
+const operationTime = (operation, now) => {
+  if (!operation.occurredAt) return now;
+  const occurredAt = new Date(operation.occurredAt);
+  return occurredAt > now ? now : occurredAt;
+};
+
+module.exports = {
+  MAX_SYNC_OPERATIONS,
+  SYNC_DELTA_LIMIT,
+  SYNC_TARGETS,
+  SYNC_OPERATION_TYPES,
+  SYNC_SESSION_ACTIONS,
+  validateSyncOperations,
+  encodeSyncToken,
+  decodeSyncToken,
+  operationTime
+};
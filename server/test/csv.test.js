@@ -0,0 +1,14 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { formatRow } = require('../src/utils/csv');
+
+test('text that would run as a spreadsheet formula is quoted', () => {
+  assert.strictEqual(
+    formatRow(['=HYPERLINK("http://example.com")', '+1', '-note', '@SUM(A1)', 'Bench Press']),
+    `"'=HYPERLINK(""http://example.com"")",'+1,'-note,'@SUM(A1),Bench Press\r\n`
+  );
+});
+
+test('numbers are written as they are', () => {
+  assert.strictEqual(formatRow([-2.5, 60, null]), '-2.5,60,\r\n');
+});
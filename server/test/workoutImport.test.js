@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseWorkoutExport } = require('../src/utils/workoutImport');
+const { JSON_EXPORT_FORMAT } = require('../src/utils/workoutExport');
+const { isCardioSet } = require('../src/utils/cardio');
+
+// Header and rows as written by the Strong app
+const STRONG_CSV = [
+  'Date,Workout Name,Duration,Exercise Name,Set Order,Weight,Reps,Distance,Seconds,Notes,Workout Notes,RPE',
+  '2023-05-01 18:30:12,"Evening Workout",1h 5m,"Bench Press (Barbell)",1,60.0,8,0,0,,,',
+  '2023-05-01 18:30:12,"Evening Workout",1h 5m,"Running (Treadmill)",1,0,0,5.2,1800,,,'
+].join('\n');
+
+test('Strong strength rows are not imported as cardio sets', () => {
+  const { source, workouts } = parseWorkoutExport(STRONG_CSV);
+  const [bench] = workouts[0].exercises;
+
+  assert.strictEqual(source, 'strong');
+  assert.deepStrictEqual(bench.sets, [
+    { setType: 'working', reps: 8, weight: 60, rpe: null, distance: null, durationSeconds: null }
+  ]);
+  assert.strictEqual(isCardioSet(bench.sets[0]), false);
+});
+
+test('Strong cardio rows keep their distance and time', () => {
+  const { workouts } = parseWorkoutExport(STRONG_CSV);
+  const [set] = workouts[0].exercises[1].sets;
+
+  assert.strictEqual(set.distance, 5.2);
+  assert.strictEqual(set.durationSeconds, 1800);
+  assert.strictEqual(isCardioSet(set), true);
+});
+
+test('JSON exports with malformed workouts are rejected', () => {
+  const parse = (workouts) => parseWorkoutExport(JSON.stringify({ format: JSON_EXPORT_FORMAT, workouts }));
+
+  assert.deepStrictEqual(parse([null]), { error: 'Invalid JSON export file: Workout 1 must be an object' });
+  assert.deepStrictEqual(parse([{ date: '2024-01-01', exercises: {} }]), {
+    error: 'Invalid JSON export file: Workout 1: exercises must be an array'
+  });
+  assert.deepStrictEqual(parse([{ date: '2024-01-01', exercises: [null] }]), {
+    error: 'Invalid JSON export file: Workout 1: every exercise must be an object'
+  });
+});